@@ -20,10 +20,15 @@ const authRoutes = require('./routes/authRoutes');
 const deviceRoutes = require('./routes/deviceRoutes');
 const logRoutes = require('./routes/logRoutes');
 const userRoutes = require('./routes/userRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const metricsRoutes = require('./routes/metricsRoutes');
 const exportRoutes = require('./routes/exportRoutes');
 const sseRoutes = require('./routes/sseRoutes');
+const alertRoutes = require('./routes/alertRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const adminRoutes = require('./routes/adminRoutes');
 
 const app = express();
 
@@ -53,9 +58,14 @@ app.use('/api/auth', authRoutes);
 app.use('/api/devices', deviceRoutes);
 app.use('/api/devices/:id/logs', logRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/organizations', organizationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/export', exportRoutes);
 app.use('/api/sse', sseRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health and metrics routes (no /api prefix for easier monitoring)
 app.use('/', metricsRoutes);
@@ -1,5 +1,13 @@
 require('dotenv').config();
 
+// Parse "type:number" pairs, e.g. "thermostat:60,meter:1440"
+const parseTypeValues = (value = '') => Object.fromEntries(
+  value.split(',')
+    .map(entry => entry.split(':').map(part => part.trim()))
+    .filter(([type, number]) => type && parseInt(number) > 0)
+    .map(([type, number]) => [type, parseInt(number)])
+);
+
 module.exports = {
   port: process.env.PORT || 5000,
   mongoURI: process.env.MONGODB_URI,
@@ -13,6 +21,61 @@ module.exports = {
     export: parseInt(process.env.EXPORT_RATE_LIMIT) || 10,
     general: parseInt(process.env.GENERAL_RATE_LIMIT) || 200
   },
+  ingestion: {
+    maxBatchSize: parseInt(process.env.INGESTION_MAX_BATCH_SIZE) || 5000,
+    maxFutureSkewSeconds: parseInt(process.env.INGESTION_MAX_FUTURE_SKEW_SECONDS) || 300,
+    maxLateArrivalHours: parseInt(process.env.INGESTION_MAX_LATE_ARRIVAL_HOURS) || 720,
+    idempotencyWindowHours: parseInt(process.env.INGESTION_IDEMPOTENCY_WINDOW_HOURS) || 24,
+    // A key claimed longer ago without a written log is taken over by the next retry
+    idempotencyClaimLeaseSeconds: parseInt(process.env.INGESTION_IDEMPOTENCY_CLAIM_LEASE_SECONDS) || 30,
+  },
+  deactivation: {
+    schedule: process.env.DEVICE_DEACTIVATION_SCHEDULE || '*/5 * * * *',
+    defaultTimeoutMinutes: parseInt(process.env.DEVICE_INACTIVITY_TIMEOUT_MINUTES) || 1440,
+    typeTimeoutMinutes: parseTypeValues(process.env.DEVICE_TYPE_INACTIVITY_TIMEOUTS),
+  },
+  rollups: {
+    // Read analytics from hourly/daily rollups; off until existing logs are backfilled
+    enabled: process.env.ROLLUPS_ENABLED === 'true',
+  },
+  logRetention: {
+    // Days of raw logs to keep; 0 keeps them forever. Owners can set their own per user.
+    defaultDays: parseInt(process.env.LOG_RETENTION_DAYS) || 0,
+    typeDays: parseTypeValues(process.env.LOG_RETENTION_TYPE_DAYS),
+    schedule: process.env.LOG_RETENTION_SCHEDULE || '0 3 * * *',
+  },
+  heartbeatMonitor: {
+    checkIntervalSeconds: parseInt(process.env.HEARTBEAT_CHECK_INTERVAL_SECONDS) || 30,
+    missedBeats: parseInt(process.env.HEARTBEAT_MISSED_BEATS) || 3,
+  },
+  deviceReport: {
+    // Log events counted as errors in device reports
+    errorEvents: (process.env.DEVICE_REPORT_ERROR_EVENTS || 'error,fault,alarm')
+      .split(',')
+      .map(event => event.trim())
+      .filter(Boolean),
+  },
+  exportSchedules: {
+    // Shortest gap allowed between two runs of one schedule, and active schedules per user
+    minIntervalMinutes: parseInt(process.env.EXPORT_SCHEDULE_MIN_INTERVAL_MINUTES) || 60,
+    maxActivePerUser: parseInt(process.env.EXPORT_SCHEDULE_MAX_ACTIVE_PER_USER) || 10,
+  },
+  webhooks: {
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    backoffDelayMs: parseInt(process.env.WEBHOOK_BACKOFF_DELAY_MS) || 30000,
+    // Allow webhook and notification URLs on loopback and private networks, e.g. for on-premises receivers
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+  },
+  // Email notifications are skipped while SMTP_HOST is unset
+  smtp: {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    pass: process.env.SMTP_PASS || null,
+    from: process.env.SMTP_FROM || 'IoT Platform <no-reply@localhost>',
+  },
   redis: {
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT) || 6379,
@@ -0,0 +1,50 @@
+const retentionService = require('../services/retentionService');
+const jobQueue = require('../services/jobQueue');
+const { logAuditEvent } = require('../services/logger');
+
+/**
+ * Preview which raw logs the retention policies would delete
+ */
+exports.previewLogRetention = async (req, res) => {
+  try {
+    const preview = await retentionService.applyRetention({ dryRun: true });
+
+    res.json({ success: true, data: preview });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RETENTION_PREVIEW_ERROR',
+        message: 'Failed to preview log retention',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Queue a log retention run on the cleanup queue
+ */
+exports.runLogRetention = async (req, res) => {
+  try {
+    const { dryRun } = req.body;
+    const job = await jobQueue.addCleanupJob({ type: 'log_retention', dryRun });
+
+    logAuditEvent('LOG_RETENTION_QUEUED', req.user.id, { jobId: job.id, dryRun });
+
+    res.status(202).json({
+      success: true,
+      message: dryRun ? 'Log retention dry run queued' : 'Log retention queued',
+      data: { jobId: job.id, dryRun }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RETENTION_QUEUE_ERROR',
+        message: 'Failed to queue log retention',
+        details: error.message
+      }
+    });
+  }
+};
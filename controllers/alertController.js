@@ -0,0 +1,327 @@
+const Alert = require('../models/alert');
+const AlertRule = require('../models/alertRule');
+const Organization = require('../models/organization');
+const organizationService = require('../services/organizationService');
+const alertService = require('../services/alertService');
+const { logAuditEvent } = require('../services/logger');
+
+const ruleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ALERT_RULE_NOT_FOUND',
+    message: 'Alert rule not found or access denied'
+  }
+});
+
+const alertNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ALERT_NOT_FOUND',
+    message: 'Alert not found or access denied'
+  }
+});
+
+// Find a document in one of the caller's organizations where they hold at least minRole
+const findInOrganizations = async (Model, id, userId, minRole = 'viewer') => {
+  const organizationIds = await organizationService.getOrganizationIds(userId, minRole);
+  return Model.findOne({ _id: id, organization_id: { $in: organizationIds } });
+};
+
+/**
+ * Create an alert rule for one device or every device of a type
+ */
+exports.createRule = async (req, res) => {
+  try {
+    const { name, event, comparator, threshold, deviceId, deviceType, durationSeconds, severity, enabled } = req.body;
+    let organizationId = req.body.organizationId;
+
+    if (deviceId) {
+      const device = await organizationService.findDevice(req, deviceId, 'member');
+      if (!device) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'DEVICE_NOT_FOUND',
+            message: 'Device not found or access denied'
+          }
+        });
+      }
+      organizationId = device.organization_id;
+    } else if (organizationId) {
+      const organization = await organizationService.findForMember(organizationId, req.user.id);
+      if (!organization || !organizationService.hasRole(organization.getRole(req.user.id), 'member')) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'ORGANIZATION_NOT_FOUND',
+            message: 'Organization not found or access denied'
+          }
+        });
+      }
+    } else {
+      organizationId = (await Organization.findOrCreatePersonal(req.user.id))._id;
+    }
+
+    const rule = await AlertRule.create({
+      name,
+      organization_id: organizationId,
+      created_by: req.user.id,
+      event,
+      comparator,
+      threshold,
+      device_id: deviceId || null,
+      device_type: deviceId ? null : deviceType,
+      duration_seconds: durationSeconds,
+      severity,
+      enabled
+    });
+
+    logAuditEvent('ALERT_RULE_CREATED', req.user.id, { ruleId: rule._id, organizationId });
+
+    res.status(201).json({ success: true, data: { rule } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_RULE_CREATION_ERROR',
+        message: 'Failed to create alert rule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List alert rules across the caller's organizations
+ */
+exports.listRules = async (req, res) => {
+  try {
+    const organizationIds = await organizationService.getOrganizationIds(req.user.id);
+    const filter = { organization_id: { $in: organizationIds } };
+
+    if (req.query.deviceId) filter.device_id = req.query.deviceId;
+    if (req.query.event) filter.event = req.query.event;
+
+    const rules = await AlertRule.find(filter).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: { rules } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_RULE_FETCH_ERROR',
+        message: 'Failed to fetch alert rules',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Update an alert rule's condition, severity or enabled flag
+ */
+exports.updateRule = async (req, res) => {
+  try {
+    const rule = await findInOrganizations(AlertRule, req.params.ruleId, req.user.id, 'member');
+    if (!rule) return ruleNotFound(res);
+
+    const fields = {
+      name: 'name',
+      event: 'event',
+      comparator: 'comparator',
+      threshold: 'threshold',
+      durationSeconds: 'duration_seconds',
+      severity: 'severity',
+      enabled: 'enabled'
+    };
+    Object.entries(fields).forEach(([bodyKey, field]) => {
+      if (req.body[bodyKey] !== undefined) rule[field] = req.body[bodyKey];
+    });
+    await rule.save();
+
+    res.json({ success: true, data: { rule } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_RULE_UPDATE_ERROR',
+        message: 'Failed to update alert rule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete an alert rule and resolve the alerts it left open
+ */
+exports.deleteRule = async (req, res) => {
+  try {
+    const rule = await findInOrganizations(AlertRule, req.params.ruleId, req.user.id, 'member');
+    if (!rule) return ruleNotFound(res);
+
+    await rule.deleteOne();
+
+    const unresolved = await Alert.find({ rule_id: rule._id, status: { $in: ['open', 'acknowledged'] } });
+    for (const alert of unresolved) {
+      await alertService.resolve(alert, req.user.id);
+    }
+
+    logAuditEvent('ALERT_RULE_DELETED', req.user.id, { ruleId: rule._id, resolvedAlerts: unresolved.length });
+
+    res.json({ success: true, message: 'Alert rule deleted successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_RULE_DELETE_ERROR',
+        message: 'Failed to delete alert rule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List alerts across the caller's organizations, newest first
+ */
+exports.listAlerts = async (req, res) => {
+  try {
+    const { kind, status, severity, deviceId } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    const organizationIds = await organizationService.getOrganizationIds(req.user.id);
+    const filter = { organization_id: { $in: organizationIds } };
+
+    if (kind) filter.kind = kind;
+    if (status) filter.status = status;
+    if (severity) filter.severity = severity;
+    if (deviceId) filter.device_id = deviceId;
+
+    const [alerts, total] = await Promise.all([
+      Alert.find(filter)
+        .sort({ triggered_at: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('device_id', 'name type'),
+      Alert.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalAlerts: total,
+          hasNext: skip + alerts.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_FETCH_ERROR',
+        message: 'Failed to fetch alerts',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Get one alert
+ */
+exports.getAlert = async (req, res) => {
+  try {
+    const alert = await findInOrganizations(Alert, req.params.alertId, req.user.id);
+    if (!alert) return alertNotFound(res);
+
+    await alert.populate([
+      { path: 'device_id', select: 'name type' },
+      { path: 'rule_id', select: 'name event comparator threshold duration_seconds' }
+    ]);
+
+    res.json({ success: true, data: { alert } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_FETCH_ERROR',
+        message: 'Failed to fetch alert',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Acknowledge an open alert
+ */
+exports.acknowledgeAlert = async (req, res) => {
+  try {
+    const alert = await findInOrganizations(Alert, req.params.alertId, req.user.id, 'member');
+    if (!alert) return alertNotFound(res);
+
+    if (alert.status !== 'open') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_ALERT_STATUS',
+          message: `Only open alerts can be acknowledged, this alert is ${alert.status}`
+        }
+      });
+    }
+
+    await alertService.acknowledge(alert, req.user.id);
+
+    res.json({ success: true, data: { alert } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_UPDATE_ERROR',
+        message: 'Failed to acknowledge alert',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Resolve an open or acknowledged alert
+ */
+exports.resolveAlert = async (req, res) => {
+  try {
+    const alert = await findInOrganizations(Alert, req.params.alertId, req.user.id, 'member');
+    if (!alert) return alertNotFound(res);
+
+    if (alert.status === 'resolved') {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'INVALID_ALERT_STATUS',
+          message: 'Alert is already resolved'
+        }
+      });
+    }
+
+    await alertService.resolve(alert, req.user.id);
+
+    res.json({ success: true, data: { alert } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ALERT_UPDATE_ERROR',
+        message: 'Failed to resolve alert',
+        details: err.message
+      }
+    });
+  }
+};
@@ -1,14 +1,27 @@
 const Log = require('../models/log');
 const Device = require('../models/device');
 const cacheService = require('../services/cacheService');
+const organizationService = require('../services/organizationService');
+const deviceStatusService = require('../services/deviceStatusService');
+const aggregationService = require('../services/aggregationService');
+const dateRangeService = require('../services/dateRangeService');
+const rollupService = require('../services/rollupService');
+const { resolveTimeField } = require('../services/logService');
+
+// Sum log values and count readings inside a window
+const sumLogs = async (deviceIds, timeBasis, { since, until }) => {
+  const [totals] = await rollupService.summarize({ deviceIds, timeBasis, since, until });
+  return { totalUsage: totals?.sum || 0, logCount: totals?.count || 0 };
+};
 
 /**
  * Get comprehensive analytics dashboard data
  */
 exports.getDashboard = async (req, res) => {
   try {
-    const { range = '24h' } = req.query;
-    const cacheKey = `analytics:${req.user.id}:dashboard:${range}`;
+    const { timeBasis = 'device', timezone = 'UTC' } = req.query;
+    const window = dateRangeService.cacheSegment(req.query, '24h');
+    const cacheKey = `analytics:${req.user.id}:dashboard:${window}:${timeBasis}:${req.query.bucket || 'auto'}:${timezone}`;
     
     // Try to get from cache first
     const cached = await cacheService.get(cacheKey);
@@ -17,18 +30,23 @@ exports.getDashboard = async (req, res) => {
       return res.json({ success: true, data: cached });
     }
 
-    // Calculate time range
-    let ms = 24 * 60 * 60 * 1000; // Default 24 hours
-    if (range.endsWith('h')) {
-      ms = parseInt(range) * 60 * 60 * 1000;
-    } else if (range.endsWith('d')) {
-      ms = parseInt(range) * 24 * 60 * 60 * 1000;
+    const { since, until, range } = dateRangeService.resolve(req.query, '24h');
+    const previous = dateRangeService.previousPeriod({ since, until });
+    const bucket = req.query.bucket || aggregationService.defaultBucket(since, until);
+
+    const bucketCount = aggregationService.countBuckets(since, until, bucket);
+    if (bucketCount > aggregationService.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_BUCKETS',
+          message: `Requested window spans about ${bucketCount} ${bucket} buckets, the maximum is ${aggregationService.MAX_BUCKETS}`
+        }
+      });
     }
     
-    const since = new Date(Date.now() - ms);
-    
-    // Get user's devices
-    const userDevices = await Device.find({ owner_id: req.user.id });
+    // Get devices from the user's organizations
+    const userDevices = await Device.find(await organizationService.deviceScope(req));
     const deviceIds = userDevices.map(d => d._id);
     
     if (deviceIds.length === 0) {
@@ -41,7 +59,21 @@ exports.getDashboard = async (req, res) => {
         },
         deviceBreakdown: [],
         usageTrend: [],
-        eventDistribution: []
+        eventDistribution: [],
+        comparison: {
+          previousPeriod: previous,
+          totalUsage: dateRangeService.compare(0, 0),
+          logCount: dateRangeService.compare(0, 0)
+        },
+        availability: {
+          fleet: {
+            deviceCount: 0,
+            uptimePercentage: null,
+            outageCount: 0,
+            mtbfHours: null
+          },
+          devices: []
+        }
       };
       
       await cacheService.set(cacheKey, emptyData, 300); // Cache for 5 minutes
@@ -51,59 +83,23 @@ exports.getDashboard = async (req, res) => {
     // Run analytics queries in parallel
     const [
       totalLogs,
-      recentLogs,
-      usageData,
+      currentTotals,
+      previousTotals,
       eventDistribution,
-      deviceActivity
+      deviceActivity,
+      availability,
+      usageTrend
     ] = await Promise.all([
       Log.countDocuments({ device_id: { $in: deviceIds } }),
-      Log.countDocuments({ 
-        device_id: { $in: deviceIds }, 
-        timestamp: { $gte: since } 
-      }),
-      Log.aggregate([
-        { $match: { device_id: { $in: deviceIds }, timestamp: { $gte: since } } },
-        { $group: { _id: null, totalUsage: { $sum: '$value' } } }
-      ]),
-      Log.aggregate([
-        { $match: { device_id: { $in: deviceIds }, timestamp: { $gte: since } } },
-        { $group: { _id: '$event', count: { $sum: 1 }, totalValue: { $sum: '$value' } } },
-        { $sort: { count: -1 } }
-      ]),
-      Log.aggregate([
-        { $match: { device_id: { $in: deviceIds }, timestamp: { $gte: since } } },
-        { $group: { 
-          _id: '$device_id', 
-          logCount: { $sum: 1 }, 
-          totalUsage: { $sum: '$value' },
-          lastActivity: { $max: '$timestamp' }
-        }},
-        { $lookup: {
-          from: 'devices',
-          localField: '_id',
-          foreignField: '_id',
-          as: 'device'
-        }},
-        { $unwind: '$device' },
-        { $sort: { logCount: -1 } }
-      ])
+      sumLogs(deviceIds, timeBasis, { since, until }),
+      sumLogs(deviceIds, timeBasis, previous),
+      rollupService.summarize({ deviceIds, timeBasis, since, until, groupBy: ['event'] }),
+      rollupService.summarize({ deviceIds, timeBasis, since, until, groupBy: ['device_id'] }),
+      deviceStatusService.getAvailability(userDevices, since, until),
+      rollupService.trend({ deviceIds, timeBasis, since, until, bucket, timezone })
     ]);
 
-    // Get usage trend data (hourly breakdown)
-    const trendData = await Log.aggregate([
-      { $match: { device_id: { $in: deviceIds }, timestamp: { $gte: since } } },
-      { $group: {
-        _id: {
-          year: { $year: '$timestamp' },
-          month: { $month: '$timestamp' },
-          day: { $dayOfMonth: '$timestamp' },
-          hour: { $hour: '$timestamp' }
-        },
-        usage: { $sum: '$value' },
-        logCount: { $sum: 1 }
-      }},
-      { $sort: { '_id.year': 1, '_id.month': 1, '_id.day': 1, '_id.hour': 1 } }
-    ]);
+    const devicesById = new Map(userDevices.map(device => [device._id.toString(), device]));
 
     // Calculate active devices (devices with recent activity)
     const activeDevices = userDevices.filter(device => 
@@ -115,28 +111,43 @@ exports.getDashboard = async (req, res) => {
         totalDevices: userDevices.length,
         activeDevices,
         totalLogs,
-        recentLogs,
-        totalUsage: usageData[0]?.totalUsage || 0,
-        range
+        recentLogs: currentTotals.logCount,
+        totalUsage: currentTotals.totalUsage,
+        range,
+        since,
+        until,
+        timeBasis,
+        bucket,
+        timezone
       },
-      deviceBreakdown: deviceActivity.map(item => ({
-        deviceId: item._id,
-        deviceName: item.device.name,
-        deviceType: item.device.type,
-        logCount: item.logCount,
-        totalUsage: item.totalUsage,
-        lastActivity: item.lastActivity
-      })),
-      usageTrend: trendData.map(item => ({
-        timestamp: new Date(item._id.year, item._id.month - 1, item._id.day, item._id.hour),
-        usage: item.usage,
-        logCount: item.logCount
-      })),
-      eventDistribution: eventDistribution.map(item => ({
-        event: item._id,
-        count: item.count,
-        totalValue: item.totalValue
-      }))
+      deviceBreakdown: deviceActivity
+        .sort((a, b) => b.count - a.count)
+        .map(item => ({
+          deviceId: item.device_id,
+          deviceName: devicesById.get(item.device_id.toString()).name,
+          deviceType: devicesById.get(item.device_id.toString()).type,
+          logCount: item.count,
+          totalUsage: item.sum,
+          lastActivity: item.last_at
+        })),
+      usageTrend,
+      eventDistribution: eventDistribution
+        .sort((a, b) => b.count - a.count)
+        .map(item => ({
+          event: item.event,
+          count: item.count,
+          totalValue: item.sum
+        })),
+      comparison: {
+        previousPeriod: previous,
+        totalUsage: dateRangeService.compare(currentTotals.totalUsage, previousTotals.totalUsage),
+        logCount: dateRangeService.compare(currentTotals.logCount, previousTotals.logCount)
+      },
+      availability: {
+        fleet: availability.fleet,
+        // Least available first so problem devices surface at the top
+        devices: availability.devices.sort((a, b) => (a.uptimePercentage ?? 100) - (b.uptimePercentage ?? 100))
+      }
     };
 
     // Cache for 5 minutes
@@ -161,10 +172,11 @@ exports.getDashboard = async (req, res) => {
  */
 exports.getDeviceComparison = async (req, res) => {
   try {
-    const { range = '24h', devices } = req.query;
+    const { devices, timeBasis = 'device' } = req.query;
     const deviceIds = devices ? devices.split(',') : [];
+    const window = dateRangeService.cacheSegment(req.query, '24h');
     
-    const cacheKey = `analytics:${req.user.id}:comparison:${range}:${deviceIds.join(',')}`;
+    const cacheKey = `analytics:${req.user.id}:comparison:${window}:${timeBasis}:${deviceIds.join(',')}`;
     
     // Try to get from cache first
     const cached = await cacheService.get(cacheKey);
@@ -173,18 +185,11 @@ exports.getDeviceComparison = async (req, res) => {
       return res.json({ success: true, data: cached });
     }
 
-    // Calculate time range
-    let ms = 24 * 60 * 60 * 1000;
-    if (range.endsWith('h')) {
-      ms = parseInt(range) * 60 * 60 * 1000;
-    } else if (range.endsWith('d')) {
-      ms = parseInt(range) * 24 * 60 * 60 * 1000;
-    }
-    
-    const since = new Date(Date.now() - ms);
+    const { since, until, range } = dateRangeService.resolve(req.query, '24h');
+    const previous = dateRangeService.previousPeriod({ since, until });
     
     // Get user's devices (filter by provided device IDs if specified)
-    const deviceFilter = { owner_id: req.user.id };
+    const deviceFilter = await organizationService.deviceScope(req);
     if (deviceIds.length > 0) {
       deviceFilter._id = { $in: deviceIds };
     }
@@ -199,31 +204,41 @@ exports.getDeviceComparison = async (req, res) => {
       });
     }
 
-    // Get comparison data for each device
-    const comparisonData = await Log.aggregate([
-      { $match: { 
-        device_id: { $in: validDeviceIds }, 
-        timestamp: { $gte: since } 
-      }},
-      { $group: {
-        _id: '$device_id',
-        totalUsage: { $sum: '$value' },
-        logCount: { $sum: 1 },
-        avgUsage: { $avg: '$value' },
-        maxUsage: { $max: '$value' },
-        minUsage: { $min: '$value' },
-        events: { $addToSet: '$event' }
-      }},
-      { $lookup: {
-        from: 'devices',
-        localField: '_id',
-        foreignField: '_id',
-        as: 'device'
-      }},
-      { $unwind: '$device' },
-      { $sort: { totalUsage: -1 } }
+    // Get comparison data for each device, plus the previous period's totals
+    const [eventData, previousData] = await Promise.all([
+      rollupService.summarize({ deviceIds: validDeviceIds, timeBasis, since, until, groupBy: ['device_id', 'event'] }),
+      rollupService.summarize({ deviceIds: validDeviceIds, timeBasis, ...previous, groupBy: ['device_id'] })
     ]);
 
+    // Fold per-event rows into one entry per device
+    const devicesById = new Map(userDevices.map(device => [device._id.toString(), device]));
+    const byDevice = new Map();
+    eventData.forEach(row => {
+      const id = row.device_id.toString();
+      const item = byDevice.get(id) || {
+        _id: row.device_id,
+        device: devicesById.get(id),
+        totalUsage: 0,
+        logCount: 0,
+        maxUsage: row.max,
+        minUsage: row.min,
+        events: []
+      };
+      item.totalUsage += row.sum;
+      item.logCount += row.count;
+      item.maxUsage = Math.max(item.maxUsage, row.max);
+      item.minUsage = Math.min(item.minUsage, row.min);
+      item.events.push(row.event);
+      byDevice.set(id, item);
+    });
+
+    const comparisonData = [...byDevice.values()]
+      .map(item => ({ ...item, avgUsage: item.totalUsage / item.logCount }))
+      .sort((a, b) => b.totalUsage - a.totalUsage);
+    const previousByDevice = new Map(previousData.map(item => [item.device_id.toString(), item]));
+    const totalUsage = comparisonData.reduce((sum, item) => sum + item.totalUsage, 0);
+    const totalLogs = comparisonData.reduce((sum, item) => sum + item.logCount, 0);
+
     const comparison = {
       devices: comparisonData.map(item => ({
         deviceId: item._id,
@@ -236,13 +251,25 @@ exports.getDeviceComparison = async (req, res) => {
           maxUsage: item.maxUsage,
           minUsage: item.minUsage,
           uniqueEvents: item.events.length
+        },
+        change: {
+          totalUsage: dateRangeService.compare(item.totalUsage, previousByDevice.get(item._id.toString())?.sum || 0),
+          logCount: dateRangeService.compare(item.logCount, previousByDevice.get(item._id.toString())?.count || 0)
         }
       })),
       summary: {
         totalDevices: comparisonData.length,
-        totalUsage: comparisonData.reduce((sum, item) => sum + item.totalUsage, 0),
-        totalLogs: comparisonData.reduce((sum, item) => sum + item.logCount, 0),
-        range
+        totalUsage,
+        totalLogs,
+        range,
+        since,
+        until,
+        timeBasis,
+        comparison: {
+          previousPeriod: previous,
+          totalUsage: dateRangeService.compare(totalUsage, previousData.reduce((sum, item) => sum + item.sum, 0)),
+          logCount: dateRangeService.compare(totalLogs, previousData.reduce((sum, item) => sum + item.count, 0))
+        }
       }
     };
 
@@ -268,7 +295,9 @@ exports.getDeviceComparison = async (req, res) => {
  */
 exports.getRealTimeStats = async (req, res) => {
   try {
-    const cacheKey = `analytics:${req.user.id}:realtime`;
+    const { timeBasis = 'device' } = req.query;
+    const timeField = resolveTimeField(timeBasis);
+    const cacheKey = `analytics:${req.user.id}:realtime:${timeBasis}`;
     
     // Very short cache (30 seconds) for real-time data
     const cached = await cacheService.get(cacheKey);
@@ -277,7 +306,7 @@ exports.getRealTimeStats = async (req, res) => {
       return res.json({ success: true, data: cached });
     }
 
-    const userDevices = await Device.find({ owner_id: req.user.id });
+    const userDevices = await Device.find(await organizationService.deviceScope(req));
     const deviceIds = userDevices.map(d => d._id);
     
     const now = new Date();
@@ -287,15 +316,15 @@ exports.getRealTimeStats = async (req, res) => {
     const [recentActivity, currentHourLogs] = await Promise.all([
       Log.find({ 
         device_id: { $in: deviceIds }, 
-        timestamp: { $gte: last5Minutes } 
+        [timeField]: { $gte: last5Minutes } 
       })
-      .sort({ timestamp: -1 })
+      .sort({ [timeField]: -1 })
       .limit(10)
       .populate('device_id', 'name type'),
       
       Log.countDocuments({ 
         device_id: { $in: deviceIds }, 
-        timestamp: { $gte: lastHour } 
+        [timeField]: { $gte: lastHour } 
       })
     ]);
 
@@ -305,7 +334,8 @@ exports.getRealTimeStats = async (req, res) => {
         deviceName: log.device_id.name,
         event: log.event,
         value: log.value,
-        timestamp: log.timestamp
+        timestamp: log.timestamp,
+        receivedAt: log.received_at
       })),
       currentHourLogs,
       lastUpdated: now
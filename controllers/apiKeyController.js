@@ -0,0 +1,148 @@
+const organizationService = require('../services/organizationService');
+const apiKeyService = require('../services/apiKeyService');
+const { logAuditEvent } = require('../services/logger');
+
+const deviceNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'DEVICE_NOT_FOUND',
+    message: 'Device not found or access denied'
+  }
+});
+
+const keyNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'API_KEY_NOT_FOUND',
+    message: 'API key not found'
+  }
+});
+
+/**
+ * Create a device API key
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id, 'admin');
+    if (!device) return deviceNotFound(res);
+
+    const { apiKey, key } = await apiKeyService.createKey(device._id, req.user.id, req.body.name);
+
+    logAuditEvent('DEVICE_API_KEY_CREATED', req.user.id, {
+      deviceId: device._id,
+      keyId: apiKey._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Store it securely, it will not be shown again.',
+      data: {
+        apiKey: apiKey.toSafeObject(),
+        key
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'API_KEY_CREATION_ERROR',
+        message: 'Failed to create API key',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List device API keys
+ */
+exports.listApiKeys = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id, 'admin');
+    if (!device) return deviceNotFound(res);
+
+    const keys = await apiKeyService.listKeys(device._id);
+
+    res.json({
+      success: true,
+      data: {
+        apiKeys: keys.map(k => k.toSafeObject())
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'API_KEY_FETCH_ERROR',
+        message: 'Failed to fetch API keys',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Rotate a device API key
+ */
+exports.rotateApiKey = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id, 'admin');
+    if (!device) return deviceNotFound(res);
+
+    const result = await apiKeyService.rotateKey(device._id, req.params.keyId, req.user.id);
+    if (!result) return keyNotFound(res);
+
+    logAuditEvent('DEVICE_API_KEY_ROTATED', req.user.id, {
+      deviceId: device._id,
+      previousKeyId: req.params.keyId,
+      keyId: result.apiKey._id
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key securely, it will not be shown again.',
+      data: {
+        apiKey: result.apiKey.toSafeObject(),
+        key: result.key
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'API_KEY_ROTATION_ERROR',
+        message: 'Failed to rotate API key',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Revoke a device API key
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id, 'admin');
+    if (!device) return deviceNotFound(res);
+
+    const apiKey = await apiKeyService.revokeKey(device._id, req.params.keyId);
+    if (!apiKey) return keyNotFound(res);
+
+    logAuditEvent('DEVICE_API_KEY_REVOKED', req.user.id, {
+      deviceId: device._id,
+      keyId: apiKey._id
+    });
+
+    res.json({ success: true, message: 'API key revoked successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'API_KEY_REVOKE_ERROR',
+        message: 'Failed to revoke API key',
+        details: err.message
+      }
+    });
+  }
+};
@@ -1,15 +1,91 @@
 const Device = require('../models/device');
-const cacheService = require('../services/cacheService');
+const organizationService = require('../services/organizationService');
 const realtimeService = require('../services/realtimeService');
+const deviceStatusService = require('../services/deviceStatusService');
+const alertService = require('../services/alertService');
+const webhookService = require('../services/webhookService');
+const dateRangeService = require('../services/dateRangeService');
+const {
+  buildDeviceFilter,
+  buildDeviceUpdate,
+  buildDeviceSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getDeviceSummary
+} = require('../services/deviceService');
+
+const deviceNotFound = (res) => res.status(404).json({ 
+  success: false, 
+  error: {
+    code: 'DEVICE_NOT_FOUND',
+    message: 'Device not found or access denied'
+  }
+});
+
+// Device lists are cached per member, so changes must reach every member of the organization.
+// Status changes also move availability figures, which live in the analytics caches.
+const invalidateDeviceCaches = (device, statusChanged = false) => organizationService.invalidateMemberCaches(
+  device.organization_id,
+  statusChanged ? ['devices', 'analytics'] : ['devices'],
+  [`device:${device._id}:*`]
+);
 
 exports.registerDevice = async (req, res) => {
   try {
-    const { name, type, status } = req.body;
-    const device = new Device({ name, type, status, owner_id: req.user.id });
+    const {
+      name,
+      type,
+      status,
+      tags,
+      attributes,
+      organizationId,
+      inactivityTimeoutMinutes,
+      heartbeatIntervalSeconds
+    } = req.body;
+    
+    if (organizationId) {
+      const organization = await organizationService.findForMember(organizationId, req.user.id);
+      
+      if (!organization) {
+        return res.status(404).json({ 
+          success: false, 
+          error: {
+            code: 'ORGANIZATION_NOT_FOUND',
+            message: 'Organization not found or access denied'
+          }
+        });
+      }
+      
+      if (!organizationService.hasRole(organization.getRole(req.user.id), 'member')) {
+        return res.status(403).json({ 
+          success: false, 
+          error: {
+            code: 'INSUFFICIENT_ROLE',
+            message: 'Registering devices requires the member role or higher'
+          }
+        });
+      }
+    }
+    
+    const device = new Device({
+      name,
+      type,
+      status,
+      tags,
+      attributes,
+      inactivity_timeout_minutes: inactivityTimeoutMinutes,
+      heartbeat_interval_seconds: heartbeatIntervalSeconds,
+      owner_id: req.user.id,
+      organization_id: organizationId
+    });
     await device.save();
     
-    // Invalidate device list cache for this user
-    await cacheService.invalidatePattern(`devices:${req.user.id}:*`);
+    await invalidateDeviceCaches(device);
+    
+    await webhookService.dispatchToOrganization(device.organization_id, 'device.created', {
+      device: webhookService.serializeDevice(device)
+    });
     
     res.status(201).json({ success: true, device });
   } catch (err) {
@@ -26,12 +102,54 @@ exports.registerDevice = async (req, res) => {
 
 exports.listDevices = async (req, res) => {
   try {
-    const filter = { owner_id: req.user.id };
-    if (req.query.type) filter.type = req.query.type;
-    if (req.query.status) filter.status = req.query.status;
+    const { sort, order, cursor } = req.query;
+    const limit = parseInt(req.query.limit) || 10;
+    const page = parseInt(req.query.page) || 1;
+    const filter = buildDeviceFilter(await organizationService.deviceScope(req), req.query);
+    
+    let pageFilter = filter;
+    let skip = (page - 1) * limit;
     
-    const devices = await Device.find(filter).populate('owner_id', 'name email');
-    res.json({ success: true, devices });
+    if (cursor) {
+      const position = decodeCursor(cursor, sort, order);
+      if (!position) {
+        return res.status(400).json({ 
+          success: false, 
+          error: {
+            code: 'INVALID_CURSOR',
+            message: 'Cursor is malformed or does not match the requested sort'
+          }
+        });
+      }
+      pageFilter = { $and: [filter, buildCursorFilter(sort, order, position)] };
+      skip = 0;
+    }
+    
+    // Fetch one extra device to know whether another page follows
+    const [results, total] = await Promise.all([
+      Device.find(pageFilter)
+        .sort(buildDeviceSort(sort, order))
+        .skip(skip)
+        .limit(limit + 1)
+        .populate('owner_id', 'name email'),
+      Device.countDocuments(filter)
+    ]);
+    
+    const hasNext = results.length > limit;
+    const devices = hasNext ? results.slice(0, limit) : results;
+    
+    res.json({ 
+      success: true, 
+      devices,
+      pagination: {
+        currentPage: cursor ? null : page,
+        totalPages: Math.ceil(total / limit),
+        totalDevices: total,
+        hasNext,
+        hasPrev: cursor ? true : page > 1,
+        nextCursor: hasNext ? encodeCursor(devices[devices.length - 1], sort, order) : null
+      }
+    });
   } catch (err) {
     res.status(500).json({ 
       success: false, 
@@ -44,29 +162,86 @@ exports.listDevices = async (req, res) => {
   }
 };
 
+exports.getDevice = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id);
+    if (!device) return deviceNotFound(res);
+    
+    await device.populate('owner_id', 'name email');
+    const summary = await getDeviceSummary(device);
+    
+    res.json({ success: true, device, summary });
+  } catch (err) {
+    res.status(500).json({ 
+      success: false, 
+      error: {
+        code: 'DEVICE_FETCH_ERROR',
+        message: 'Failed to fetch device',
+        details: err.message
+      }
+    });
+  }
+};
+
+exports.getAvailability = async (req, res) => {
+  try {
+    const device = await organizationService.findDevice(req, req.params.id);
+    if (!device) return deviceNotFound(res);
+    
+    const { since, until, range } = dateRangeService.resolve(req.query, '7d');
+    const availability = await deviceStatusService.getAvailability([device], since, until, {
+      includeTransitions: true
+    });
+    
+    res.json({ 
+      success: true, 
+      data: {
+        ...availability.devices[0],
+        range,
+        since,
+        until
+      }
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      success: false, 
+      error: {
+        code: 'AVAILABILITY_FETCH_ERROR',
+        message: 'Failed to fetch device availability',
+        details: err.message
+      }
+    });
+  }
+};
+
 exports.updateDevice = async (req, res) => {
   try {
-    const device = await Device.findOneAndUpdate(
-      { _id: req.params.id, owner_id: req.user.id },
-      req.body,
-      { new: true }
+    const scope = await organizationService.deviceScope(req, 'member');
+    // Read the previous version atomically so the status transition is recorded exactly once
+    const previous = await Device.findOneAndUpdate(
+      { $and: [{ _id: req.params.id }, scope] },
+      buildDeviceUpdate(req.body),
+      { new: false, runValidators: true }
     );
     
-    if (!device) {
-      return res.status(404).json({ 
-        success: false, 
-        error: {
-          code: 'DEVICE_NOT_FOUND',
-          message: 'Device not found or access denied'
-        }
-      });
-    }
+    if (!previous) return deviceNotFound(res);
     
-    // Invalidate device list cache for this user
-    await cacheService.invalidatePattern(`devices:${req.user.id}:*`);
+    const device = await Device.findById(previous._id);
+    const transition = await deviceStatusService.recordTransition(device, previous.status, device.status, {
+      reason: 'update',
+      changedBy: req.user.id
+    });
+    
+    // Invalidate device list and detail caches
+    await invalidateDeviceCaches(device, Boolean(transition));
     
     // Broadcast device update in real-time
-    realtimeService.broadcastDeviceUpdate(device._id, device.status, req.user.id);
+    realtimeService.broadcastDeviceUpdate(device._id, device.status, device.owner_id, device.organization_id);
+    
+    await webhookService.dispatchToOrganization(device.organization_id, 'device.updated', {
+      device: webhookService.serializeDevice(device),
+      changes: Object.keys(req.body)
+    });
     
     res.json({ success: true, device });
   } catch (err) {
@@ -83,20 +258,17 @@ exports.updateDevice = async (req, res) => {
 
 exports.deleteDevice = async (req, res) => {
   try {
-    const device = await Device.findOneAndDelete({ _id: req.params.id, owner_id: req.user.id });
-    
-    if (!device) {
-      return res.status(404).json({ 
-        success: false, 
-        error: {
-          code: 'DEVICE_NOT_FOUND',
-          message: 'Device not found or access denied'
-        }
-      });
-    }
+    const scope = await organizationService.deviceScope(req, 'admin');
+    const device = await Device.findOneAndDelete({ $and: [{ _id: req.params.id }, scope] });
     
-    // Invalidate device list cache for this user
-    await cacheService.invalidatePattern(`devices:${req.user.id}:*`);
+    if (!device) return deviceNotFound(res);
+    
+    // Invalidate device list and detail caches
+    await invalidateDeviceCaches(device);
+    
+    await webhookService.dispatchToOrganization(device.organization_id, 'device.deleted', {
+      device: webhookService.serializeDevice(device)
+    });
     
     res.json({ success: true, message: 'Device deleted successfully' });
   } catch (err) {
@@ -113,27 +285,35 @@ exports.deleteDevice = async (req, res) => {
 
 exports.heartbeat = async (req, res) => {
   try {
-    const device = await Device.findOne({ _id: req.params.id, owner_id: req.user.id });
-    
-    if (!device) {
-      return res.status(404).json({ 
-        success: false, 
-        error: {
-          code: 'DEVICE_NOT_FOUND',
-          message: 'Device not found or access denied'
-        }
-      });
-    }
+    const device = await organizationService.findDevice(req, req.params.id, 'member');
+    if (!device) return deviceNotFound(res);
     
+    const previousStatus = device.status;
     device.status = req.body.status || device.status;
     device.last_active_at = new Date();
     await device.save();
     
-    // Invalidate device list cache since status changed
-    await cacheService.invalidatePattern(`devices:${req.user.id}:*`);
+    await deviceStatusService.recordHeartbeat(device, device.last_active_at);
+
+    const transition = await deviceStatusService.recordTransition(device, previousStatus, device.status, {
+      reason: 'heartbeat',
+      changedBy: req.apiKey ? null : req.user.id,
+      changedAt: device.last_active_at
+    });
+    
+    // Invalidate device list and detail caches since status changed
+    await invalidateDeviceCaches(device, Boolean(transition));
+    
+    // The device is reachable again, so any missed-heartbeat alert is over
+    await alertService.resolveOfflineAlerts(device);
     
     // Broadcast heartbeat in real-time
-    realtimeService.broadcastHeartbeat(device._id, device.last_active_at, req.user.id);
+    realtimeService.broadcastHeartbeat(device._id, device.last_active_at, device.owner_id, device.organization_id);
+    
+    await webhookService.dispatchToOrganization(device.organization_id, 'device.heartbeat', {
+      device: webhookService.serializeDevice(device),
+      previousStatus
+    });
     
     res.json({ 
       success: true, 
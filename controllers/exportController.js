@@ -1,4 +1,5 @@
 const ExportJob = require('../models/exportJob');
+const NotificationDelivery = require('../models/notificationDelivery');
 const exportService = require('../services/exportService');
 const jobQueue = require('../services/jobQueue');
 const { exportRateLimiter } = require('../middlewares/rateLimiter');
@@ -10,7 +11,7 @@ const path = require('path');
  */
 exports.createExportJob = async (req, res) => {
   try {
-    const { type, format = 'csv', dateRange, filters = {} } = req.body;
+    const { type, format = 'csv', compression = 'none', dateRange, filters = {} } = req.body;
     
     // Validate date range
     const startDate = new Date(dateRange.startDate);
@@ -32,6 +33,7 @@ exports.createExportJob = async (req, res) => {
       type,
       config: {
         format,
+        compression,
         dateRange: { startDate, endDate },
         filters
       }
@@ -45,6 +47,7 @@ exports.createExportJob = async (req, res) => {
       userId: req.user.id,
       type,
       format,
+      compression,
       dateRange: { startDate, endDate },
       filters
     });
@@ -64,6 +67,7 @@ exports.createExportJob = async (req, res) => {
         status: exportJob.status,
         type: exportJob.type,
         format: exportJob.config.format,
+        compression: exportJob.config.compression,
         createdAt: exportJob.createdAt
       }
     });
@@ -103,6 +107,11 @@ exports.getJobStatus = async (req, res) => {
       });
     }
 
+    const notifications = await NotificationDelivery.find({
+      user_id: req.user.id,
+      reference_id: job._id.toString()
+    }).select('channel status recipient error sent_at createdAt').sort({ createdAt: 1 });
+
     res.json({
       success: true,
       data: {
@@ -114,7 +123,9 @@ exports.getJobStatus = async (req, res) => {
         error: job.error,
         createdAt: job.createdAt,
         completedAt: job.completedAt,
-        duration: job.duration
+        duration: job.duration,
+        scheduleId: job.scheduleId,
+        notifications
       }
     });
 
@@ -220,9 +231,25 @@ exports.downloadExport = async (req, res) => {
     await job.save();
 
     // Set appropriate headers
-    const contentType = job.config.format === 'csv' ? 'text/csv' : 'application/json';
-    res.setHeader('Content-Type', contentType);
-    res.setHeader('Content-Disposition', `attachment; filename="${job.result.fileName}"`);
+    const contentType = exportService.getFormat(job.config.format).contentType;
+    let fileName = job.result.fileName;
+
+    if (job.config.compression === 'gzip') {
+      res.setHeader('Vary', 'Accept-Encoding');
+      if (req.acceptsEncodings('gzip')) {
+        // Clients that accept gzip decode the response back into the original file
+        res.setHeader('Content-Type', contentType);
+        res.setHeader('Content-Encoding', 'gzip');
+        fileName = fileName.replace(/\.gz$/, '');
+      } else {
+        res.setHeader('Content-Type', 'application/gzip');
+      }
+    } else if (job.config.compression === 'zip') {
+      res.setHeader('Content-Type', 'application/zip');
+    } else {
+      res.setHeader('Content-Type', contentType);
+    }
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
     res.setHeader('Content-Length', fileInfo.size);
 
     // Stream file
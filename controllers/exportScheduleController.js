@@ -0,0 +1,232 @@
+const ExportSchedule = require('../models/exportSchedule');
+const ExportJob = require('../models/exportJob');
+const exportScheduleService = require('../services/exportScheduleService');
+const jobQueue = require('../services/jobQueue');
+const config = require('../config');
+const { logAuditEvent, logError } = require('../services/logger');
+
+const scheduleNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'SCHEDULE_NOT_FOUND',
+    message: 'Export schedule not found'
+  }
+});
+
+const scheduleLimitReached = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'SCHEDULE_LIMIT_REACHED',
+    message: `At most ${config.exportSchedules.maxActivePerUser} export schedules can be active at once`
+  }
+});
+
+const serializeSchedule = (schedule) => ({
+  ...schedule.toObject(),
+  nextRunAt: exportScheduleService.getNextRun(schedule)
+});
+
+/**
+ * Create a recurring export. It starts active.
+ */
+exports.createSchedule = async (req, res) => {
+  try {
+    if (!(await exportScheduleService.canActivate(req.user.id))) {
+      return scheduleLimitReached(res);
+    }
+
+    const schedule = await ExportSchedule.create({ ...req.body, userId: req.user.id });
+
+    try {
+      await exportScheduleService.sync(schedule);
+    } catch (error) {
+      // Without a repeatable job the schedule would never run
+      await ExportSchedule.deleteOne({ _id: schedule._id });
+      throw error;
+    }
+
+    logAuditEvent('EXPORT_SCHEDULE_CREATED', req.user.id, {
+      scheduleId: schedule._id,
+      type: schedule.type,
+      cron: schedule.cron,
+      timezone: schedule.timezone
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Export schedule created successfully',
+      data: { schedule: serializeSchedule(schedule) }
+    });
+  } catch (err) {
+    logError(err, { userId: req.user.id });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_CREATION_ERROR',
+        message: 'Failed to create export schedule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List the caller's export schedules
+ */
+exports.listSchedules = async (req, res) => {
+  try {
+    const schedules = await ExportSchedule.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: { schedules: schedules.map(serializeSchedule) } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_FETCH_ERROR',
+        message: 'Failed to fetch export schedules',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Get one export schedule
+ */
+exports.getSchedule = async (req, res) => {
+  try {
+    const schedule = await ExportSchedule.findOne({ _id: req.params.scheduleId, userId: req.user.id });
+    if (!schedule) return scheduleNotFound(res);
+
+    res.json({ success: true, data: { schedule: serializeSchedule(schedule) } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_FETCH_ERROR',
+        message: 'Failed to fetch export schedule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List the export jobs a schedule has started, newest first
+ */
+exports.listRuns = async (req, res) => {
+  try {
+    const schedule = await ExportSchedule.findOne({ _id: req.params.scheduleId, userId: req.user.id });
+    if (!schedule) return scheduleNotFound(res);
+
+    const { page, limit, status } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter = { scheduleId: schedule._id, userId: req.user.id };
+    if (status) filter.status = status;
+
+    const [jobs, total] = await Promise.all([
+      ExportJob.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-error.stack'),
+      ExportJob.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalJobs: total,
+          hasNext: skip + jobs.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_RUNS_FETCH_ERROR',
+        message: 'Failed to fetch export schedule runs',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Set a schedule's status and register or drop its repeatable job
+ * @param {string} status - 'active' or 'paused'
+ * @param {string} auditEvent - Audit event name
+ * @returns {Function} - Route handler
+ */
+const setStatus = (status, auditEvent) => async (req, res) => {
+  try {
+    const schedule = await ExportSchedule.findOne({ _id: req.params.scheduleId, userId: req.user.id });
+    if (!schedule) return scheduleNotFound(res);
+
+    if (status === 'active' && schedule.status !== 'active'
+      && !(await exportScheduleService.canActivate(req.user.id))) {
+      return scheduleLimitReached(res);
+    }
+
+    schedule.status = status;
+    await schedule.save();
+    await exportScheduleService.sync(schedule);
+
+    logAuditEvent(auditEvent, req.user.id, { scheduleId: schedule._id });
+
+    res.json({ success: true, data: { schedule: serializeSchedule(schedule) } });
+  } catch (err) {
+    logError(err, { userId: req.user.id, scheduleId: req.params.scheduleId });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_UPDATE_ERROR',
+        message: 'Failed to update export schedule',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Pause a schedule. Runs already started finish.
+ */
+exports.pauseSchedule = setStatus('paused', 'EXPORT_SCHEDULE_PAUSED');
+
+/**
+ * Resume a paused schedule from its next cron time
+ */
+exports.resumeSchedule = setStatus('active', 'EXPORT_SCHEDULE_RESUMED');
+
+/**
+ * Delete a schedule. Its past runs and their files are kept.
+ */
+exports.deleteSchedule = async (req, res) => {
+  try {
+    const schedule = await ExportSchedule.findOneAndDelete({ _id: req.params.scheduleId, userId: req.user.id });
+    if (!schedule) return scheduleNotFound(res);
+
+    await jobQueue.unscheduleExport(schedule._id.toString());
+
+    logAuditEvent('EXPORT_SCHEDULE_DELETED', req.user.id, { scheduleId: schedule._id });
+
+    res.json({ success: true, message: 'Export schedule deleted successfully' });
+  } catch (err) {
+    logError(err, { userId: req.user.id, scheduleId: req.params.scheduleId });
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SCHEDULE_DELETE_ERROR',
+        message: 'Failed to delete export schedule',
+        details: err.message
+      }
+    });
+  }
+};
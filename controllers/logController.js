@@ -1,11 +1,38 @@
 const Log = require('../models/log');
 const Device = require('../models/device');
-const cacheService = require('../services/cacheService');
+const organizationService = require('../services/organizationService');
+const idempotencyService = require('../services/idempotencyService');
+const alertService = require('../services/alertService');
+const aggregationService = require('../services/aggregationService');
+const dateRangeService = require('../services/dateRangeService');
+const rollupService = require('../services/rollupService');
+const {
+  batchReadingSchema,
+  checkReadingTimestamp,
+  readingTimeFields
+} = require('../services/logService');
 
 exports.createLog = async (req, res) => {
   try {
-    const { event, value } = req.body;
-    const device = await Device.findOne({ _id: req.params.id, owner_id: req.user.id });
+    const { event, value, timestamp, messageId } = req.body;
+    const idempotencyKey = req.header('Idempotency-Key') || messageId;
+    const receivedAt = new Date();
+
+    if (timestamp) {
+      const timestampError = checkReadingTimestamp(timestamp, receivedAt);
+      if (timestampError) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_TIMESTAMP',
+            message: timestampError,
+            field: 'timestamp'
+          }
+        });
+      }
+    }
+
+    const device = await organizationService.findDevice(req, req.params.id, 'member');
     
     if (!device) {
       return res.status(404).json({ 
@@ -17,12 +44,69 @@ exports.createLog = async (req, res) => {
       });
     }
     
-    const log = new Log({ device_id: device._id, event, value });
-    await log.save();
+    if (idempotencyKey) {
+      const claim = await idempotencyService.claim(
+        device._id,
+        idempotencyKey,
+        idempotencyService.fingerprint(req.body)
+      );
+
+      if (claim.status === 'replay') {
+        const original = await Log.findById(claim.logId);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(201).json({ success: true, data: { log: original } });
+      }
+
+      if (claim.status === 'in_progress') {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'IDEMPOTENCY_IN_PROGRESS',
+            message: 'A request with this idempotency key is still being processed'
+          }
+        });
+      }
+
+      if (claim.status === 'mismatch') {
+        return res.status(422).json({
+          success: false,
+          error: {
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            message: 'Idempotency key was already used with a different reading'
+          }
+        });
+      }
+    }
+    
+    const log = new Log({
+      device_id: device._id,
+      event,
+      value,
+      message_id: idempotencyKey || null,
+      ...readingTimeFields(timestamp, receivedAt)
+    });
+
+    try {
+      await log.save();
+    } catch (error) {
+      if (idempotencyKey) {
+        await idempotencyService.release([{ deviceId: device._id, key: idempotencyKey }]);
+      }
+      throw error;
+    }
+
+    if (idempotencyKey) {
+      await idempotencyService.complete(device._id, idempotencyKey, log._id);
+    }
+    
+    // Invalidate analytics for every member and this device's log caches
+    await organizationService.invalidateMemberCaches(device.organization_id, ['analytics'], [
+      `logs:${device._id}:*`,
+      `usage:${device._id}:*`,
+      `device:${device._id}:*`
+    ]);
     
-    // Invalidate analytics cache when new logs are created
-    await cacheService.invalidatePattern(`analytics:${req.user.id}:*`);
-    await cacheService.invalidatePattern(`logs:${device._id}:*`);
+    await alertService.evaluateDevice(device, [event]);
     
     res.status(201).json({ success: true, data: { log } });
   } catch (err) {
@@ -37,9 +121,209 @@ exports.createLog = async (req, res) => {
   }
 };
 
+exports.createLogsBatch = async (req, res) => {
+  try {
+    const { deviceId: defaultDeviceId, readings } = req.body;
+    const receivedAt = new Date();
+
+    // Apply the request-level device to readings that don't name one
+    const items = readings.map(reading => (
+      defaultDeviceId && !reading.deviceId ? { ...reading, deviceId: defaultDeviceId } : reading
+    ));
+
+    // Resolve every referenced device in one query, restricted to the caller's devices
+    const requestedIds = [...new Set(
+      items.map(item => item.deviceId).filter(id => typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id))
+    )];
+    const scope = await organizationService.deviceScope(req, 'member');
+    const devices = await Device.find({ $and: [{ _id: { $in: requestedIds } }, scope] })
+      .select('_id name type organization_id');
+    const ownedIds = new Set(devices.map(d => d._id.toString()));
+    const deviceById = new Map(devices.map(d => [d._id.toString(), d]));
+
+    const results = new Array(items.length);
+    const reject = (index, code, message, field) => {
+      results[index] = {
+        index,
+        status: 'rejected',
+        error: field ? { code, message, field } : { code, message }
+      };
+    };
+
+    // Readings that passed validation, with their item index
+    const candidates = [];
+
+    items.forEach((item, index) => {
+      const { error, value } = batchReadingSchema.validate(item);
+
+      if (error) {
+        return reject(index, 'VALIDATION_ERROR', error.details[0].message, error.details[0].path.join('.'));
+      }
+
+      const timestampError = value.timestamp && checkReadingTimestamp(value.timestamp, receivedAt);
+      if (timestampError) {
+        return reject(index, 'INVALID_TIMESTAMP', timestampError, 'timestamp');
+      }
+
+      if (!ownedIds.has(value.deviceId)) {
+        return reject(index, 'DEVICE_NOT_FOUND', 'Device not found or access denied');
+      }
+
+      candidates.push({ index, reading: value });
+    });
+
+    // Claim message IDs so retried readings are reported as duplicates instead of re-inserted
+    const keyed = candidates.filter(c => c.reading.messageId);
+    const claims = await idempotencyService.claimMany(keyed.map(({ reading }) => ({
+      deviceId: reading.deviceId,
+      key: reading.messageId,
+      fingerprint: idempotencyService.fingerprint(reading)
+    })));
+    const claimByIndex = new Map(keyed.map((c, i) => [c.index, claims[i]]));
+
+    const docs = [];
+    const docIndexes = [];
+    const inBatchDuplicates = [];
+
+    candidates.forEach(({ index, reading }) => {
+      const claim = claimByIndex.get(index);
+
+      if (claim && claim.status === 'replay') {
+        results[index] = { index, status: 'duplicate', logId: claim.logId };
+        return;
+      }
+      if (claim && claim.status === 'in_progress' && claim.duplicateOf !== undefined) {
+        inBatchDuplicates.push({ index, duplicateOf: claim.duplicateOf });
+        return;
+      }
+      if (claim && claim.status === 'in_progress') {
+        return reject(index, 'IDEMPOTENCY_IN_PROGRESS', 'A reading with this message ID is still being processed');
+      }
+      if (claim && claim.status === 'mismatch') {
+        return reject(index, 'IDEMPOTENCY_KEY_REUSED', 'Message ID was already used with a different reading');
+      }
+
+      docIndexes.push(index);
+      docs.push({
+        device_id: reading.deviceId,
+        event: reading.event,
+        value: reading.value,
+        message_id: reading.messageId || null,
+        ...readingTimeFields(reading.timestamp, receivedAt)
+      });
+    });
+
+    // With ordered: false Mongoose reports one result per document, either the saved doc or its write error
+    let writeResults = [];
+
+    if (docs.length > 0) {
+      try {
+        writeResults = await Log.insertMany(docs, { ordered: false });
+      } catch (error) {
+        if (!error.results) throw error;
+        writeResults = error.results;
+      }
+    }
+
+    const completedKeys = [];
+    const releasedKeys = [];
+
+    docIndexes.forEach((itemIndex, docIndex) => {
+      const written = writeResults[docIndex];
+      const doc = docs[docIndex];
+      const keyRef = doc.message_id ? { deviceId: doc.device_id, key: doc.message_id } : null;
+
+      if (!written || !(written instanceof Log)) {
+        if (keyRef) releasedKeys.push(keyRef);
+        return reject(
+          itemIndex,
+          'LOG_WRITE_ERROR',
+          written?.err?.errmsg || written?.errmsg || 'Failed to write reading'
+        );
+      }
+
+      if (keyRef) completedKeys.push({ ...keyRef, logId: written._id });
+      results[itemIndex] = {
+        index: itemIndex,
+        status: 'accepted',
+        logId: written._id
+      };
+    });
+
+    await idempotencyService.completeMany(completedKeys);
+    await idempotencyService.release(releasedKeys);
+
+    // Repeats inside this batch point at whatever happened to their first occurrence
+    inBatchDuplicates.forEach(({ index, duplicateOf }) => {
+      const first = results[duplicateOf];
+      if (first.status === 'accepted') {
+        results[index] = { index, status: 'duplicate', logId: first.logId };
+      } else {
+        reject(index, 'IDEMPOTENCY_IN_PROGRESS', 'Duplicate of a reading in this batch that was not written');
+      }
+    });
+
+    const accepted = results.filter(r => r.status === 'accepted').length;
+    const duplicate = results.filter(r => r.status === 'duplicate').length;
+    const summary = {
+      total: items.length,
+      accepted,
+      duplicate,
+      rejected: items.length - accepted - duplicate
+    };
+
+    // Single invalidation pass for every device touched by this batch
+    if (accepted > 0) {
+      const touchedDevices = [...new Set(
+        results.filter(r => r.status === 'accepted').map(r => items[r.index].deviceId)
+      )];
+
+      const touchedOrganizations = [...new Set(touchedDevices.map(id => deviceById.get(id).organization_id.toString()))];
+
+      await organizationService.invalidateMemberCaches(touchedOrganizations, ['analytics'], [
+        ...touchedDevices.map(id => `logs:${id}:*`),
+        ...touchedDevices.map(id => `usage:${id}:*`),
+        ...touchedDevices.map(id => `device:${id}:*`)
+      ]);
+
+      for (const id of touchedDevices) {
+        const events = results
+          .filter(r => r.status === 'accepted' && items[r.index].deviceId === id)
+          .map(r => items[r.index].event);
+        await alertService.evaluateDevice(deviceById.get(id), events);
+      }
+    }
+
+    if (accepted === 0 && duplicate === 0) {
+      return res.status(422).json({
+        success: false,
+        error: {
+          code: 'BATCH_REJECTED',
+          message: 'No readings in the batch were accepted'
+        },
+        data: { summary, results }
+      });
+    }
+
+    res.status(summary.rejected > 0 ? 207 : 201).json({
+      success: true,
+      data: { summary, results }
+    });
+  } catch (err) {
+    res.status(500).json({ 
+      success: false, 
+      error: {
+        code: 'LOG_BATCH_ERROR',
+        message: 'Failed to ingest log batch',
+        details: err.message
+      }
+    });
+  }
+};
+
 exports.getLogs = async (req, res) => {
   try {
-    const device = await Device.findOne({ _id: req.params.id, owner_id: req.user.id });
+    const device = await organizationService.findDevice(req, req.params.id);
     
     if (!device) {
       return res.status(404).json({ 
@@ -91,7 +375,7 @@ exports.getLogs = async (req, res) => {
 
 exports.getUsage = async (req, res) => {
   try {
-    const device = await Device.findOne({ _id: req.params.id, owner_id: req.user.id });
+    const device = await organizationService.findDevice(req, req.params.id);
     
     if (!device) {
       return res.status(404).json({ 
@@ -103,40 +387,35 @@ exports.getUsage = async (req, res) => {
       });
     }
     
-    let range = req.query.range || '24h';
-    let ms = 24 * 60 * 60 * 1000;
-    
-    if (range.endsWith('h')) {
-      ms = parseInt(range) * 60 * 60 * 1000;
-    } else if (range.endsWith('d')) {
-      ms = parseInt(range) * 24 * 60 * 60 * 1000;
+    const { since, until, range } = dateRangeService.resolve(req.query, '24h');
+    const timeBasis = req.query.timeBasis || 'device';
+    const timezone = req.query.timezone || 'UTC';
+    const bucket = req.query.bucket || aggregationService.defaultBucket(since, until);
+
+    const bucketCount = aggregationService.countBuckets(since, until, bucket);
+    if (bucketCount > aggregationService.MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'TOO_MANY_BUCKETS',
+          message: `Requested window spans about ${bucketCount} ${bucket} buckets, the maximum is ${aggregationService.MAX_BUCKETS}`
+        }
+      });
     }
     
-    const since = new Date(Date.now() - ms);
-    
-    const logs = await Log.find({
-      device_id: device._id,
+    const trend = await rollupService.trend({
+      deviceIds: [device._id],
       event: 'units_consumed',
-      timestamp: { $gte: since }
-    }).sort({ timestamp: 1 });
-    
-    const total = logs.reduce((sum, l) => sum + l.value, 0);
-    const average = logs.length > 0 ? total / logs.length : 0;
-    
-    // Group by hour for trend data
-    const hourlyData = logs.reduce((acc, log) => {
-      const hour = new Date(log.timestamp).getHours();
-      if (!acc[hour]) acc[hour] = { hour, total: 0, count: 0 };
-      acc[hour].total += log.value;
-      acc[hour].count += 1;
-      return acc;
-    }, {});
+      timeBasis,
+      since,
+      until,
+      bucket,
+      timezone
+    });
     
-    const trendData = Object.values(hourlyData).map(data => ({
-      hour: data.hour,
-      usage: data.total,
-      average: data.total / data.count
-    }));
+    const total = trend.reduce((sum, b) => sum + b.usage, 0);
+    const logCount = trend.reduce((sum, b) => sum + b.logCount, 0);
+    const average = logCount > 0 ? total / logCount : 0;
     
     res.json({ 
       success: true, 
@@ -144,12 +423,17 @@ exports.getUsage = async (req, res) => {
         device_id: device._id,
         device_name: device.name,
         range,
+        since,
+        until,
+        timeBasis,
+        bucket,
+        timezone,
         summary: {
           total_units: total,
           average_per_log: average,
-          log_count: logs.length
+          log_count: logCount
         },
-        trend: trendData
+        trend
       }
     });
   } catch (err) {
@@ -0,0 +1,148 @@
+const Notification = require('../models/notification');
+
+const notificationNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'NOTIFICATION_NOT_FOUND',
+    message: 'Notification not found'
+  }
+});
+
+/**
+ * List the caller's in-app notifications, newest first
+ */
+exports.listNotifications = async (req, res) => {
+  try {
+    const { unread, type } = req.query;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    const filter = { user_id: req.user.id };
+    if (unread !== undefined) filter.read_at = unread ? null : { $ne: null };
+    if (type) filter.type = type;
+
+    const [notifications, total, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ user_id: req.user.id, read_at: null })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications,
+        unreadCount,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalNotifications: total,
+          hasNext: skip + notifications.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_FETCH_ERROR',
+        message: 'Failed to fetch notifications',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Count the caller's unread notifications
+ */
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ user_id: req.user.id, read_at: null });
+
+    res.json({ success: true, data: { count } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_FETCH_ERROR',
+        message: 'Failed to count unread notifications',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Mark one notification as read. Already-read notifications keep their read time.
+ */
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.notificationId, user_id: req.user.id });
+    if (!notification) return notificationNotFound(res);
+
+    if (!notification.read_at) {
+      notification.read_at = new Date();
+      await notification.save();
+    }
+
+    res.json({ success: true, data: { notification } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_UPDATE_ERROR',
+        message: 'Failed to mark notification as read',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Mark every unread notification as read
+ */
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user_id: req.user.id, read_at: null },
+      { read_at: new Date() }
+    );
+
+    res.json({ success: true, data: { updated: result.modifiedCount } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_UPDATE_ERROR',
+        message: 'Failed to mark notifications as read',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete a notification from the caller's inbox
+ */
+exports.deleteNotification = async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.notificationId, user_id: req.user.id });
+    if (result.deletedCount === 0) return notificationNotFound(res);
+
+    res.json({ success: true, message: 'Notification deleted successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'NOTIFICATION_DELETE_ERROR',
+        message: 'Failed to delete notification',
+        details: err.message
+      }
+    });
+  }
+};
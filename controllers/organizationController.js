@@ -0,0 +1,373 @@
+const Organization = require('../models/organization');
+const Device = require('../models/device');
+const User = require('../models/user');
+const organizationService = require('../services/organizationService');
+const realtimeService = require('../services/realtimeService');
+const { logAuditEvent } = require('../services/logger');
+
+const organizationNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'ORGANIZATION_NOT_FOUND',
+    message: 'Organization not found or access denied'
+  }
+});
+
+const insufficientRole = (res, message) => res.status(403).json({
+  success: false,
+  error: {
+    code: 'INSUFFICIENT_ROLE',
+    message
+  }
+});
+
+const memberNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'MEMBER_NOT_FOUND',
+    message: 'User is not a member of this organization'
+  }
+});
+
+const lastOwner = (res) => res.status(409).json({
+  success: false,
+  error: {
+    code: 'LAST_OWNER',
+    message: 'An organization must keep at least one owner'
+  }
+});
+
+/**
+ * Create an organization with the caller as owner
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(req.user.id, req.body.name);
+
+    logAuditEvent('ORGANIZATION_CREATED', req.user.id, { organizationId: organization._id });
+
+    res.status(201).json({
+      success: true,
+      data: { organization: { ...organization.toObject(), role: 'owner' } }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORGANIZATION_CREATION_ERROR',
+        message: 'Failed to create organization',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List the caller's organizations with their role in each
+ */
+exports.listOrganizations = async (req, res) => {
+  try {
+    const memberships = await organizationService.getMemberships(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        organizations: memberships.map(({ organization, role }) => ({
+          _id: organization._id,
+          name: organization.name,
+          isPersonal: organization.isPersonal,
+          memberCount: organization.members.length,
+          role,
+          createdAt: organization.createdAt
+        }))
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORGANIZATION_FETCH_ERROR',
+        message: 'Failed to fetch organizations',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Get an organization with its members
+ */
+exports.getOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    const role = organization.getRole(req.user.id);
+    const [deviceCount] = await Promise.all([
+      Device.countDocuments({ organization_id: organization._id }),
+      organization.populate('members.user', 'name email')
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        organization: { ...organization.toObject(), role, deviceCount }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORGANIZATION_FETCH_ERROR',
+        message: 'Failed to fetch organization',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Rename an organization
+ */
+exports.updateOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    if (!organizationService.hasRole(organization.getRole(req.user.id), 'admin')) {
+      return insufficientRole(res, 'Updating an organization requires the admin role or higher');
+    }
+
+    organization.name = req.body.name;
+    await organization.save();
+
+    res.json({ success: true, data: { organization } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORGANIZATION_UPDATE_ERROR',
+        message: 'Failed to update organization',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete an empty organization
+ */
+exports.deleteOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    if (organization.getRole(req.user.id) !== 'owner') {
+      return insufficientRole(res, 'Only owners can delete an organization');
+    }
+
+    if (organization.isPersonal) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'PERSONAL_ORGANIZATION',
+          message: 'Personal organizations cannot be deleted'
+        }
+      });
+    }
+
+    const deviceCount = await Device.countDocuments({ organization_id: organization._id });
+    if (deviceCount > 0) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ORGANIZATION_NOT_EMPTY',
+          message: 'Delete or move the organization\'s devices first',
+          details: { deviceCount }
+        }
+      });
+    }
+
+    await organization.deleteOne();
+
+    logAuditEvent('ORGANIZATION_DELETED', req.user.id, { organizationId: organization._id });
+
+    res.json({ success: true, message: 'Organization deleted successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'ORGANIZATION_DELETE_ERROR',
+        message: 'Failed to delete organization',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Add a user to an organization by email
+ */
+exports.addMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    const callerRole = organization.getRole(req.user.id);
+    if (!organizationService.hasRole(callerRole, 'admin')) {
+      return insufficientRole(res, 'Managing members requires the admin role or higher');
+    }
+    if (role === 'owner' && callerRole !== 'owner') {
+      return insufficientRole(res, 'Only owners can add other owners');
+    }
+
+    const user = await User.findOne({ email }).select('name email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'USER_NOT_FOUND',
+          message: 'No user is registered with this email'
+        }
+      });
+    }
+
+    if (organization.getRole(user._id)) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'ALREADY_MEMBER',
+          message: 'User is already a member of this organization'
+        }
+      });
+    }
+
+    organization.members.push({ user: user._id, role });
+    await organization.save();
+    await organizationService.invalidateUserCaches(user._id);
+
+    logAuditEvent('ORGANIZATION_MEMBER_ADDED', req.user.id, {
+      organizationId: organization._id,
+      memberId: user._id,
+      role
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        member: { user: { _id: user._id, name: user.name, email: user.email }, role }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MEMBER_ADD_ERROR',
+        message: 'Failed to add member',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Change a member's role
+ */
+exports.updateMemberRole = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return memberNotFound(res);
+
+    const callerRole = organization.getRole(req.user.id);
+    if (!organizationService.hasRole(callerRole, 'admin')) {
+      return insufficientRole(res, 'Managing members requires the admin role or higher');
+    }
+    if ((role === 'owner' || member.role === 'owner') && callerRole !== 'owner') {
+      return insufficientRole(res, 'Only owners can grant or revoke the owner role');
+    }
+    if (member.role === 'owner' && role !== 'owner' && organizationService.countOwners(organization) === 1) {
+      return lastOwner(res);
+    }
+
+    const previousRole = member.role;
+    member.role = role;
+    await organization.save();
+    await organizationService.invalidateUserCaches(member.user);
+
+    logAuditEvent('ORGANIZATION_MEMBER_ROLE_CHANGED', req.user.id, {
+      organizationId: organization._id,
+      memberId: member.user,
+      previousRole,
+      role
+    });
+
+    res.json({ success: true, data: { member } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MEMBER_UPDATE_ERROR',
+        message: 'Failed to update member',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Remove a member, or leave the organization when removing yourself
+ */
+exports.removeMember = async (req, res) => {
+  try {
+    const organization = await organizationService.findForMember(req.params.orgId, req.user.id);
+    if (!organization) return organizationNotFound(res);
+
+    const member = organization.members.find(m => m.user.toString() === req.params.userId);
+    if (!member) return memberNotFound(res);
+
+    const callerRole = organization.getRole(req.user.id);
+    const leaving = req.params.userId === req.user.id.toString();
+    if (!leaving && !organizationService.hasRole(callerRole, 'admin')) {
+      return insufficientRole(res, 'Managing members requires the admin role or higher');
+    }
+    if (!leaving && member.role === 'owner' && callerRole !== 'owner') {
+      return insufficientRole(res, 'Only owners can remove other owners');
+    }
+    if (member.role === 'owner' && organizationService.countOwners(organization) === 1) {
+      return lastOwner(res);
+    }
+
+    await Organization.updateOne(
+      { _id: organization._id },
+      { $pull: { members: { user: member.user } } }
+    );
+    await organizationService.invalidateUserCaches(member.user);
+
+    // Stop live updates the user would no longer be allowed to subscribe to
+    const deviceIds = await Device.find({ organization_id: organization._id }).distinct('_id');
+    realtimeService.removeUserFromOrganization(member.user, organization._id, deviceIds);
+
+    logAuditEvent('ORGANIZATION_MEMBER_REMOVED', req.user.id, {
+      organizationId: organization._id,
+      memberId: member.user
+    });
+
+    res.json({ success: true, message: leaving ? 'Left organization successfully' : 'Member removed successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'MEMBER_REMOVE_ERROR',
+        message: 'Failed to remove member',
+        details: err.message
+      }
+    });
+  }
+};
@@ -1,5 +1,24 @@
 const User = require('../models/user');
 const cacheService = require('../services/cacheService');
+const notificationService = require('../services/notificationService');
+const config = require('../config');
+
+const userNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'USER_NOT_FOUND',
+    message: 'User not found'
+  }
+});
+
+const serializePreferences = (preferences) => preferences.toObject({ flattenMaps: true });
+
+// The caller's raw log retention setting alongside the policies it overrides
+const serializeRetention = (user) => ({
+  logRetentionDays: user.logRetentionDays,
+  defaultDays: config.logRetention.defaultDays || null,
+  typeDays: config.logRetention.typeDays
+});
 
 /**
  * Get user profile
@@ -176,4 +195,172 @@ exports.getAllUsers = async (req, res) => {
       }
     });
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Get the caller's notification channel preferences
+ */
+exports.getNotificationPreferences = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) return userNotFound(res);
+
+    res.json({
+      success: true,
+      data: { preferences: serializePreferences(user.notificationPreferences) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PREFERENCES_FETCH_ERROR',
+        message: 'Failed to fetch notification preferences',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Update the caller's notification channel preferences.
+ * Omitted fields are kept; a null per-type entry removes that override.
+ */
+exports.updateNotificationPreferences = async (req, res) => {
+  try {
+    const { channels, webhookUrl, types } = req.body;
+
+    const user = await User.findById(req.user.id).select('notificationPreferences');
+    if (!user) return userNotFound(res);
+
+    const preferences = user.notificationPreferences;
+    if (channels) {
+      Object.entries(channels).forEach(([channel, enabled]) => {
+        preferences.channels[channel] = enabled;
+      });
+    }
+    if (webhookUrl !== undefined) preferences.webhookUrl = webhookUrl;
+    if (types) {
+      Object.entries(types).forEach(([type, typeChannels]) => {
+        if (typeChannels === null) preferences.types.delete(type);
+        else preferences.types.set(type, typeChannels);
+      });
+    }
+
+    const usesWebhook = preferences.channels.webhook
+      || [...preferences.types.values()].some(typeChannels => typeChannels.includes('webhook'));
+    if (usesWebhook && !preferences.webhookUrl) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_URL_REQUIRED',
+          message: 'Set webhookUrl before enabling the webhook channel'
+        }
+      });
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Notification preferences updated successfully',
+      data: { preferences: serializePreferences(preferences) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'PREFERENCES_UPDATE_ERROR',
+        message: 'Failed to update notification preferences',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * List the caller's notification deliveries with their status
+ */
+exports.getNotificationDeliveries = async (req, res) => {
+  try {
+    const { page, limit, channel, status } = req.query;
+    const { deliveries, total } = await notificationService.getDeliveries(req.user.id, {
+      page,
+      limit,
+      channel,
+      status
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDeliveries: total,
+          hasNext: page * limit < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'DELIVERIES_FETCH_ERROR',
+        message: 'Failed to fetch notification deliveries',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Get how long raw logs of the caller's devices are kept
+ */
+exports.getLogRetention = async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('logRetentionDays');
+    if (!user) return userNotFound(res);
+
+    res.json({ success: true, data: { retention: serializeRetention(user) } });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RETENTION_FETCH_ERROR',
+        message: 'Failed to fetch log retention',
+        details: error.message
+      }
+    });
+  }
+};
+
+/**
+ * Set how long raw logs of devices in the caller's personal organization are kept; null falls back to the defaults
+ */
+exports.updateLogRetention = async (req, res) => {
+  try {
+    const user = await User.findByIdAndUpdate(
+      req.user.id,
+      { logRetentionDays: req.body.logRetentionDays },
+      { new: true, runValidators: true }
+    ).select('logRetentionDays');
+    if (!user) return userNotFound(res);
+
+    res.json({
+      success: true,
+      message: 'Log retention updated successfully',
+      data: { retention: serializeRetention(user) }
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RETENTION_UPDATE_ERROR',
+        message: 'Failed to update log retention',
+        details: error.message
+      }
+    });
+  }
+};
@@ -0,0 +1,223 @@
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const webhookService = require('../services/webhookService');
+const { logAuditEvent } = require('../services/logger');
+
+const webhookNotFound = (res) => res.status(404).json({
+  success: false,
+  error: {
+    code: 'WEBHOOK_NOT_FOUND',
+    message: 'Webhook not found'
+  }
+});
+
+/**
+ * Register a webhook endpoint. The signing secret is only returned here.
+ */
+exports.createWebhook = async (req, res) => {
+  try {
+    const { url, description, events, enabled } = req.body;
+    const secret = webhookService.generateSecret();
+
+    const webhook = await Webhook.create({
+      user_id: req.user.id,
+      url,
+      description,
+      events,
+      enabled,
+      secret
+    });
+
+    logAuditEvent('WEBHOOK_CREATED', req.user.id, { webhookId: webhook._id, events });
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created. Store the signing secret securely, it will not be shown again.',
+      data: {
+        webhook: webhook.toSafeObject(),
+        secret
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_CREATION_ERROR',
+        message: 'Failed to create webhook',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List the caller's webhooks
+ */
+exports.listWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ user_id: req.user.id }).sort({ createdAt: -1 });
+
+    res.json({ success: true, data: { webhooks } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_FETCH_ERROR',
+        message: 'Failed to fetch webhooks',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Get one webhook
+ */
+exports.getWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.webhookId, user_id: req.user.id });
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({ success: true, data: { webhook } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_FETCH_ERROR',
+        message: 'Failed to fetch webhook',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Update a webhook's URL, description, subscriptions or enabled flag
+ */
+exports.updateWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndUpdate(
+      { _id: req.params.webhookId, user_id: req.user.id },
+      { $set: req.body },
+      { new: true, runValidators: true }
+    );
+    if (!webhook) return webhookNotFound(res);
+
+    res.json({ success: true, data: { webhook } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_UPDATE_ERROR',
+        message: 'Failed to update webhook',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Delete a webhook. Queued deliveries fail on their next attempt.
+ */
+exports.deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOneAndDelete({ _id: req.params.webhookId, user_id: req.user.id });
+    if (!webhook) return webhookNotFound(res);
+
+    logAuditEvent('WEBHOOK_DELETED', req.user.id, { webhookId: webhook._id });
+
+    res.json({ success: true, message: 'Webhook deleted successfully' });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_DELETE_ERROR',
+        message: 'Failed to delete webhook',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * List a webhook's deliveries, newest first
+ */
+exports.listDeliveries = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.webhookId, user_id: req.user.id });
+    if (!webhook) return webhookNotFound(res);
+
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const skip = (page - 1) * limit;
+
+    const filter = { webhook_id: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.event) filter.event = req.query.event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WebhookDelivery.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          totalDeliveries: total,
+          hasNext: skip + deliveries.length < total,
+          hasPrev: page > 1
+        }
+      }
+    });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_DELIVERY_FETCH_ERROR',
+        message: 'Failed to fetch webhook deliveries',
+        details: err.message
+      }
+    });
+  }
+};
+
+/**
+ * Queue a new attempt of a past delivery with the same payload
+ */
+exports.redeliver = async (req, res) => {
+  try {
+    const webhook = await Webhook.findOne({ _id: req.params.webhookId, user_id: req.user.id });
+    if (!webhook) return webhookNotFound(res);
+
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, webhook_id: webhook._id });
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'WEBHOOK_DELIVERY_NOT_FOUND',
+          message: 'Webhook delivery not found'
+        }
+      });
+    }
+
+    const redelivery = await webhookService.redeliver(delivery);
+
+    res.status(202).json({ success: true, data: { delivery: redelivery } });
+  } catch (err) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WEBHOOK_REDELIVERY_ERROR',
+        message: 'Failed to redeliver webhook',
+        details: err.message
+      }
+    });
+  }
+};
@@ -1,14 +1,13 @@
 const cron = require('node-cron');
-const Device = require('../models/device');
+const config = require('../config');
+const deviceStatusService = require('../services/deviceStatusService');
+const { logError } = require('../services/logger');
 
-cron.schedule('0 * * * *', async () => {
-  const cutoff = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  const result = await Device.updateMany(
-    { last_active_at: { $lt: cutoff }, status: 'active' },
-    { $set: { status: 'inactive' } }
-  );
-  if (result.modifiedCount > 0) {
-    console.log(`Auto-deactivated ${result.modifiedCount} devices (inactive >24h)`);
+// Timeouts are evaluated per device, so the schedule only bounds how late a deactivation can be
+cron.schedule(config.deactivation.schedule, async () => {
+  try {
+    await deviceStatusService.deactivateInactiveDevices();
+  } catch (error) {
+    logError(error, { context: 'Device deactivation job' });
   }
 });
-
@@ -1,5 +1,68 @@
 const tokenService = require('../services/tokenService');
+const apiKeyService = require('../services/apiKeyService');
 const User = require('../models/user');
+const { logSecurityEvent } = require('../services/logger');
+
+/**
+ * Authenticate a request with a device API key (X-API-Key header).
+ * Keys are scoped to a single device's ingestion and heartbeat endpoints.
+ */
+const apiKeyAuth = async (req, res, next, key) => {
+  try {
+    const { apiKey, device } = await apiKeyService.verifyKey(key);
+    const path = req.originalUrl.split('?')[0];
+
+    if (!apiKeyService.isRequestAllowed(apiKey, req.method, path)) {
+      logSecurityEvent('API_KEY_SCOPE_VIOLATION', {
+        keyId: apiKey._id,
+        deviceId: apiKey.deviceId,
+        method: req.method,
+        path,
+        ip: req.clientIp || req.ip
+      });
+
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'API_KEY_SCOPE_ERROR',
+          message: 'API key is not allowed to access this endpoint'
+        }
+      });
+    }
+
+    const user = await User.findById(device.owner_id).select('-password -refreshTokens');
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'AUTH_ERROR',
+          message: 'Invalid API key. Device owner not found.'
+        }
+      });
+    }
+
+    apiKeyService.touchKey(apiKey, req.clientIp || req.ip);
+
+    req.user = user;
+    req.apiKey = apiKey;
+    req.device = device;
+    next();
+  } catch (error) {
+    logSecurityEvent('API_KEY_AUTH_FAILED', {
+      error: error.message,
+      ip: req.clientIp || req.ip
+    });
+
+    res.status(401).json({
+      success: false,
+      error: {
+        code: error.message.includes('revoked') ? 'API_KEY_REVOKED' : 'INVALID_API_KEY',
+        message: 'API key authentication failed',
+        details: error.message
+      }
+    });
+  }
+};
 
 /**
  * Authentication middleware
@@ -7,6 +70,11 @@ const User = require('../models/user');
 const auth = async (req, res, next) => {
   try {
     const token = req.header('Authorization')?.replace('Bearer ', '');
+    const apiKey = req.header('X-API-Key');
+
+    if (!token && apiKey) {
+      return apiKeyAuth(req, res, next, apiKey);
+    }
     
     if (!token) {
       return res.status(401).json({
@@ -1,4 +1,5 @@
 const cacheService = require('../services/cacheService');
+const dateRangeService = require('../services/dateRangeService');
 
 /**
  * Cache middleware factory
@@ -107,13 +108,36 @@ const invalidateCache = (pattern) => {
 
 /**
  * Device-specific cache key generator
+ * Query keys are sorted so the same filters, sort and cursor always map to one entry
  */
 const deviceCacheKey = (req) => {
   const userId = req.user ? req.user._id || req.user.id : 'anonymous';
-  const queryString = Object.keys(req.query).length > 0 ? JSON.stringify(req.query) : '';
+  const keys = Object.keys(req.query).sort();
+  const queryString = keys.length > 0
+    ? JSON.stringify(keys.map(key => [key, req.query[key]]))
+    : '';
   return `devices:${userId}:${queryString}`;
 };
 
+/**
+ * Device detail cache key generator
+ * Keyed by device rather than owner so log ingestion can invalidate it directly
+ */
+const deviceDetailCacheKey = (req) => {
+  const userId = req.user ? req.user._id || req.user.id : 'anonymous';
+  return `device:${req.params.id}:detail:${userId}`;
+};
+
+/**
+ * Device availability cache key generator
+ * Shares the device prefix so status changes invalidate it with the detail entry
+ */
+const deviceAvailabilityCacheKey = (req) => {
+  const userId = req.user ? req.user._id || req.user.id : 'anonymous';
+  const window = dateRangeService.cacheSegment(req.query, '7d');
+  return `device:${req.params.id}:availability:${userId}:${window}`;
+};
+
 /**
  * User-specific cache key generator
  */
@@ -134,6 +158,8 @@ module.exports = {
   cache,
   invalidateCache,
   deviceCacheKey,
+  deviceDetailCacheKey,
+  deviceAvailabilityCacheKey,
   userCacheKey,
   deviceInvalidationPattern
 };
\ No newline at end of file
@@ -91,11 +91,13 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'X-API-Key',
-    'X-Request-ID'
+    'X-Request-ID',
+    'Idempotency-Key'
   ],
   exposedHeaders: [
     'X-Response-Time',
     'X-Request-ID',
+    'Idempotent-Replayed',
     'X-Rate-Limit-Limit',
     'X-Rate-Limit-Remaining',
     'X-Rate-Limit-Reset'
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['open', 'acknowledged', 'resolved'];
+const KINDS = ['threshold', 'offline'];
+
+// Threshold alerts carry their rule's condition, offline alerts have no rule
+function isThreshold() {
+  return this.kind === 'threshold';
+}
+
+const alertSchema = new mongoose.Schema({
+  kind: { type: String, enum: KINDS, default: 'threshold' },
+  rule_id: { type: mongoose.Schema.Types.ObjectId, ref: 'AlertRule', required: isThreshold, default: null },
+  device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  organization_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  status: { type: String, enum: STATUSES, default: 'open' },
+  severity: { type: String, enum: ['info', 'warning', 'critical'], default: 'warning' },
+  message: { type: String, required: true },
+  // Rule condition at the time the alert opened, so later rule edits don't rewrite history
+  event: { type: String, required: isThreshold },
+  comparator: { type: String, required: isThreshold },
+  threshold: { type: Number, required: isThreshold },
+  trigger_value: { type: Number, required: isThreshold },
+  last_value: { type: Number, required: isThreshold },
+  // Offline alerts: the last heartbeat seen before the device went quiet
+  last_heartbeat_at: { type: Date, default: null },
+  triggered_at: { type: Date, default: Date.now },
+  acknowledged_at: { type: Date, default: null },
+  acknowledged_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resolved_at: { type: Date, default: null },
+  resolved_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null } // null when auto-resolved
+}, { timestamps: true });
+
+alertSchema.index({ rule_id: 1, device_id: 1, status: 1 });
+alertSchema.index({ organization_id: 1, status: 1, triggered_at: -1 });
+alertSchema.index({ device_id: 1, triggered_at: -1 });
+alertSchema.index({ kind: 1, status: 1, device_id: 1 });
+
+alertSchema.statics.STATUSES = STATUSES;
+alertSchema.statics.KINDS = KINDS;
+
+module.exports = mongoose.model('Alert', alertSchema);
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+const COMPARATORS = ['gt', 'gte', 'lt', 'lte', 'eq', 'ne'];
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+const alertRuleSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  organization_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  created_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  comparator: { type: String, enum: COMPARATORS, required: true },
+  threshold: { type: Number, required: true },
+  // A rule targets either one device or every device of a type in the organization
+  device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', default: null },
+  device_type: { type: String, default: null },
+  // How long readings must stay past the threshold before an alert opens (0 fires immediately)
+  duration_seconds: { type: Number, min: 0, default: 0 },
+  severity: { type: String, enum: SEVERITIES, default: 'warning' },
+  enabled: { type: Boolean, default: true }
+}, { timestamps: true });
+
+alertRuleSchema.index({ organization_id: 1, event: 1, enabled: 1 });
+alertRuleSchema.index({ device_id: 1 });
+
+alertRuleSchema.pre('validate', function(next) {
+  if (!this.device_id === !this.device_type) {
+    this.invalidate('device_id', 'Exactly one of device_id or device_type is required');
+  }
+  next();
+});
+
+alertRuleSchema.statics.COMPARATORS = COMPARATORS;
+alertRuleSchema.statics.SEVERITIES = SEVERITIES;
+
+module.exports = mongoose.model('AlertRule', alertRuleSchema);
@@ -1,12 +1,48 @@
 const mongoose = require('mongoose');
+const Organization = require('./organization');
+
+const locationSchema = new mongoose.Schema({
+  name: { type: String, default: null },
+  latitude: { type: Number, min: -90, max: 90, default: null },
+  longitude: { type: Number, min: -180, max: 180, default: null },
+}, { _id: false });
+
+const attributesSchema = new mongoose.Schema({
+  serial: { type: String, default: null, trim: true },
+  firmware: { type: String, default: null, trim: true },
+  model: { type: String, default: null, trim: true },
+  location: { type: locationSchema, default: () => ({}) },
+}, { _id: false });
+
+// Tags are matched case-insensitively, so store them normalized and unique
+const normalizeTags = (tags) => [...new Set((tags || []).map(tag => tag.trim().toLowerCase()).filter(Boolean))];
 
 const deviceSchema = new mongoose.Schema({
   name: { type: String, required: true },
   type: { type: String, required: true },
   status: { type: String, enum: ['active', 'inactive'], default: 'active' },
   last_active_at: { type: Date, default: null },
+  // Overrides the per-type and default inactivity timeouts used by auto-deactivation
+  inactivity_timeout_minutes: { type: Number, min: 1, max: 43200, default: null },
+  // Expected heartbeat interval; devices without one are not monitored for missed heartbeats
+  heartbeat_interval_seconds: { type: Number, min: 10, max: 86400, default: null },
   owner_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  organization_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  tags: { type: [String], default: [], set: normalizeTags },
+  attributes: { type: attributesSchema, default: () => ({}) },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Device', deviceSchema);
+deviceSchema.index({ organization_id: 1, createdAt: -1 });
+deviceSchema.index({ organization_id: 1, tags: 1 });
+deviceSchema.index({ organization_id: 1, 'attributes.serial': 1 });
+deviceSchema.index({ organization_id: 1, name: 1, _id: 1 });
+
+// Devices registered without an organization belong to the owner's personal organization
+deviceSchema.pre('validate', async function() {
+  if (!this.organization_id && this.owner_id) {
+    const organization = await Organization.findOrCreatePersonal(this.owner_id);
+    this.organization_id = organization._id;
+  }
+});
 
+module.exports = mongoose.model('Device', deviceSchema);
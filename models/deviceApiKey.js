@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const deviceApiKeySchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    default: 'default'
+  },
+  prefix: {
+    type: String,
+    required: true
+  },
+  keyHash: {
+    type: String,
+    required: true
+  },
+  scopes: {
+    type: [{ type: String, enum: ['logs:write', 'heartbeat'] }],
+    default: ['logs:write', 'heartbeat']
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  lastUsedIp: {
+    type: String,
+    default: null
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  rotatedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DeviceApiKey',
+    default: null
+  }
+}, { timestamps: true });
+
+// Indexes for key lookup and listing
+deviceApiKeySchema.index({ prefix: 1 }, { unique: true });
+deviceApiKeySchema.index({ deviceId: 1, createdAt: -1 });
+
+// Virtual for active status
+deviceApiKeySchema.virtual('isActive').get(function() {
+  return !this.revokedAt;
+});
+
+// Method to revoke key
+deviceApiKeySchema.methods.revoke = function(rotatedTo = null) {
+  this.revokedAt = new Date();
+  if (rotatedTo) {
+    this.rotatedTo = rotatedTo;
+  }
+  return this.save();
+};
+
+// Remove the hash from API responses
+deviceApiKeySchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    deviceId: this.deviceId,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    active: this.isActive,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    rotatedTo: this.rotatedTo,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('DeviceApiKey', deviceApiKeySchema);
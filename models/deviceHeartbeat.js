@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Heartbeats one device sent during one UTC hour
+const deviceHeartbeatSchema = new mongoose.Schema({
+  device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  bucket_start: { type: Date, required: true },
+  count: { type: Number, required: true },
+  last_at: { type: Date, required: true }
+});
+
+deviceHeartbeatSchema.index({ device_id: 1, bucket_start: 1 }, { unique: true });
+
+// Count a heartbeat in its device's hourly bucket
+deviceHeartbeatSchema.statics.record = function(deviceId, at = new Date()) {
+  return this.updateOne(
+    { device_id: deviceId, bucket_start: new Date(Math.floor(at.getTime() / HOUR_MS) * HOUR_MS) },
+    { $inc: { count: 1 }, $max: { last_at: at } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('DeviceHeartbeat', deviceHeartbeatSchema);
@@ -0,0 +1,20 @@
+const mongoose = require('mongoose');
+
+const deviceStatusHistorySchema = new mongoose.Schema({
+  device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  organization_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Organization', required: true },
+  from: { type: String, enum: ['active', 'inactive'], required: true },
+  to: { type: String, enum: ['active', 'inactive'], required: true },
+  reason: {
+    type: String,
+    enum: ['heartbeat', 'update', 'inactivity_timeout'],
+    required: true
+  },
+  changed_by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for system changes
+  changed_at: { type: Date, default: Date.now }
+});
+
+deviceStatusHistorySchema.index({ device_id: 1, changed_at: -1 });
+deviceStatusHistorySchema.index({ organization_id: 1, changed_at: -1 });
+
+module.exports = mongoose.model('DeviceStatusHistory', deviceStatusHistorySchema);
@@ -8,7 +8,7 @@ const exportJobSchema = new mongoose.Schema({
   },
   type: { 
     type: String, 
-    enum: ['logs', 'usage_report', 'device_report'], 
+    enum: ['logs', 'usage_report', 'device_report', 'availability_report'], 
     required: true 
   },
   status: { 
@@ -17,7 +17,8 @@ const exportJobSchema = new mongoose.Schema({
     default: 'pending' 
   },
   config: {
-    format: { type: String, enum: ['csv', 'json'], default: 'csv' },
+    format: { type: String, enum: ['csv', 'json', 'ndjson', 'xlsx', 'parquet'], default: 'csv' },
+    compression: { type: String, enum: ['none', 'gzip', 'zip'], default: 'none' },
     dateRange: {
       startDate: { type: Date, required: true },
       endDate: { type: Date, required: true }
@@ -31,7 +32,8 @@ const exportJobSchema = new mongoose.Schema({
   result: {
     fileUrl: { type: String, default: null },
     fileName: { type: String, default: null },
-    fileSize: { type: Number, default: 0 },
+    fileSize: { type: Number, default: 0 }, // Size of the stored file, compressed if requested
+    uncompressedSize: { type: Number, default: 0 },
     recordCount: { type: Number, default: 0 },
     downloadCount: { type: Number, default: 0 }
   },
@@ -54,12 +56,15 @@ const exportJobSchema = new mongoose.Schema({
   },
   completedAt: { type: Date, default: null },
   expiresAt: { type: Date, default: null }, // When the file expires
-  notificationSent: { type: Boolean, default: false }
+  notificationSent: { type: Boolean, default: false },
+  // Set on runs started by an export schedule
+  scheduleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExportSchedule', default: null }
 }, { timestamps: true });
 
 // Indexes for efficient querying
 exportJobSchema.index({ userId: 1, createdAt: -1 });
 exportJobSchema.index({ status: 1, createdAt: 1 });
+exportJobSchema.index({ scheduleId: 1, createdAt: -1 });
 exportJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Virtual for duration
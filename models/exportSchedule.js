@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Rolling windows a scheduled export covers, resolved in the schedule's time zone when it runs
+const DATE_RANGES = ['previous_day', 'previous_week', 'previous_month', 'last_7_days', 'last_30_days'];
+
+const exportScheduleSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true },
+  type: {
+    type: String,
+    enum: ['logs', 'usage_report', 'device_report', 'availability_report'],
+    required: true
+  },
+  format: { type: String, enum: ['csv', 'json', 'ndjson', 'xlsx', 'parquet'], default: 'csv' },
+  compression: { type: String, enum: ['none', 'gzip', 'zip'], default: 'none' },
+  cron: { type: String, required: true },
+  timezone: { type: String, default: 'UTC' },
+  dateRange: { type: String, enum: DATE_RANGES, required: true },
+  filters: {
+    deviceIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Device' }],
+    eventTypes: [String],
+    includeInactive: { type: Boolean, default: false }
+  },
+  status: { type: String, enum: ['active', 'paused'], default: 'active' },
+  lastRunAt: { type: Date, default: null },
+  lastJobId: { type: mongoose.Schema.Types.ObjectId, ref: 'ExportJob', default: null },
+  runCount: { type: Number, default: 0 }
+}, { timestamps: true });
+
+exportScheduleSchema.index({ userId: 1, createdAt: -1 });
+exportScheduleSchema.index({ status: 1 });
+
+exportScheduleSchema.statics.DATE_RANGES = DATE_RANGES;
+
+module.exports = mongoose.model('ExportSchedule', exportScheduleSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+const ingestionKeySchema = new mongoose.Schema({
+  deviceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true
+  },
+  key: {
+    type: String,
+    required: true
+  },
+  fingerprint: {
+    type: String,
+    required: true
+  },
+  logId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Log',
+    default: null
+  },
+  // When the request writing the reading claimed the key; see IdempotencyService.takeOver
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, { timestamps: true });
+
+// One key per device inside the window, removed automatically once it expires
+ingestionKeySchema.index({ deviceId: 1, key: 1 }, { unique: true });
+ingestionKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IngestionKey', ingestionKeySchema);
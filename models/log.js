@@ -1,11 +1,46 @@
 const mongoose = require('mongoose');
+const LogRollup = require('./logRollup');
+const { logError } = require('../services/logger');
 
 const logSchema = new mongoose.Schema({
   device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
   event: { type: String, required: true },
   value: { type: Number, required: true },
+  // Device-side reading time (falls back to the receive time when the device doesn't send one)
   timestamp: { type: Date, default: Date.now },
+  // Server-side time the reading was ingested
+  received_at: { type: Date, default: Date.now },
+  timestamp_source: { type: String, enum: ['device', 'server'], default: 'server' },
+  // Idempotency key or per-reading message ID supplied by the device
+  message_id: { type: String, default: null },
 }, { timestamps: true });
 
-module.exports = mongoose.model('Log', logSchema);
+// Keep hourly and daily rollups current on every write path. A failed rollup write must not
+// fail the ingestion, since the reading is already stored; the backfill command repairs it.
+const recordRollups = async (logs) => {
+  try {
+    await LogRollup.recordLogs(logs);
+  } catch (error) {
+    logError(error, { context: 'Log rollup update', count: logs.length });
+  }
+};
+
+logSchema.pre('save', function() {
+  this.$locals.wasNew = this.isNew;
+});
+
+logSchema.post('save', async function(doc) {
+  if (doc.$locals.wasNew) await recordRollups([doc]);
+});
 
+logSchema.post('insertMany', async function(docs) {
+  await recordRollups(docs);
+});
+
+// Unordered batches that partly fail still roll up the readings that were written
+logSchema.post('insertMany', async function(error, docs, next) {
+  if (error.insertedDocs?.length > 0) await recordRollups(error.insertedDocs);
+  next(error);
+});
+
+module.exports = mongoose.model('Log', logSchema);
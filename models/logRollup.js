@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const GRANULARITIES = ['hour', 'day'];
+const GRANULARITY_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+// Log time field each analytics time basis is rolled up on, as in logService.resolveTimeField
+const TIME_FIELDS = {
+  device: 'timestamp',
+  received: 'received_at'
+};
+
+// Count, sum, min and max of one device's readings of one event over a UTC hour or day
+const logRollupSchema = new mongoose.Schema({
+  device_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Device', required: true },
+  event: { type: String, required: true },
+  time_basis: { type: String, enum: Object.keys(TIME_FIELDS), required: true },
+  granularity: { type: String, enum: GRANULARITIES, required: true },
+  bucket_start: { type: Date, required: true },
+  count: { type: Number, required: true },
+  sum: { type: Number, required: true },
+  min: { type: Number, required: true },
+  max: { type: Number, required: true },
+  first_at: { type: Date, required: true },
+  last_at: { type: Date, required: true }
+});
+
+logRollupSchema.index(
+  { device_id: 1, time_basis: 1, granularity: 1, bucket_start: 1, event: 1 },
+  { unique: true }
+);
+logRollupSchema.index({ time_basis: 1, granularity: 1, bucket_start: 1 });
+
+const truncate = (date, granularity) => {
+  const ms = GRANULARITY_MS[granularity];
+  return new Date(Math.floor(date.getTime() / ms) * ms);
+};
+
+// Fold newly written logs into their hourly and daily rollups
+logRollupSchema.statics.recordLogs = async function(logs) {
+  const rollups = new Map();
+
+  logs.forEach(log => {
+    Object.entries(TIME_FIELDS).forEach(([timeBasis, field]) => {
+      const at = log[field];
+      if (!at) return;
+
+      GRANULARITIES.forEach(granularity => {
+        const bucketStart = truncate(at, granularity);
+        const key = [log.device_id, log.event, timeBasis, granularity, bucketStart.getTime()].join(':');
+        const rollup = rollups.get(key) || {
+          filter: {
+            device_id: log.device_id,
+            event: log.event,
+            time_basis: timeBasis,
+            granularity,
+            bucket_start: bucketStart
+          },
+          count: 0,
+          sum: 0,
+          min: log.value,
+          max: log.value,
+          first_at: at,
+          last_at: at
+        };
+
+        rollup.count += 1;
+        rollup.sum += log.value;
+        rollup.min = Math.min(rollup.min, log.value);
+        rollup.max = Math.max(rollup.max, log.value);
+        if (at < rollup.first_at) rollup.first_at = at;
+        if (at > rollup.last_at) rollup.last_at = at;
+        rollups.set(key, rollup);
+      });
+    });
+  });
+
+  if (rollups.size === 0) return;
+
+  await this.bulkWrite([...rollups.values()].map(rollup => ({
+    updateOne: {
+      filter: rollup.filter,
+      update: {
+        $inc: { count: rollup.count, sum: rollup.sum },
+        $min: { min: rollup.min, first_at: rollup.first_at },
+        $max: { max: rollup.max, last_at: rollup.last_at }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+};
+
+logRollupSchema.statics.GRANULARITIES = GRANULARITIES;
+logRollupSchema.statics.GRANULARITY_MS = GRANULARITY_MS;
+logRollupSchema.statics.TIME_FIELDS = TIME_FIELDS;
+
+module.exports = mongoose.model('LogRollup', logRollupSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true },
+  title: { type: String, required: true },
+  message: { type: String, default: '' },
+  data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // Set once pushed to an open socket; unset ones are replayed on the next connect
+  delivered_at: { type: Date, default: null },
+  read_at: { type: Date, default: null }
+}, { timestamps: true });
+
+notificationSchema.index({ user_id: 1, createdAt: -1 });
+notificationSchema.index({ user_id: 1, read_at: 1, delivered_at: 1 });
+
+// Method to build the payload pushed over WebSocket and SSE
+notificationSchema.methods.toPayload = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    title: this.title,
+    message: this.message,
+    data: this.data,
+    read: !!this.read_at,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+const CHANNELS = ['email', 'webhook', 'in_app'];
+
+const notificationDeliverySchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  type: { type: String, required: true },
+  channel: { type: String, enum: CHANNELS, required: true },
+  status: { type: String, enum: ['sent', 'failed', 'skipped'], required: true },
+  recipient: { type: String, default: null },
+  subject: { type: String, default: null },
+  // Export job or alert the notification is about
+  reference_id: { type: String, default: null },
+  error: { type: String, default: null },
+  sent_at: { type: Date, default: null }
+}, { timestamps: true });
+
+notificationDeliverySchema.index({ user_id: 1, createdAt: -1 });
+notificationDeliverySchema.index({ reference_id: 1 });
+
+notificationDeliverySchema.statics.CHANNELS = CHANNELS;
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const ROLES = ['owner', 'admin', 'member', 'viewer'];
+
+const memberSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  role: { type: String, enum: ROLES, default: 'member' },
+  joinedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const organizationSchema = new mongoose.Schema({
+  name: { type: String, required: true, trim: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Every user gets one personal organization for devices registered without one
+  isPersonal: { type: Boolean, default: false },
+  members: { type: [memberSchema], default: [] }
+}, { timestamps: true });
+
+organizationSchema.index({ 'members.user': 1 });
+organizationSchema.index(
+  { createdBy: 1 },
+  { unique: true, partialFilterExpression: { isPersonal: true } }
+);
+
+// Method to get a user's role in this organization
+organizationSchema.methods.getRole = function(userId) {
+  const member = this.members.find(m => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+// Find the user's personal organization, creating it on first use
+organizationSchema.statics.findOrCreatePersonal = async function(userId) {
+  try {
+    return await this.findOneAndUpdate(
+      { createdBy: userId, isPersonal: true },
+      {
+        $setOnInsert: {
+          name: 'Personal',
+          members: [{ user: userId, role: 'owner', joinedAt: new Date() }]
+        }
+      },
+      { upsert: true, new: true }
+    );
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+    return this.findOne({ createdBy: userId, isPersonal: true });
+  }
+};
+
+organizationSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('Organization', organizationSchema);
@@ -9,6 +9,20 @@ const refreshTokenSchema = new mongoose.Schema({
   ip: { type: String, default: null }
 });
 
+const CHANNELS = ['email', 'webhook', 'in_app'];
+
+const notificationPreferencesSchema = new mongoose.Schema({
+  // Channels used for every notification type without an override
+  channels: {
+    email: { type: Boolean, default: true },
+    webhook: { type: Boolean, default: false },
+    in_app: { type: Boolean, default: true }
+  },
+  webhookUrl: { type: String, default: null },
+  // Per-type channel lists, e.g. { export_completed: ['in_app'] }
+  types: { type: Map, of: [{ type: String, enum: CHANNELS }], default: {} }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
   name: { type: String, required: true },
   email: { type: String, required: true, unique: true },
@@ -18,7 +32,10 @@ const userSchema = new mongoose.Schema({
   lastLoginAt: { type: Date, default: null },
   loginAttempts: { type: Number, default: 0 },
   lockUntil: { type: Date, default: null },
-  passwordChangedAt: { type: Date, default: Date.now }
+  passwordChangedAt: { type: Date, default: Date.now },
+  notificationPreferences: { type: notificationPreferencesSchema, default: () => ({}) },
+  // Days to keep raw logs of devices the user owns; null falls back to the device type and default policy
+  logRetentionDays: { type: Number, min: 1, default: null }
 }, { timestamps: true });
 
 // Index for efficient token cleanup
@@ -30,6 +47,15 @@ userSchema.virtual('isLocked').get(function() {
   return !!(this.lockUntil && this.lockUntil > Date.now());
 });
 
+// Method to list the channels enabled for a notification type
+userSchema.methods.getNotificationChannels = function(type) {
+  const preferences = this.notificationPreferences || {};
+  const override = preferences.types?.get(type);
+  if (override) return [...override];
+
+  return CHANNELS.filter(channel => preferences.channels?.[channel]);
+};
+
 // Method to clean expired refresh tokens
 userSchema.methods.cleanExpiredTokens = function() {
   const now = new Date();
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+const EVENTS = [
+  'device.created',
+  'device.updated',
+  'device.deleted',
+  'device.heartbeat',
+  'alert.opened',
+  'alert.acknowledged',
+  'alert.resolved',
+  'export.completed',
+  'export.failed'
+];
+
+const webhookSchema = new mongoose.Schema({
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  url: { type: String, required: true, trim: true },
+  description: { type: String, default: null, trim: true },
+  events: {
+    type: [{ type: String, enum: EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Shared HMAC key; kept retrievable because every delivery is signed with it
+  secret: { type: String, required: true, select: false },
+  enabled: { type: Boolean, default: true },
+  last_delivery_at: { type: Date, default: null },
+  last_delivery_status: { type: String, enum: ['succeeded', 'failed', null], default: null }
+}, { timestamps: true });
+
+webhookSchema.index({ user_id: 1, enabled: 1, events: 1 });
+
+// Method to serialize without the signing secret
+webhookSchema.methods.toSafeObject = function() {
+  const { secret, ...webhook } = this.toObject();
+  return webhook;
+};
+
+webhookSchema.statics.EVENTS = EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
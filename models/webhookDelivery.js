@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const attemptSchema = new mongoose.Schema({
+  attempted_at: { type: Date, default: Date.now },
+  response_status: { type: Number, default: null },
+  response_body: { type: String, default: null }, // Truncated
+  error: { type: String, default: null },
+  duration_ms: { type: Number, default: null }
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook_id: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  user_id: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  event: { type: String, required: true },
+  payload: { type: mongoose.Schema.Types.Mixed, required: true },
+  status: { type: String, enum: ['pending', 'succeeded', 'failed'], default: 'pending' },
+  attempts: { type: [attemptSchema], default: [] },
+  delivered_at: { type: Date, default: null },
+  redelivery_of: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null }
+}, { timestamps: true });
+
+webhookDeliverySchema.index({ webhook_id: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -26,7 +26,8 @@ db.createCollection('devices', {
         name: { bsonType: 'string' },
         type: { bsonType: 'string' },
         status: { enum: ['active', 'inactive'] },
-        owner_id: { bsonType: 'objectId' }
+        owner_id: { bsonType: 'objectId' },
+        organization_id: { bsonType: 'objectId' }
       }
     }
   }
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/adminController');
+const { auth, adminAuth } = require('../middlewares/auth');
+const { roleBasedRateLimiter } = require('../middlewares/rateLimiter');
+const validate = require('../middlewares/validate');
+const Joi = require('joi');
+
+// Validation schemas
+const runLogRetentionSchema = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+// Apply admin authentication and role-based rate limiting to all routes
+router.use(auth, adminAuth, roleBasedRateLimiter);
+
+// Raw log retention: preview what would be deleted, or queue a run
+router.get('/log-retention/preview', adminController.previewLogRetention);
+
+router.post('/log-retention/run',
+  validate(runLogRetentionSchema),
+  adminController.runLogRetention
+);
+
+module.exports = router;
@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const alertController = require('../controllers/alertController');
+const { auth } = require('../middlewares/auth');
+const { generalRateLimiter } = require('../middlewares/rateLimiter');
+const validate = require('../middlewares/validate');
+const Joi = require('joi');
+
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+
+// Validation schemas
+const createRuleSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required(),
+  event: Joi.string().min(2).max(100).required(),
+  comparator: Joi.string().valid('gt', 'gte', 'lt', 'lte', 'eq', 'ne').required(),
+  threshold: Joi.number().required(),
+  deviceId: objectId,
+  deviceType: Joi.string().min(2).max(50),
+  organizationId: objectId, // Type rules only, defaults to the caller's personal organization
+  durationSeconds: Joi.number().integer().min(0).max(7 * 24 * 60 * 60).default(0),
+  severity: Joi.string().valid('info', 'warning', 'critical').default('warning'),
+  enabled: Joi.boolean().default(true)
+}).xor('deviceId', 'deviceType').oxor('deviceId', 'organizationId');
+
+const updateRuleSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  event: Joi.string().min(2).max(100),
+  comparator: Joi.string().valid('gt', 'gte', 'lt', 'lte', 'eq', 'ne'),
+  threshold: Joi.number(),
+  durationSeconds: Joi.number().integer().min(0).max(7 * 24 * 60 * 60),
+  severity: Joi.string().valid('info', 'warning', 'critical'),
+  enabled: Joi.boolean()
+}).min(1);
+
+const ruleQuerySchema = Joi.object({
+  deviceId: objectId,
+  event: Joi.string().max(100)
+});
+
+const alertQuerySchema = Joi.object({
+  kind: Joi.string().valid('threshold', 'offline'),
+  status: Joi.string().valid('open', 'acknowledged', 'resolved'),
+  severity: Joi.string().valid('info', 'warning', 'critical'),
+  deviceId: objectId,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Apply auth and general rate limiting to all routes
+router.use(auth, generalRateLimiter);
+
+// Alert rule routes
+router.post('/rules', 
+  validate(createRuleSchema), 
+  alertController.createRule
+);
+
+router.get('/rules', 
+  validate(ruleQuerySchema, 'query'), 
+  alertController.listRules
+);
+
+router.patch('/rules/:ruleId', 
+  validate(updateRuleSchema), 
+  alertController.updateRule
+);
+
+router.delete('/rules/:ruleId', 
+  alertController.deleteRule
+);
+
+// Alert lifecycle routes
+router.get('/', 
+  validate(alertQuerySchema, 'query'), 
+  alertController.listAlerts
+);
+
+router.get('/:alertId', 
+  alertController.getAlert
+);
+
+router.post('/:alertId/acknowledge', 
+  alertController.acknowledgeAlert
+);
+
+router.post('/:alertId/resolve', 
+  alertController.resolveAlert
+);
+
+module.exports = router;
@@ -6,15 +6,25 @@ const { analyticsRateLimiter } = require('../middlewares/rateLimiter');
 const { cache } = require('../middlewares/cache');
 const validate = require('../middlewares/validate');
 const Joi = require('joi');
+const aggregationService = require('../services/aggregationService');
+const dateRangeService = require('../services/dateRangeService');
 
 // Validation schemas
 const analyticsQuerySchema = Joi.object({
-  range: Joi.string().pattern(/^\d+[hd]$/).default('24h'),
-  devices: Joi.string().pattern(/^[a-fA-F0-9,]+$/) // Comma-separated device IDs
+  ...dateRangeService.QUERY_KEYS, // Defaults to the last 24h
+  devices: Joi.string().pattern(/^[a-fA-F0-9,]+$/), // Comma-separated device IDs
+  timeBasis: Joi.string().valid('device', 'received').default('device')
 });
 
 const dashboardQuerySchema = Joi.object({
-  range: Joi.string().pattern(/^\d+[hd]$/).default('24h')
+  ...dateRangeService.QUERY_KEYS, // Defaults to the last 24h
+  timeBasis: Joi.string().valid('device', 'received').default('device'),
+  bucket: Joi.string().valid(...aggregationService.BUCKET_UNITS), // Defaults by range length
+  timezone: Joi.string().custom(aggregationService.validateTimezone, 'IANA time zone').default('UTC')
+});
+
+const realtimeQuerySchema = Joi.object({
+  timeBasis: Joi.string().valid('device', 'received').default('device')
 });
 
 // Analytics cache key generators
@@ -43,6 +53,7 @@ router.get('/comparison',
 
 // Real-time statistics (30-second cache)
 router.get('/realtime', 
+  validate(realtimeQuerySchema, 'query'),
   cache(30, analyticsCacheKey), // 30 seconds
   analyticsController.getRealTimeStats
 );
@@ -1,32 +1,91 @@
 const express = require('express');
 const router = express.Router();
 const deviceController = require('../controllers/deviceController');
+const apiKeyController = require('../controllers/apiKeyController');
+const logController = require('../controllers/logController');
+const config = require('../config');
 const { auth } = require('../middlewares/auth');
 const { deviceRateLimiter } = require('../middlewares/rateLimiter');
-const { cache, deviceCacheKey } = require('../middlewares/cache');
+const { cache, deviceCacheKey, deviceDetailCacheKey, deviceAvailabilityCacheKey } = require('../middlewares/cache');
 const validate = require('../middlewares/validate');
+const { SORT_FIELDS } = require('../services/deviceService');
+const dateRangeService = require('../services/dateRangeService');
 const Joi = require('joi');
 
 // Validation schemas
+const tagsSchema = Joi.array()
+  .items(Joi.string().trim().min(1).max(50).pattern(/^[a-zA-Z0-9_\-:.]+$/))
+  .max(20);
+
+const locationSchema = Joi.object({
+  name: Joi.string().max(200).allow(null),
+  latitude: Joi.number().min(-90).max(90).allow(null),
+  longitude: Joi.number().min(-180).max(180).allow(null)
+});
+
+const attributesSchema = Joi.object({
+  serial: Joi.string().trim().max(100).allow(null),
+  firmware: Joi.string().trim().max(50).allow(null),
+  model: Joi.string().trim().max(100).allow(null),
+  location: locationSchema.allow(null)
+});
+
 const deviceSchema = Joi.object({
   name: Joi.string().required().min(2).max(100),
   type: Joi.string().required().min(2).max(50),
-  status: Joi.string().valid('active', 'inactive').default('active')
+  status: Joi.string().valid('active', 'inactive').default('active'),
+  inactivityTimeoutMinutes: Joi.number().integer().min(1).max(43200).allow(null),
+  heartbeatIntervalSeconds: Joi.number().integer().min(10).max(86400).allow(null),
+  tags: tagsSchema,
+  attributes: attributesSchema,
+  organizationId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/) // Defaults to the caller's personal organization
 });
 
 const updateDeviceSchema = Joi.object({
   name: Joi.string().min(2).max(100),
   type: Joi.string().min(2).max(50),
-  status: Joi.string().valid('active', 'inactive')
+  status: Joi.string().valid('active', 'inactive'),
+  inactivityTimeoutMinutes: Joi.number().integer().min(1).max(43200).allow(null), // null restores the type default
+  heartbeatIntervalSeconds: Joi.number().integer().min(10).max(86400).allow(null), // null stops monitoring
+  tags: tagsSchema,
+  attributes: attributesSchema
 });
 
 const heartbeatSchema = Joi.object({
   status: Joi.string().valid('active', 'inactive').required()
 });
 
+// Readings are validated individually in the controller so one bad item doesn't fail the batch
+const batchLogSchema = Joi.object({
+  deviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  readings: Joi.array()
+    .items(Joi.object().unknown(true))
+    .min(1)
+    .max(config.ingestion.maxBatchSize)
+    .required()
+});
+
+const availabilityQuerySchema = Joi.object({
+  ...dateRangeService.QUERY_KEYS // Defaults to the last 7d
+});
+
+const apiKeySchema = Joi.object({
+  name: Joi.string().min(2).max(100).default('default')
+});
+
 const deviceQuerySchema = Joi.object({
   type: Joi.string().max(50),
   status: Joi.string().valid('active', 'inactive'),
+  tags: Joi.string().max(500), // Comma-separated, devices must carry every tag
+  serial: Joi.string().max(100),
+  firmware: Joi.string().max(50),
+  model: Joi.string().max(100),
+  location: Joi.string().max(200),
+  organizationId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/),
+  search: Joi.string().trim().min(1).max(100), // Case-insensitive match on name
+  sort: Joi.string().valid(...SORT_FIELDS).default('createdAt'),
+  order: Joi.string().valid('asc', 'desc').default('desc'),
+  cursor: Joi.string().max(500), // Takes precedence over page when present
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(100).default(10)
 });
@@ -46,6 +105,23 @@ router.get('/',
   deviceController.listDevices
 );
 
+// Batch telemetry ingestion across one or many owned devices
+router.post('/logs/batch', 
+  validate(batchLogSchema), 
+  logController.createLogsBatch
+);
+
+router.get('/:id', 
+  cache(300, deviceDetailCacheKey), // Cache for 5 minutes
+  deviceController.getDevice
+);
+
+router.get('/:id/availability', 
+  validate(availabilityQuerySchema, 'query'),
+  cache(300, deviceAvailabilityCacheKey), // Cache for 5 minutes
+  deviceController.getAvailability
+);
+
 router.patch('/:id', 
   validate(updateDeviceSchema), 
   deviceController.updateDevice
@@ -60,5 +136,23 @@ router.post('/:id/heartbeat',
   deviceController.heartbeat
 );
 
+// Device API key routes (JWT only, API keys are rejected by the auth scope check)
+router.post('/:id/api-keys', 
+  validate(apiKeySchema), 
+  apiKeyController.createApiKey
+);
+
+router.get('/:id/api-keys', 
+  apiKeyController.listApiKeys
+);
+
+router.post('/:id/api-keys/:keyId/rotate', 
+  apiKeyController.rotateApiKey
+);
+
+router.delete('/:id/api-keys/:keyId', 
+  apiKeyController.revokeApiKey
+);
+
 module.exports = router;
 
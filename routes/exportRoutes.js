@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const exportController = require('../controllers/exportController');
+const exportScheduleController = require('../controllers/exportScheduleController');
+const ExportSchedule = require('../models/exportSchedule');
+const exportScheduleService = require('../services/exportScheduleService');
+const aggregationService = require('../services/aggregationService');
 const { auth } = require('../middlewares/auth');
 const { exportRateLimiter } = require('../middlewares/rateLimiter');
 const validate = require('../middlewares/validate');
@@ -8,8 +12,9 @@ const Joi = require('joi');
 
 // Validation schemas
 const createExportSchema = Joi.object({
-  type: Joi.string().valid('logs', 'usage_report', 'device_report').required(),
-  format: Joi.string().valid('csv', 'json').default('csv'),
+  type: Joi.string().valid('logs', 'usage_report', 'device_report', 'availability_report').required(),
+  format: Joi.string().valid('csv', 'json', 'ndjson', 'xlsx', 'parquet').default('csv'),
+  compression: Joi.string().valid('none', 'gzip', 'zip').default('none'),
   dateRange: Joi.object({
     startDate: Joi.date().required(),
     endDate: Joi.date().required()
@@ -21,11 +26,32 @@ const createExportSchema = Joi.object({
   }).default({})
 });
 
+const createScheduleSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  type: Joi.string().valid('logs', 'usage_report', 'device_report', 'availability_report').required(),
+  format: Joi.string().valid('csv', 'json', 'ndjson', 'xlsx', 'parquet').default('csv'),
+  compression: Joi.string().valid('none', 'gzip', 'zip').default('none'),
+  cron: Joi.string().custom(exportScheduleService.validateCron, 'cron expression').required(),
+  timezone: Joi.string().custom(aggregationService.validateTimezone, 'IANA time zone').default('UTC'),
+  dateRange: Joi.string().valid(...ExportSchedule.DATE_RANGES).required(),
+  filters: Joi.object({
+    deviceIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)),
+    eventTypes: Joi.array().items(Joi.string()),
+    includeInactive: Joi.boolean().default(false)
+  }).default({})
+});
+
+const getScheduleRunsQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(50).default(10),
+  status: Joi.string().valid('pending', 'processing', 'completed', 'failed')
+});
+
 const getJobsQuerySchema = Joi.object({
   page: Joi.number().integer().min(1).default(1),
   limit: Joi.number().integer().min(1).max(50).default(10),
   status: Joi.string().valid('pending', 'processing', 'completed', 'failed'),
-  type: Joi.string().valid('logs', 'usage_report', 'device_report')
+  type: Joi.string().valid('logs', 'usage_report', 'device_report', 'availability_report')
 });
 
 // Apply authentication and export rate limiting to all routes
@@ -58,4 +84,35 @@ router.get('/stats',
   exportController.getExportStats
 );
 
+// Export schedule routes
+router.post('/schedules',
+  validate(createScheduleSchema),
+  exportScheduleController.createSchedule
+);
+
+router.get('/schedules',
+  exportScheduleController.listSchedules
+);
+
+router.get('/schedules/:scheduleId',
+  exportScheduleController.getSchedule
+);
+
+router.get('/schedules/:scheduleId/runs',
+  validate(getScheduleRunsQuerySchema, 'query'),
+  exportScheduleController.listRuns
+);
+
+router.post('/schedules/:scheduleId/pause',
+  exportScheduleController.pauseSchedule
+);
+
+router.post('/schedules/:scheduleId/resume',
+  exportScheduleController.resumeSchedule
+);
+
+router.delete('/schedules/:scheduleId',
+  exportScheduleController.deleteSchedule
+);
+
 module.exports = router;
\ No newline at end of file
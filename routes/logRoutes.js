@@ -6,34 +6,39 @@ const { deviceRateLimiter, analyticsRateLimiter } = require('../middlewares/rate
 const { cache } = require('../middlewares/cache');
 const validate = require('../middlewares/validate');
 const Joi = require('joi');
+const aggregationService = require('../services/aggregationService');
+const dateRangeService = require('../services/dateRangeService');
+const { createLogSchema } = require('../services/logService');
 
 // Validation schemas
-const createLogSchema = Joi.object({
-  event: Joi.string().required().min(2).max(100),
-  value: Joi.number().required().min(0)
-});
-
 const getLogsQuerySchema = Joi.object({
   limit: Joi.number().integer().min(1).max(100).default(10),
   page: Joi.number().integer().min(1).default(1)
 });
 
 const usageQuerySchema = Joi.object({
-  range: Joi.string().pattern(/^\d+[hd]$/).default('24h')
+  ...dateRangeService.QUERY_KEYS, // Defaults to the last 24h
+  timeBasis: Joi.string().valid('device', 'received').default('device'),
+  bucket: Joi.string().valid(...aggregationService.BUCKET_UNITS), // Defaults by range length
+  timezone: Joi.string().custom(aggregationService.validateTimezone, 'IANA time zone').default('UTC')
 });
 
 // Log cache key generator
+// Keyed by user as well, since cache hits are served before the membership check runs
 const logCacheKey = (req) => {
   const deviceId = req.params.id;
   const queryString = Object.keys(req.query).length > 0 ? JSON.stringify(req.query) : '';
-  return `logs:${deviceId}:${queryString}`;
+  return `logs:${deviceId}:${req.user.id}:${queryString}`;
 };
 
 // Usage cache key generator
 const usageCacheKey = (req) => {
   const deviceId = req.params.id;
-  const range = req.query.range || '24h';
-  return `usage:${deviceId}:${range}`;
+  const window = dateRangeService.cacheSegment(req.query, '24h');
+  const timeBasis = req.query.timeBasis || 'device';
+  const bucket = req.query.bucket || 'auto';
+  const timezone = req.query.timezone || 'UTC';
+  return `usage:${deviceId}:${req.user.id}:${window}:${timeBasis}:${bucket}:${timezone}`;
 };
 
 // Apply auth to all routes
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notificationController');
+const { auth } = require('../middlewares/auth');
+const { generalRateLimiter } = require('../middlewares/rateLimiter');
+const validate = require('../middlewares/validate');
+const Joi = require('joi');
+const { NOTIFICATION_TYPES } = require('../services/notificationTemplates');
+
+// Validation schemas
+const notificationQuerySchema = Joi.object({
+  unread: Joi.boolean(),
+  type: Joi.string().valid(...NOTIFICATION_TYPES),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Apply auth and general rate limiting to all routes
+router.use(auth, generalRateLimiter);
+
+router.get('/', 
+  validate(notificationQuerySchema, 'query'), 
+  notificationController.listNotifications
+);
+
+router.get('/unread-count', 
+  notificationController.getUnreadCount
+);
+
+router.post('/read-all', 
+  notificationController.markAllRead
+);
+
+router.post('/:notificationId/read', 
+  notificationController.markRead
+);
+
+router.delete('/:notificationId', 
+  notificationController.deleteNotification
+);
+
+module.exports = router;
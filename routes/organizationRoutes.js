@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const organizationController = require('../controllers/organizationController');
+const { auth } = require('../middlewares/auth');
+const { generalRateLimiter } = require('../middlewares/rateLimiter');
+const validate = require('../middlewares/validate');
+const Joi = require('joi');
+
+// Validation schemas
+const organizationSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(100).required()
+});
+
+const addMemberSchema = Joi.object({
+  email: Joi.string().email().required(),
+  role: Joi.string().valid('owner', 'admin', 'member', 'viewer').default('member')
+});
+
+const memberRoleSchema = Joi.object({
+  role: Joi.string().valid('owner', 'admin', 'member', 'viewer').required()
+});
+
+// Apply auth and general rate limiting to all routes
+router.use(auth, generalRateLimiter);
+
+router.post('/', 
+  validate(organizationSchema), 
+  organizationController.createOrganization
+);
+
+router.get('/', 
+  organizationController.listOrganizations
+);
+
+router.get('/:orgId', 
+  organizationController.getOrganization
+);
+
+router.patch('/:orgId', 
+  validate(organizationSchema), 
+  organizationController.updateOrganization
+);
+
+router.delete('/:orgId', 
+  organizationController.deleteOrganization
+);
+
+// Membership routes
+router.post('/:orgId/members', 
+  validate(addMemberSchema), 
+  organizationController.addMember
+);
+
+router.patch('/:orgId/members/:userId', 
+  validate(memberRoleSchema), 
+  organizationController.updateMemberRole
+);
+
+router.delete('/:orgId/members/:userId', 
+  organizationController.removeMember
+);
+
+module.exports = router;
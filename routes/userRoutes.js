@@ -6,6 +6,11 @@ const { generalRateLimiter, roleBasedRateLimiter } = require('../middlewares/rat
 const { cache, userCacheKey } = require('../middlewares/cache');
 const validate = require('../middlewares/validate');
 const Joi = require('joi');
+const NotificationDelivery = require('../models/notificationDelivery');
+const { NOTIFICATION_TYPES } = require('../services/notificationTemplates');
+const outboundUrlService = require('../services/outboundUrlService');
+
+const { CHANNELS } = NotificationDelivery;
 
 // Validation schemas
 const updateProfileSchema = Joi.object({
@@ -20,6 +25,29 @@ const getUsersQuerySchema = Joi.object({
   search: Joi.string().max(100)
 });
 
+const notificationPreferencesSchema = Joi.object({
+  channels: Joi.object(Object.fromEntries(CHANNELS.map(channel => [channel, Joi.boolean()]))),
+  webhookUrl: Joi.string()
+    .uri({ scheme: ['http', 'https'] })
+    .custom(outboundUrlService.validateUrl, 'public URL')
+    .allow(null),
+  types: Joi.object().pattern(
+    Joi.string().valid(...NOTIFICATION_TYPES),
+    Joi.array().items(Joi.string().valid(...CHANNELS)).unique().allow(null)
+  )
+}).min(1);
+
+const notificationDeliveriesQuerySchema = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  channel: Joi.string().valid(...CHANNELS),
+  status: Joi.string().valid('sent', 'failed', 'skipped')
+});
+
+const logRetentionSchema = Joi.object({
+  logRetentionDays: Joi.number().integer().min(1).max(3650).allow(null).required()
+});
+
 // User profile routes with general rate limiting
 router.get('/profile', 
   auth, 
@@ -35,6 +63,41 @@ router.put('/profile',
   userController.updateProfile
 );
 
+// Notification channel preferences and delivery status
+router.get('/notification-preferences',
+  auth,
+  generalRateLimiter,
+  userController.getNotificationPreferences
+);
+
+router.put('/notification-preferences',
+  auth,
+  generalRateLimiter,
+  validate(notificationPreferencesSchema),
+  userController.updateNotificationPreferences
+);
+
+router.get('/notification-deliveries',
+  auth,
+  generalRateLimiter,
+  validate(notificationDeliveriesQuerySchema, 'query'),
+  userController.getNotificationDeliveries
+);
+
+// Raw log retention for devices in the caller's personal organization
+router.get('/log-retention',
+  auth,
+  generalRateLimiter,
+  userController.getLogRetention
+);
+
+router.put('/log-retention',
+  auth,
+  generalRateLimiter,
+  validate(logRetentionSchema),
+  userController.updateLogRetention
+);
+
 // Admin routes with role-based rate limiting
 router.get('/users', 
   auth, 
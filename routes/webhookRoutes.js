@@ -0,0 +1,74 @@
+const express = require('express');
+const router = express.Router();
+const webhookController = require('../controllers/webhookController');
+const Webhook = require('../models/webhook');
+const outboundUrlService = require('../services/outboundUrlService');
+const { auth } = require('../middlewares/auth');
+const { generalRateLimiter } = require('../middlewares/rateLimiter');
+const validate = require('../middlewares/validate');
+const Joi = require('joi');
+
+// Validation schemas
+const urlSchema = Joi.string()
+  .uri({ scheme: ['http', 'https'] })
+  .max(2000)
+  .custom(outboundUrlService.validateUrl, 'public URL');
+const eventsSchema = Joi.array().items(Joi.string().valid(...Webhook.EVENTS)).min(1).unique();
+
+const createWebhookSchema = Joi.object({
+  url: urlSchema.required(),
+  description: Joi.string().trim().max(200),
+  events: eventsSchema.required(),
+  enabled: Joi.boolean().default(true)
+});
+
+const updateWebhookSchema = Joi.object({
+  url: urlSchema,
+  description: Joi.string().trim().max(200).allow(null),
+  events: eventsSchema,
+  enabled: Joi.boolean()
+}).min(1);
+
+const deliveryQuerySchema = Joi.object({
+  status: Joi.string().valid('pending', 'succeeded', 'failed'),
+  event: Joi.string().valid(...Webhook.EVENTS),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+// Apply auth and general rate limiting to all routes
+router.use(auth, generalRateLimiter);
+
+router.post('/', 
+  validate(createWebhookSchema), 
+  webhookController.createWebhook
+);
+
+router.get('/', 
+  webhookController.listWebhooks
+);
+
+router.get('/:webhookId', 
+  webhookController.getWebhook
+);
+
+router.patch('/:webhookId', 
+  validate(updateWebhookSchema), 
+  webhookController.updateWebhook
+);
+
+router.delete('/:webhookId', 
+  webhookController.deleteWebhook
+);
+
+// Delivery log and manual redelivery
+router.get('/:webhookId/deliveries', 
+  validate(deliveryQuerySchema, 'query'), 
+  webhookController.listDeliveries
+);
+
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', 
+  webhookController.redeliver
+);
+
+module.exports = router;
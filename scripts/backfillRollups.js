@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const rollupService = require('../services/rollupService');
+const { logError } = require('../services/logger');
+
+/**
+ * Rebuild hourly and daily log rollups from raw logs.
+ *
+ * Usage: npm run rollups:backfill -- [--since=2024-01-01] [--until=2024-02-01] [--device=<deviceId>]
+ * Without options every log is rolled up. Run it once after upgrading and set
+ * ROLLUPS_ENABLED=true when it finishes; run it again for any range that needs repair.
+ * Rollups older than a device's retention cutoff are only added to, never replaced,
+ * because they may be the only record of raw logs retention has deleted.
+ */
+const parseArgs = (argv) => Object.fromEntries(argv
+  .filter(arg => arg.startsWith('--'))
+  .map(arg => {
+    const [key, ...value] = arg.slice(2).split('=');
+    return [key, value.join('=')];
+  }));
+
+async function main() {
+  const { since, until, device } = parseArgs(process.argv.slice(2));
+
+  [since, until].forEach(value => {
+    if (value && Number.isNaN(new Date(value).getTime())) {
+      throw new Error(`Invalid date: ${value}`);
+    }
+  });
+
+  await mongoose.connect(config.mongoURI);
+
+  try {
+    const result = await rollupService.rebuild({ since, until, deviceId: device });
+    console.log(`Rebuilt ${result.rollups} rollups`
+      + ` from ${result.since ? result.since.toISOString() : 'the first log'}`
+      + ` to ${result.until ? result.until.toISOString() : 'the last log'}`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  logError(error, { context: 'Rollup backfill' });
+  console.error(error.message);
+  process.exit(1);
+});
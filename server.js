@@ -8,6 +8,8 @@ const databaseService = require('./services/databaseService');
 const realtimeService = require('./services/realtimeService');
 const jobQueue = require('./services/jobQueue');
 const exportWorker = require('./workers/exportWorker');
+const monitoringWorker = require('./workers/monitoringWorker');
+const webhookWorker = require('./workers/webhookWorker');
 const { logInfo, logError } = require('./services/logger');
 
 // Import background jobs
@@ -25,6 +27,8 @@ const gracefulShutdown = async (signal) => {
     
     // Stop workers
     await exportWorker.stop();
+    await monitoringWorker.stop();
+    await webhookWorker.stop();
     
     // Close job queues
     await jobQueue.close();
@@ -87,6 +91,12 @@ async function startServer() {
     // Start export worker
     exportWorker.start();
     
+    // Start monitoring worker (missed-heartbeat checks)
+    await monitoringWorker.start();
+    
+    // Start webhook delivery worker
+    webhookWorker.start();
+    
     // Initialize WebSocket service
     realtimeService.initialize(server);
     
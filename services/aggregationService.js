@@ -0,0 +1,134 @@
+const { DateTime, IANAZone } = require('luxon');
+
+const BUCKET_UNITS = ['minute', 'hour', 'day', 'week', 'month'];
+
+// Approximate bucket lengths, only used to pick defaults and bound the bucket count
+const BUCKET_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000
+};
+
+// Zero-filled series longer than this are rejected rather than built
+const MAX_BUCKETS = 1500;
+
+class AggregationService {
+  constructor() {
+    this.BUCKET_UNITS = BUCKET_UNITS;
+    this.MAX_BUCKETS = MAX_BUCKETS;
+  }
+
+  /**
+   * Check whether a string names an IANA time zone, e.g. "Europe/Berlin"
+   * @param {string} timezone - Time zone name
+   * @returns {boolean} - Whether the zone is known
+   */
+  isValidTimezone(timezone) {
+    return IANAZone.isValidZone(timezone);
+  }
+
+  /**
+   * Joi custom validator for time zone parameters
+   * @param {string} value - Time zone name
+   * @param {Object} helpers - Joi helpers
+   * @returns {string} - The value when valid
+   */
+  validateTimezone(value, helpers) {
+    return IANAZone.isValidZone(value) ? value : helpers.error('any.invalid');
+  }
+
+  /**
+   * Pick the bucket size for a window when the caller did not choose one
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @returns {string} - Bucket unit
+   */
+  defaultBucket(since, until) {
+    const ms = until - since;
+    if (ms <= 6 * BUCKET_MS.hour) return 'minute';
+    if (ms <= 7 * BUCKET_MS.day) return 'hour';
+    if (ms <= 180 * BUCKET_MS.day) return 'day';
+    if (ms <= 2 * 365 * BUCKET_MS.day) return 'week';
+    return 'month';
+  }
+
+  /**
+   * Estimate how many buckets a window spans
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @param {string} bucket - Bucket unit
+   * @returns {number} - Bucket count
+   */
+  countBuckets(since, until, bucket) {
+    return Math.ceil((until - since) / BUCKET_MS[bucket]) + 1;
+  }
+
+  /**
+   * Sum log values into calendar buckets of the given time zone.
+   * Buckets without readings are included with zero usage.
+   * @param {Object} Model - Mongoose model to aggregate
+   * @param {Object} options - { match, timeField, since, until, bucket, timezone }
+   * @returns {Promise<Array>} - { timestamp, localTime, usage, logCount, average } per bucket
+   */
+  async aggregate(Model, { match, timeField, since, until = new Date(), bucket, timezone = 'UTC' }) {
+    const rows = await this.bucketRows(Model, { match, timeField, since, until, bucket, timezone });
+    return this.fillBuckets(rows, { since, until, bucket, timezone });
+  }
+
+  /**
+   * Group documents into calendar buckets without filling gaps.
+   * Pre-summed documents name their sum and count fields; raw logs count one each.
+   * @param {Object} Model - Mongoose model to aggregate
+   * @param {Object} options - { match, timeField, since, until, bucket, timezone, sumField, countField }
+   * @returns {Promise<Array>} - { _id: bucket start, usage, logCount } per non-empty bucket
+   */
+  async bucketRows(Model, { match, timeField, since, until, bucket, timezone = 'UTC', sumField = 'value', countField = null }) {
+    const dateTrunc = { date: `$${timeField}`, unit: bucket, timezone };
+    if (bucket === 'week') dateTrunc.startOfWeek = 'monday';
+
+    return Model.aggregate([
+      { $match: { ...match, [timeField]: { $gte: since, $lt: until } } },
+      { $group: {
+        _id: { $dateTrunc: dateTrunc },
+        usage: { $sum: `$${sumField}` },
+        logCount: { $sum: countField ? `$${countField}` : 1 }
+      }}
+    ]);
+  }
+
+  /**
+   * Lay aggregated rows onto the full sequence of buckets between two dates
+   * @param {Array} rows - { _id: bucket start, usage, logCount }
+   * @param {Object} options - { since, until, bucket, timezone }
+   * @returns {Array} - One entry per bucket, oldest first
+   */
+  fillBuckets(rows, { since, until, bucket, timezone }) {
+    const byStart = new Map(rows.map(row => [new Date(row._id).getTime(), row]));
+    const end = DateTime.fromJSDate(until, { zone: timezone });
+    // Luxon weeks start on Monday, matching the $dateTrunc startOfWeek above
+    let cursor = DateTime.fromJSDate(since, { zone: timezone }).startOf(bucket);
+
+    const buckets = [];
+    while (cursor < end) {
+      const row = byStart.get(cursor.toMillis());
+      const usage = row ? row.usage : 0;
+      const logCount = row ? row.logCount : 0;
+
+      buckets.push({
+        timestamp: cursor.toJSDate(),
+        localTime: cursor.toISO({ suppressMilliseconds: true }),
+        usage,
+        logCount,
+        average: logCount > 0 ? usage / logCount : 0
+      });
+
+      cursor = cursor.plus({ [bucket]: 1 });
+    }
+
+    return buckets;
+  }
+}
+
+module.exports = new AggregationService();
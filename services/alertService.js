@@ -0,0 +1,282 @@
+const Alert = require('../models/alert');
+const AlertRule = require('../models/alertRule');
+const Log = require('../models/log');
+const Device = require('../models/device');
+const config = require('../config');
+const organizationService = require('./organizationService');
+const notificationService = require('./notificationService');
+const webhookService = require('./webhookService');
+const { logInfo, logError } = require('./logger');
+
+const COMPARATOR_SYMBOLS = { gt: '>', gte: '>=', lt: '<', lte: '<=', eq: '=', ne: '!=' };
+
+// Query operator matching readings that do NOT satisfy a comparator
+const NEGATED_OPERATORS = { gt: '$lte', gte: '$lt', lt: '$gte', lte: '$gt', eq: '$ne', ne: '$eq' };
+
+const UNRESOLVED = ['open', 'acknowledged'];
+
+// Webhook event for each notification type; offline alerts share the alert events
+const WEBHOOK_EVENTS = {
+  alert_opened: 'alert.opened',
+  device_offline: 'alert.opened',
+  alert_acknowledged: 'alert.acknowledged',
+  alert_resolved: 'alert.resolved',
+  device_online: 'alert.resolved'
+};
+
+class AlertService {
+  /**
+   * Check a reading value against a rule condition
+   * @param {number} value - Reading value
+   * @param {string} comparator - Rule comparator
+   * @param {number} threshold - Rule threshold
+   * @returns {boolean} - Whether the value is past the threshold
+   */
+  matches(value, comparator, threshold) {
+    switch (comparator) {
+      case 'gt': return value > threshold;
+      case 'gte': return value >= threshold;
+      case 'lt': return value < threshold;
+      case 'lte': return value <= threshold;
+      case 'eq': return value === threshold;
+      case 'ne': return value !== threshold;
+      default: return false;
+    }
+  }
+
+  /**
+   * Check whether readings have stayed past the threshold for the rule's duration
+   * @param {Object} rule - Alert rule
+   * @param {Object} latest - Most recent reading of the rule's event
+   * @returns {Promise<boolean>} - Whether the breach has lasted long enough
+   */
+  async isSustained(rule, latest) {
+    if (!rule.duration_seconds) return true;
+
+    const lastOk = await Log.findOne({
+      device_id: latest.device_id,
+      event: rule.event,
+      value: { [NEGATED_OPERATORS[rule.comparator]]: rule.threshold },
+      timestamp: { $lt: latest.timestamp }
+    }).sort({ timestamp: -1 }).select('timestamp');
+
+    const breachStart = await Log.findOne({
+      device_id: latest.device_id,
+      event: rule.event,
+      timestamp: { $gt: lastOk ? lastOk.timestamp : new Date(0), $lte: latest.timestamp }
+    }).sort({ timestamp: 1 }).select('timestamp');
+
+    return latest.timestamp - breachStart.timestamp >= rule.duration_seconds * 1000;
+  }
+
+  /**
+   * Evaluate the rules that apply to a device after new readings arrive.
+   * Rules are checked against the most recent reading of each event, so late
+   * readings cannot reopen or resolve alerts out of order.
+   * @param {Object} device - Device with _id, name, type and organization_id
+   * @param {Array<string>} events - Events that received readings
+   * @returns {Promise<Array>} - Alerts opened or resolved
+   */
+  async evaluateDevice(device, events) {
+    const changed = [];
+
+    try {
+      const rules = await AlertRule.find({
+        enabled: true,
+        organization_id: device.organization_id,
+        event: { $in: [...new Set(events)] },
+        $or: [{ device_id: device._id }, { device_type: device.type }]
+      });
+      if (rules.length === 0) return changed;
+
+      const latestByEvent = new Map();
+      for (const event of new Set(rules.map(rule => rule.event))) {
+        latestByEvent.set(event, await Log.findOne({ device_id: device._id, event }).sort({ timestamp: -1 }));
+      }
+
+      for (const rule of rules) {
+        const latest = latestByEvent.get(rule.event);
+        if (!latest) continue;
+
+        const alert = await this.evaluateRule(rule, device, latest);
+        if (alert) changed.push(alert);
+      }
+    } catch (error) {
+      // Alerting must never fail ingestion
+      logError(error, { context: 'Alert evaluation', deviceId: device._id });
+    }
+
+    return changed;
+  }
+
+  /**
+   * Open, update or auto-resolve the alert for one rule and device
+   * @param {Object} rule - Alert rule
+   * @param {Object} device - Device
+   * @param {Object} latest - Most recent reading of the rule's event
+   * @returns {Promise<Object|null>} - Alert that changed status, or null
+   */
+  async evaluateRule(rule, device, latest) {
+    const existing = await Alert.findOne({
+      rule_id: rule._id,
+      device_id: device._id,
+      status: { $in: UNRESOLVED }
+    });
+
+    if (!this.matches(latest.value, rule.comparator, rule.threshold)) {
+      return existing ? this.resolve(existing, null) : null;
+    }
+
+    if (existing) {
+      existing.last_value = latest.value;
+      await existing.save();
+      return null;
+    }
+
+    if (!(await this.isSustained(rule, latest))) return null;
+
+    const alert = await Alert.create({
+      rule_id: rule._id,
+      device_id: device._id,
+      organization_id: device.organization_id,
+      severity: rule.severity,
+      message: `${rule.name}: ${device.name} ${rule.event} is ${latest.value} (${COMPARATOR_SYMBOLS[rule.comparator]} ${rule.threshold})`,
+      event: rule.event,
+      comparator: rule.comparator,
+      threshold: rule.threshold,
+      trigger_value: latest.value,
+      last_value: latest.value,
+      triggered_at: latest.timestamp
+    });
+
+    logInfo('Alert opened', { alertId: alert._id, ruleId: rule._id, deviceId: device._id });
+    await this.notify(alert, 'alert_opened');
+
+    return alert;
+  }
+
+  /**
+   * Acknowledge an open alert
+   * @param {Object} alert - Alert document
+   * @param {string} userId - Acknowledging user ID
+   * @returns {Promise<Object>} - Updated alert
+   */
+  async acknowledge(alert, userId) {
+    alert.status = 'acknowledged';
+    alert.acknowledged_at = new Date();
+    alert.acknowledged_by = userId;
+    await alert.save();
+
+    await this.notify(alert, 'alert_acknowledged');
+    return alert;
+  }
+
+  /**
+   * Resolve an alert
+   * @param {Object} alert - Alert document
+   * @param {string|null} userId - Resolving user ID, or null when the readings recovered
+   * @returns {Promise<Object>} - Updated alert
+   */
+  async resolve(alert, userId = null) {
+    alert.status = 'resolved';
+    alert.resolved_at = new Date();
+    alert.resolved_by = userId;
+    await alert.save();
+
+    logInfo('Alert resolved', { alertId: alert._id, automatic: !userId });
+    // A heartbeat resolving an offline alert means the device came back
+    await this.notify(alert, alert.kind === 'offline' && !userId ? 'device_online' : 'alert_resolved');
+    return alert;
+  }
+
+  /**
+   * Raise offline alerts for monitored devices that missed too many heartbeats.
+   * A device that never sent a heartbeat is measured from its registration time.
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} - Opened alerts
+   */
+  async checkMissedHeartbeats(now = new Date()) {
+    const { missedBeats } = config.heartbeatMonitor;
+
+    const alreadyOffline = await Alert.find({ kind: 'offline', status: { $in: UNRESOLVED } }).distinct('device_id');
+
+    const devices = await Device.find({
+      _id: { $nin: alreadyOffline },
+      status: 'active',
+      heartbeat_interval_seconds: { $ne: null },
+      $expr: {
+        $lt: [
+          { $ifNull: ['$last_active_at', '$createdAt'] },
+          { $subtract: [now, { $multiply: ['$heartbeat_interval_seconds', missedBeats, 1000] }] }
+        ]
+      }
+    }).select('_id name organization_id last_active_at heartbeat_interval_seconds');
+
+    const opened = [];
+
+    for (const device of devices) {
+      try {
+        const alert = await Alert.create({
+          kind: 'offline',
+          device_id: device._id,
+          organization_id: device.organization_id,
+          severity: 'critical',
+          message: `${device.name} missed ${missedBeats} heartbeats (expected every ${device.heartbeat_interval_seconds}s)`,
+          last_heartbeat_at: device.last_active_at,
+          triggered_at: now
+        });
+
+        await this.notify(alert, 'device_offline');
+        opened.push(alert);
+      } catch (error) {
+        logError(error, { context: 'Offline alert', deviceId: device._id });
+      }
+    }
+
+    if (opened.length > 0) {
+      logInfo('Offline alerts raised for missed heartbeats', { count: opened.length });
+    }
+
+    return opened;
+  }
+
+  /**
+   * Resolve a device's offline alerts after it sends a heartbeat
+   * @param {Object} device - Device document
+   * @returns {Promise<Array>} - Resolved alerts
+   */
+  async resolveOfflineAlerts(device) {
+    const alerts = await Alert.find({ kind: 'offline', device_id: device._id, status: { $in: UNRESOLVED } });
+
+    for (const alert of alerts) {
+      await this.resolve(alert, null);
+    }
+
+    return alerts;
+  }
+
+  /**
+   * Notify every member of the alert's organization over their preferred channels
+   * @param {Object} alert - Alert document
+   * @param {string} type - Notification type
+   */
+  async notify(alert, type) {
+    const notification = {
+      type,
+      kind: alert.kind,
+      alertId: alert._id,
+      ruleId: alert.rule_id,
+      deviceId: alert.device_id,
+      status: alert.status,
+      severity: alert.severity,
+      message: alert.message
+    };
+
+    const memberIds = await organizationService.getMemberIds(alert.organization_id);
+    await notificationService.notifyUsers(memberIds, type, notification);
+
+    await webhookService.dispatch(WEBHOOK_EVENTS[type], { alert: notification }, memberIds);
+  }
+}
+
+module.exports = new AlertService();
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const DeviceApiKey = require('../models/deviceApiKey');
+const Device = require('../models/device');
+
+const KEY_PREFIX = 'dmk';
+
+// Routes a device API key may call, mapped to the scope they require
+const SCOPED_ROUTES = [
+  { method: 'POST', pattern: /^\/api\/devices\/([a-fA-F0-9]{24})\/logs\/?$/, scope: 'logs:write' },
+  { method: 'POST', pattern: /^\/api\/devices\/([a-fA-F0-9]{24})\/heartbeat\/?$/, scope: 'heartbeat' }
+];
+
+class ApiKeyService {
+  /**
+   * Generate a new raw API key
+   * @returns {Object} - Raw key and its lookup prefix
+   */
+  generateKey() {
+    const prefix = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('hex');
+    return {
+      prefix,
+      key: `${KEY_PREFIX}_${prefix}_${secret}`
+    };
+  }
+
+  /**
+   * Hash a raw API key for storage
+   * @param {string} key - Raw API key
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  /**
+   * Extract the lookup prefix from a raw API key
+   * @param {string} key - Raw API key
+   * @returns {string|null} - Prefix or null if the key is malformed
+   */
+  parsePrefix(key) {
+    if (typeof key !== 'string') return null;
+
+    const parts = key.split('_');
+    if (parts.length !== 3 || parts[0] !== KEY_PREFIX) return null;
+
+    return parts[1];
+  }
+
+  /**
+   * Create an API key for a device
+   * @param {string} deviceId - Device ID
+   * @param {string} userId - ID of the user creating the key
+   * @param {string} name - Human readable key name
+   * @returns {Promise<Object>} - Stored key document and the raw key (shown once)
+   */
+  async createKey(deviceId, userId, name = 'default') {
+    const { prefix, key } = this.generateKey();
+
+    const apiKey = await DeviceApiKey.create({
+      deviceId,
+      createdBy: userId,
+      name,
+      prefix,
+      keyHash: this.hashKey(key)
+    });
+
+    return { apiKey, key };
+  }
+
+  /**
+   * List API keys for a device
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<Array>} - Key documents, newest first
+   */
+  async listKeys(deviceId) {
+    return await DeviceApiKey.find({ deviceId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Rotate an API key: issue a replacement and revoke the old key
+   * @param {string} deviceId - Device ID
+   * @param {string} keyId - Key ID to rotate
+   * @param {string} userId - ID of the user rotating the key
+   * @returns {Promise<Object|null>} - New key document and raw key, or null if not found
+   */
+  async rotateKey(deviceId, keyId, userId) {
+    const existing = await DeviceApiKey.findOne({ _id: keyId, deviceId, revokedAt: null });
+    if (!existing) return null;
+
+    const result = await this.createKey(deviceId, userId, existing.name);
+    await existing.revoke(result.apiKey._id);
+
+    return result;
+  }
+
+  /**
+   * Revoke an API key
+   * @param {string} deviceId - Device ID
+   * @param {string} keyId - Key ID to revoke
+   * @returns {Promise<Object|null>} - Revoked key document, or null if not found
+   */
+  async revokeKey(deviceId, keyId) {
+    const apiKey = await DeviceApiKey.findOne({ _id: keyId, deviceId });
+    if (!apiKey) return null;
+
+    if (!apiKey.revokedAt) {
+      await apiKey.revoke();
+    }
+
+    return apiKey;
+  }
+
+  /**
+   * Verify a raw API key
+   * @param {string} key - Raw API key
+   * @returns {Promise<Object>} - Key document and its device
+   */
+  async verifyKey(key) {
+    const prefix = this.parsePrefix(key);
+    if (!prefix) {
+      throw new Error('Invalid API key');
+    }
+
+    const apiKey = await DeviceApiKey.findOne({ prefix });
+    if (!apiKey) {
+      throw new Error('Invalid API key');
+    }
+
+    const expected = Buffer.from(apiKey.keyHash, 'hex');
+    const actual = Buffer.from(this.hashKey(key), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new Error('Invalid API key');
+    }
+
+    if (apiKey.revokedAt) {
+      throw new Error('API key has been revoked');
+    }
+
+    const device = await Device.findById(apiKey.deviceId);
+    if (!device) {
+      throw new Error('Invalid API key. Device not found.');
+    }
+
+    return { apiKey, device };
+  }
+
+  /**
+   * Check whether a key may call the given route
+   * @param {Object} apiKey - Key document
+   * @param {string} method - HTTP method
+   * @param {string} path - Request path without query string
+   * @returns {boolean} - Whether the request is within the key's scope
+   */
+  isRequestAllowed(apiKey, method, path) {
+    return SCOPED_ROUTES.some(route => {
+      if (route.method !== method) return false;
+
+      const match = path.match(route.pattern);
+      return !!match &&
+        match[1] === apiKey.deviceId.toString() &&
+        apiKey.scopes.includes(route.scope);
+    });
+  }
+
+  /**
+   * Record key usage without blocking the request
+   * @param {Object} apiKey - Key document
+   * @param {string} ip - Client IP address
+   */
+  touchKey(apiKey, ip = null) {
+    setImmediate(async () => {
+      try {
+        await DeviceApiKey.updateOne(
+          { _id: apiKey._id },
+          { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+        );
+      } catch (error) {
+        console.error('Error updating API key usage:', error);
+      }
+    });
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -78,6 +78,25 @@ class CacheService {
     }
   }
 
+  /**
+   * Delete keys matching any of several patterns in a single pass
+   * @param {Array<string>} patterns - Patterns to match
+   * @returns {Promise<boolean>} - Success status
+   */
+  async invalidatePatterns(patterns) {
+    try {
+      const keyLists = await Promise.all(patterns.map(pattern => this.redis.keys(pattern)));
+      const keys = [...new Set(keyLists.flat())];
+      if (keys.length > 0) {
+        await this.redis.del(...keys);
+      }
+      return true;
+    } catch (error) {
+      console.error('Cache invalidate patterns error:', error);
+      return false;
+    }
+  }
+
   /**
    * Check if key exists in cache
    * @param {string} key - Cache key
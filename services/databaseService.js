@@ -41,6 +41,10 @@ class DatabaseService {
 
       // Create indexes
       await this.createIndexes();
+
+      // Populate fields added to existing documents
+      await this.backfillLogReceivedAt();
+      await this.backfillDeviceOrganizations();
       
       logInfo('Database service initialized with optimizations');
     } catch (error) {
@@ -67,12 +71,70 @@ class DatabaseService {
       await db.collection('devices').createIndex({ owner_id: 1, type: 1 });
       await db.collection('devices').createIndex({ last_active_at: -1 });
       await db.collection('devices').createIndex({ createdAt: -1 });
+      await db.collection('devices').createIndex({ organization_id: 1, status: 1 });
+      await db.collection('devices').createIndex({ organization_id: 1, type: 1 });
+      await db.collection('devices').createIndex({ organization_id: 1, createdAt: -1 });
+      await db.collection('devices').createIndex({ organization_id: 1, tags: 1 });
+      await db.collection('devices').createIndex({ organization_id: 1, 'attributes.serial': 1 });
+      await db.collection('devices').createIndex({ organization_id: 1, name: 1, _id: 1 });
+
+      // Device status history indexes
+      await db.collection('devicestatushistories').createIndex({ device_id: 1, changed_at: -1 });
+      await db.collection('devicestatushistories').createIndex({ organization_id: 1, changed_at: -1 });
+
+      // Device heartbeat indexes
+      await db.collection('deviceheartbeats').createIndex({ device_id: 1, bucket_start: 1 }, { unique: true });
+
+      // Alert indexes
+      await db.collection('alertrules').createIndex({ organization_id: 1, event: 1, enabled: 1 });
+      await db.collection('alertrules').createIndex({ device_id: 1 });
+      await db.collection('alerts').createIndex({ rule_id: 1, device_id: 1, status: 1 });
+      await db.collection('alerts').createIndex({ organization_id: 1, status: 1, triggered_at: -1 });
+      await db.collection('alerts').createIndex({ device_id: 1, triggered_at: -1 });
+      await db.collection('alerts').createIndex({ kind: 1, status: 1, device_id: 1 });
+
+      // Webhook indexes
+      await db.collection('webhooks').createIndex({ user_id: 1, enabled: 1, events: 1 });
+      await db.collection('webhookdeliveries').createIndex({ webhook_id: 1, createdAt: -1 });
+      await db.collection('webhookdeliveries').createIndex({ status: 1, createdAt: 1 });
+
+      // Notification inbox indexes
+      await db.collection('notifications').createIndex({ user_id: 1, createdAt: -1 });
+      await db.collection('notifications').createIndex({ user_id: 1, read_at: 1, delivered_at: 1 });
+
+      // Notification delivery indexes
+      await db.collection('notificationdeliveries').createIndex({ user_id: 1, createdAt: -1 });
+      await db.collection('notificationdeliveries').createIndex({ reference_id: 1 });
+
+      // Organization indexes
+      await db.collection('organizations').createIndex({ 'members.user': 1 });
+      await db.collection('organizations').createIndex(
+        { createdBy: 1 },
+        { unique: true, partialFilterExpression: { isPersonal: true } }
+      );
+
+      // Device API key indexes
+      await db.collection('deviceapikeys').createIndex({ prefix: 1 }, { unique: true });
+      await db.collection('deviceapikeys').createIndex({ deviceId: 1, createdAt: -1 });
 
       // Log indexes
       await db.collection('logs').createIndex({ device_id: 1, timestamp: -1 });
       await db.collection('logs').createIndex({ device_id: 1, event: 1, timestamp: -1 });
       await db.collection('logs').createIndex({ timestamp: -1 });
       await db.collection('logs').createIndex({ event: 1, timestamp: -1 });
+      await db.collection('logs').createIndex({ device_id: 1, received_at: -1 });
+      await db.collection('logs').createIndex({ received_at: -1 });
+
+      // Log rollup indexes
+      await db.collection('logrollups').createIndex(
+        { device_id: 1, time_basis: 1, granularity: 1, bucket_start: 1, event: 1 },
+        { unique: true }
+      );
+      await db.collection('logrollups').createIndex({ time_basis: 1, granularity: 1, bucket_start: 1 });
+
+      // Ingestion idempotency key indexes
+      await db.collection('ingestionkeys').createIndex({ deviceId: 1, key: 1 }, { unique: true });
+      await db.collection('ingestionkeys').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
       // Performance metrics indexes
       await db.collection('performancemetrics').createIndex({ endpoint: 1, timestamp: -1 });
@@ -83,6 +145,11 @@ class DatabaseService {
       await db.collection('exportjobs').createIndex({ userId: 1, createdAt: -1 });
       await db.collection('exportjobs').createIndex({ status: 1, createdAt: 1 });
       await db.collection('exportjobs').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+      await db.collection('exportjobs').createIndex({ scheduleId: 1, createdAt: -1 });
+
+      // Export schedule indexes
+      await db.collection('exportschedules').createIndex({ userId: 1, createdAt: -1 });
+      await db.collection('exportschedules').createIndex({ status: 1 });
 
       // Token blacklist indexes
       await db.collection('tokenblacklists').createIndex({ token: 1 }, { unique: true });
@@ -96,6 +163,62 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Set received_at on logs written before device-side timestamps were supported.
+   * Those logs were stamped at upload time, so createdAt is their receive time.
+   * @returns {Promise<number>} - Number of logs updated
+   */
+  async backfillLogReceivedAt() {
+    try {
+      const result = await mongoose.connection.db
+        .collection('logs')
+        .updateMany(
+          { received_at: { $exists: false } },
+          [{ $set: { received_at: { $ifNull: ['$createdAt', '$timestamp'] }, timestamp_source: 'server' } }]
+        );
+
+      if (result.modifiedCount > 0) {
+        logInfo('Backfilled log received_at', { updated: result.modifiedCount });
+      }
+
+      return result.modifiedCount;
+    } catch (error) {
+      logError(error, { context: 'Log received_at backfill' });
+      throw error;
+    }
+  }
+
+  /**
+   * Move devices created before organizations existed into their owner's personal organization
+   * @returns {Promise<number>} - Number of devices updated
+   */
+  async backfillDeviceOrganizations() {
+    try {
+      const Organization = require('../models/organization');
+      const devices = mongoose.connection.db.collection('devices');
+      const ownerIds = await devices.distinct('owner_id', { organization_id: { $exists: false } });
+
+      let updated = 0;
+      for (const ownerId of ownerIds) {
+        const organization = await Organization.findOrCreatePersonal(ownerId);
+        const result = await devices.updateMany(
+          { owner_id: ownerId, organization_id: { $exists: false } },
+          { $set: { organization_id: organization._id } }
+        );
+        updated += result.modifiedCount;
+      }
+
+      if (updated > 0) {
+        logInfo('Backfilled device organizations', { updated, owners: ownerIds.length });
+      }
+
+      return updated;
+    } catch (error) {
+      logError(error, { context: 'Device organization backfill' });
+      throw error;
+    }
+  }
+
   /**
    * Monitor query performance
    * @param {string} operation - Operation name
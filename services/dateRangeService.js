@@ -0,0 +1,115 @@
+const Joi = require('joi');
+
+const UNIT_MS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+// Longest window any endpoint reports over, relative or absolute
+const MAX_WINDOW_DAYS = 366;
+const MAX_WINDOW_MS = MAX_WINDOW_DAYS * UNIT_MS.d;
+
+const parseRelative = (range) => parseInt(range) * (UNIT_MS[range.slice(-1)] || UNIT_MS.h);
+
+// Query parameters accepted by every endpoint that reports over a time window.
+// A relative range counts back from "to" (or now); "from" and "to" bound it absolutely.
+const QUERY_KEYS = {
+  range: Joi.string().pattern(/^\d+[hd]$/).custom((value, helpers) => (
+    parseRelative(value) > MAX_WINDOW_MS
+      ? helpers.message({ custom: `{{#label}} must be at most ${MAX_WINDOW_DAYS}d` })
+      : value
+  )),
+  from: Joi.date().iso().max('now')
+    .messages({ 'date.max': '"from" must not be in the future' }),
+  to: Joi.date().iso()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date()
+        .greater(Joi.ref('from'))
+        .max(Joi.ref('from', { adjust: from => new Date(from.getTime() + MAX_WINDOW_MS) }))
+    })
+    .messages({
+      'date.greater': '"to" must be after "from"',
+      'date.max': `"to" must be within ${MAX_WINDOW_DAYS} days of "from"`
+    })
+};
+
+class DateRangeService {
+  constructor() {
+    this.QUERY_KEYS = QUERY_KEYS;
+    this.MAX_WINDOW_DAYS = MAX_WINDOW_DAYS;
+  }
+
+  /**
+   * Convert a relative range such as "24h" or "7d" to milliseconds
+   * @param {string} range - Relative range
+   * @returns {number} - Length in milliseconds
+   */
+  parseRelative(range) {
+    return parseRelative(range);
+  }
+
+  /**
+   * Resolve the reporting window from range/from/to query parameters.
+   * With both from and to the range is ignored; with only one, the range
+   * extends from it (from + range is capped at now).
+   * @param {Object} query - { range, from, to }
+   * @param {string} defaultRange - Range used when none is given
+   * @param {Date} now - Current time
+   * @returns {Object} - { since, until, range } where range is null for absolute windows
+   */
+  resolve({ range, from, to } = {}, defaultRange = '24h', now = new Date()) {
+    const ms = this.parseRelative(range || defaultRange);
+
+    if (from && to) {
+      return { since: new Date(from), until: new Date(to), range: null };
+    }
+    if (from) {
+      const since = new Date(from);
+      return { since, until: new Date(Math.min(since.getTime() + ms, now.getTime())), range: range || defaultRange };
+    }
+
+    const until = to ? new Date(to) : now;
+    return { since: new Date(until.getTime() - ms), until, range: range || defaultRange };
+  }
+
+  /**
+   * Build a stable cache key segment for the window a query asks for
+   * @param {Object} query - { range, from, to }
+   * @param {string} defaultRange - Range used when none is given
+   * @returns {string} - Key segment
+   */
+  cacheSegment({ range, from, to } = {}, defaultRange = '24h') {
+    const iso = (date) => (date ? new Date(date).toISOString() : '');
+    return `${range || (from && to ? '' : defaultRange)}:${iso(from)}:${iso(to)}`;
+  }
+
+  /**
+   * Get the window of equal length immediately before another
+   * @param {Object} window - { since, until }
+   * @returns {Object} - { since, until }
+   */
+  previousPeriod({ since, until }) {
+    const ms = until - since;
+    return { since: new Date(since.getTime() - ms), until: new Date(since.getTime()) };
+  }
+
+  /**
+   * Compare a metric with its value in the previous period
+   * @param {number} current - Current period value
+   * @param {number} previous - Previous period value
+   * @returns {Object} - { current, previous, delta, percentChange }; percentChange is null when previous is zero
+   */
+  compare(current, previous) {
+    let percentChange = null;
+    if (previous !== 0) {
+      percentChange = Math.round(((current - previous) / Math.abs(previous)) * 10000) / 100;
+    } else if (current === 0) {
+      percentChange = 0;
+    }
+
+    return { current, previous, delta: current - previous, percentChange };
+  }
+}
+
+module.exports = new DateRangeService();
@@ -1,4 +1,7 @@
 const Joi = require('joi');
+const mongoose = require('mongoose');
+const Log = require('../models/log');
+const deviceStatusService = require('./deviceStatusService');
 
 const registerDeviceSchema = Joi.object({
   name: Joi.string().required(),
@@ -10,5 +13,206 @@ const heartbeatSchema = Joi.object({
   status: Joi.string().valid('active', 'inactive').required()
 });
 
-module.exports = { registerDeviceSchema, heartbeatSchema };
+const ATTRIBUTE_FILTERS = ['serial', 'firmware', 'model'];
 
+const SORT_FIELDS = ['name', 'type', 'last_active_at', 'createdAt'];
+const DATE_SORT_FIELDS = ['last_active_at', 'createdAt'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the device list filter from validated query parameters
+ * @param {Object} scope - Devices the caller may see (see organizationService.deviceScope)
+ * @param {Object} query - Validated query parameters
+ * @returns {Object} - MongoDB filter
+ */
+const buildDeviceFilter = (scope, query = {}) => {
+  const filter = {};
+
+  if (query.organizationId) filter.organization_id = query.organizationId;
+
+  if (query.type) filter.type = query.type;
+  if (query.status) filter.status = query.status;
+
+  if (query.tags) {
+    const tags = query.tags.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+    if (tags.length > 0) filter.tags = { $all: tags };
+  }
+
+  ATTRIBUTE_FILTERS.forEach(attribute => {
+    if (query[attribute]) filter[`attributes.${attribute}`] = query[attribute];
+  });
+
+  if (query.location) filter['attributes.location.name'] = query.location;
+
+  if (query.search) filter.name = { $regex: escapeRegex(query.search), $options: 'i' };
+
+  return { $and: [scope, filter] };
+};
+
+/**
+ * Build the sort document for a device list, with _id as tiebreaker so cursors are stable
+ * @param {string} sortField - One of SORT_FIELDS
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Object} - MongoDB sort document
+ */
+const buildDeviceSort = (sortField, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return { [sortField]: direction, _id: direction };
+};
+
+/**
+ * Encode the position after a device as an opaque cursor, along with the sort it belongs to
+ * @param {Object} device - Last device of the current page
+ * @param {string} sortField - Field the list is sorted by
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {string} - Base64url cursor
+ */
+const encodeCursor = (device, sortField, order) => {
+  const value = device[sortField];
+  return Buffer.from(JSON.stringify({
+    s: sortField,
+    o: order,
+    v: value instanceof Date ? value.toISOString() : value ?? null,
+    id: device._id.toString()
+  })).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {string} cursor - Base64url cursor
+ * @param {string} sortField - Field the list is sorted by
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {Object|null} - { value, id } or null when the cursor is malformed or made for another sort
+ */
+const decodeCursor = (cursor, sortField, order) => {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (s !== sortField || o !== order) return null;
+    if (!mongoose.Types.ObjectId.isValid(id)) return null;
+
+    let value = v;
+    if (value !== null && DATE_SORT_FIELDS.includes(sortField)) {
+      value = new Date(value);
+      if (Number.isNaN(value.getTime())) return null;
+    } else if (value !== null && typeof value !== 'string') {
+      return null;
+    }
+
+    return { value, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build the filter selecting devices after a decoded cursor.
+ * Devices without a value (never active) sort first ascending and last descending.
+ * @param {string} sortField - Field the list is sorted by
+ * @param {string} order - 'asc' or 'desc'
+ * @param {Object} cursor - Decoded cursor { value, id }
+ * @returns {Object} - MongoDB filter
+ */
+const buildCursorFilter = (sortField, order, { value, id }) => {
+  const ascending = order === 'asc';
+  const idOp = ascending ? '$gt' : '$lt';
+
+  if (value === null) {
+    const sameValue = { [sortField]: null, _id: { [idOp]: id } };
+    return ascending
+      ? { $or: [sameValue, { [sortField]: { $ne: null } }] }
+      : sameValue;
+  }
+
+  const conditions = [
+    { [sortField]: { [ascending ? '$gt' : '$lt']: value } },
+    { [sortField]: value, _id: { [idOp]: id } }
+  ];
+  if (!ascending) conditions.push({ [sortField]: null });
+
+  return { $or: conditions };
+};
+
+/**
+ * Build a device update, merging attributes field by field instead of replacing them
+ * @param {Object} body - Validated update body
+ * @returns {Object} - MongoDB update document
+ */
+const buildDeviceUpdate = (body) => {
+  const { attributes, inactivityTimeoutMinutes, heartbeatIntervalSeconds, ...fields } = body;
+  const $set = { ...fields };
+
+  if (inactivityTimeoutMinutes !== undefined) $set.inactivity_timeout_minutes = inactivityTimeoutMinutes;
+  if (heartbeatIntervalSeconds !== undefined) $set.heartbeat_interval_seconds = heartbeatIntervalSeconds;
+
+  if (attributes) {
+    Object.entries(attributes).forEach(([key, value]) => {
+      if (key === 'location' && value) {
+        Object.entries(value).forEach(([locationKey, locationValue]) => {
+          $set[`attributes.location.${locationKey}`] = locationValue;
+        });
+      } else {
+        $set[`attributes.${key}`] = value;
+      }
+    });
+  }
+
+  return { $set };
+};
+
+/**
+ * Compute the live summary shown on the device detail endpoint
+ * @param {Object} device - Device document
+ * @returns {Promise<Object>} - Last heartbeat, log count, last reading per event and 24h usage
+ */
+const getDeviceSummary = async (device) => {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+
+  const [logCount, lastReadings, usage] = await Promise.all([
+    Log.countDocuments({ device_id: device._id }),
+    Log.aggregate([
+      { $match: { device_id: device._id } },
+      { $sort: { timestamp: -1 } },
+      {
+        $group: {
+          _id: '$event',
+          value: { $first: '$value' },
+          timestamp: { $first: '$timestamp' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]),
+    Log.aggregate([
+      { $match: { device_id: device._id, event: 'units_consumed', timestamp: { $gte: since } } },
+      { $group: { _id: null, total: { $sum: '$value' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  return {
+    last_heartbeat: device.last_active_at,
+    inactivity_timeout_minutes: deviceStatusService.getInactivityTimeout(device),
+    log_count: logCount,
+    last_readings: lastReadings.map(reading => ({
+      event: reading._id,
+      value: reading.value,
+      timestamp: reading.timestamp
+    })),
+    usage_24h: {
+      total_units: usage[0]?.total || 0,
+      log_count: usage[0]?.count || 0
+    }
+  };
+};
+
+module.exports = {
+  registerDeviceSchema,
+  heartbeatSchema,
+  SORT_FIELDS,
+  buildDeviceFilter,
+  buildDeviceUpdate,
+  buildDeviceSort,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  getDeviceSummary
+};
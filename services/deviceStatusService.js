@@ -0,0 +1,384 @@
+const config = require('../config');
+const Device = require('../models/device');
+const DeviceStatusHistory = require('../models/deviceStatusHistory');
+const DeviceHeartbeat = require('../models/deviceHeartbeat');
+const Log = require('../models/log');
+const organizationService = require('./organizationService');
+const realtimeService = require('./realtimeService');
+const sseService = require('./sseService');
+const webhookService = require('./webhookService');
+const { logInfo, logError } = require('./logger');
+
+class DeviceStatusService {
+  /**
+   * Resolve the inactivity timeout that applies to a device
+   * @param {Object} device - Device with type and optional inactivity_timeout_minutes
+   * @returns {number} - Timeout in minutes
+   */
+  getInactivityTimeout(device) {
+    const { defaultTimeoutMinutes, typeTimeoutMinutes } = config.deactivation;
+    return device.inactivity_timeout_minutes
+      || typeTimeoutMinutes[device.type]
+      || defaultTimeoutMinutes;
+  }
+
+  /**
+   * Build a query expression computing each device's timeout in minutes,
+   * with the same precedence as getInactivityTimeout
+   * @returns {Object} - Aggregation expression
+   */
+  buildTimeoutExpression() {
+    const { defaultTimeoutMinutes, typeTimeoutMinutes } = config.deactivation;
+    const branches = Object.entries(typeTimeoutMinutes).map(([type, minutes]) => ({
+      case: { $eq: ['$type', type] },
+      then: minutes
+    }));
+
+    const typeTimeout = branches.length > 0
+      ? { $switch: { branches, default: defaultTimeoutMinutes } }
+      : defaultTimeoutMinutes;
+
+    return { $ifNull: ['$inactivity_timeout_minutes', typeTimeout] };
+  }
+
+  /**
+   * Record a status transition
+   * @param {Object} device - Device document
+   * @param {string} from - Previous status
+   * @param {string} to - New status
+   * @param {Object} options - { reason, changedBy, changedAt }
+   * @returns {Promise<Object|null>} - History entry, or null when the status did not change
+   */
+  async recordTransition(device, from, to, { reason, changedBy = null, changedAt = new Date() }) {
+    if (from === to) return null;
+
+    return DeviceStatusHistory.create({
+      device_id: device._id,
+      organization_id: device.organization_id,
+      from,
+      to,
+      reason,
+      changed_by: changedBy,
+      changed_at: changedAt
+    });
+  }
+
+  /**
+   * Count a heartbeat towards the device's heartbeat history
+   * @param {Object} device - Device document
+   * @param {Date} at - Heartbeat time
+   */
+  async recordHeartbeat(device, at = new Date()) {
+    await DeviceHeartbeat.record(device._id, at);
+  }
+
+  /**
+   * Count heartbeats per device over a window. Heartbeats are kept per UTC hour,
+   * so the hours holding the window edges are counted whole.
+   * @param {Array} deviceIds - Device IDs
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @returns {Promise<Map>} - { count, lastAt } keyed by device ID string
+   */
+  async getHeartbeatCounts(deviceIds, since, until) {
+    const rows = await DeviceHeartbeat.aggregate([
+      { $match: {
+        device_id: { $in: deviceIds },
+        bucket_start: { $gte: new Date(Math.floor(since.getTime() / 3600000) * 3600000), $lte: until }
+      }},
+      { $group: { _id: '$device_id', count: { $sum: '$count' }, lastAt: { $max: '$last_at' } } }
+    ]);
+
+    return new Map(rows.map(row => [row._id.toString(), { count: row.count, lastAt: row.lastAt }]));
+  }
+
+  /**
+   * When heartbeat history starts. Heartbeats were not stored before it, so
+   * counts for earlier windows are incomplete.
+   * @returns {Promise<Date|null>} - Start of the first heartbeat hour, or null before any heartbeat
+   */
+  async getHeartbeatHistoryStart() {
+    const first = await DeviceHeartbeat.findOne().sort({ bucket_start: 1 }).select('bucket_start').lean();
+    return first ? first.bucket_start : null;
+  }
+
+  /**
+   * Longest time a device may go without readings before it counts as a data gap:
+   * its missed-heartbeat allowance, or its inactivity timeout without a heartbeat interval
+   * @param {Object} device - Device
+   * @returns {number} - Milliseconds
+   */
+  getGapThreshold(device) {
+    if (device.heartbeat_interval_seconds) {
+      return device.heartbeat_interval_seconds * config.heartbeatMonitor.missedBeats * 1000;
+    }
+    return this.getInactivityTimeout(device) * 60 * 1000;
+  }
+
+  /**
+   * Where gap detection starts for a device: the window start, its registration
+   * or its raw log retention cutoff, whichever is latest. Readings before the
+   * cutoff only survive in rollups, which can't show gaps.
+   * @param {Object} device - Device
+   * @param {Date} since - Window start
+   * @param {Date|null} cutoff - Raw log retention cutoff
+   * @returns {Date} - Detection start
+   */
+  getGapWindowStart(device, since, cutoff = null) {
+    return [device.createdAt, cutoff].reduce((start, date) => (date && date > start ? date : start), since);
+  }
+
+  /**
+   * Find stretches without readings longer than each device's gap threshold.
+   * Each device's window starts at getGapWindowStart, so silence at either edge
+   * of the window counts too.
+   * @param {Array} devices - Device documents
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @param {Map} cutoffs - Raw log retention cutoffs keyed by device ID string
+   * @returns {Promise<Map>} - Gaps ({ start, end, hours }) keyed by device ID string
+   */
+  async getDataGaps(devices, since, until, cutoffs = new Map()) {
+    const gapsByDevice = new Map(devices.map(device => [device._id.toString(), []]));
+    if (devices.length === 0) return gapsByDevice;
+
+    const windowStarts = new Map(devices.map(device => {
+      const id = device._id.toString();
+      return [id, this.getGapWindowStart(device, since, cutoffs.get(id))];
+    }));
+    // No raw logs are read from before the earliest device's window
+    const scanStart = new Date(Math.min(...windowStarts.values()));
+
+    const thresholds = new Map(devices.map(device => [device._id.toString(), this.getGapThreshold(device)]));
+    const minThreshold = Math.min(...thresholds.values());
+    const match = { device_id: { $in: devices.map(d => d._id) }, timestamp: { $gte: scanStart, $lte: until } };
+
+    const [innerGaps, bounds] = await Promise.all([
+      Log.aggregate([
+        { $match: match },
+        { $setWindowFields: {
+          partitionBy: '$device_id',
+          sortBy: { timestamp: 1 },
+          output: { previous: { $shift: { output: '$timestamp', by: -1 } } }
+        }},
+        { $match: { previous: { $ne: null }, $expr: { $gte: [{ $subtract: ['$timestamp', '$previous'] }, minThreshold] } } },
+        { $project: { _id: 0, device_id: 1, start: '$previous', end: '$timestamp' } }
+      ]).allowDiskUse(true),
+      Log.aggregate([
+        { $match: match },
+        { $group: { _id: '$device_id', first: { $min: '$timestamp' }, last: { $max: '$timestamp' } } }
+      ])
+    ]);
+    const boundsByDevice = new Map(bounds.map(b => [b._id.toString(), b]));
+
+    const addGap = (id, gapStart, end) => {
+      // Readings ingested late can sit before the cutoff
+      const start = gapStart < windowStarts.get(id) ? windowStarts.get(id) : gapStart;
+      if (end - start < thresholds.get(id)) return;
+      gapsByDevice.get(id).push({ start, end, hours: Math.round(((end - start) / 3600000) * 100) / 100 });
+    };
+
+    devices.forEach(device => {
+      const id = device._id.toString();
+      const start = windowStarts.get(id);
+      const deviceBounds = boundsByDevice.get(id);
+
+      if (deviceBounds) {
+        addGap(id, start, deviceBounds.first);
+        addGap(id, deviceBounds.last, until);
+      } else if (start < until) {
+        addGap(id, start, until);
+      }
+    });
+    innerGaps.forEach(gap => addGap(gap.device_id.toString(), gap.start, gap.end));
+
+    gapsByDevice.forEach(gaps => gaps.sort((a, b) => a.start - b.start));
+    return gapsByDevice;
+  }
+
+  /**
+   * Compute uptime, outage count and mean time between failures for devices over a window.
+   * A device's state at the window start comes from its last transition before it,
+   * falling back to the first transition's previous state in or after the window,
+   * then its current status.
+   * @param {Array} devices - Device documents
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end
+   * @param {Object} options - { includeTransitions }
+   * @returns {Promise<Object>} - { devices, fleet }
+   */
+  async getAvailability(devices, since, until = new Date(), { includeTransitions = false } = {}) {
+    const deviceIds = devices.map(d => d._id);
+
+    const [transitions, priorStates, laterStates] = await Promise.all([
+      DeviceStatusHistory.find({
+        device_id: { $in: deviceIds },
+        changed_at: { $gte: since, $lte: until }
+      }).sort({ changed_at: 1 }).lean(),
+      DeviceStatusHistory.aggregate([
+        { $match: { device_id: { $in: deviceIds }, changed_at: { $lt: since } } },
+        { $sort: { changed_at: -1 } },
+        { $group: { _id: '$device_id', status: { $first: '$to' } } }
+      ]),
+      // For windows in the past, the first transition after the window tells its final state
+      DeviceStatusHistory.aggregate([
+        { $match: { device_id: { $in: deviceIds }, changed_at: { $gt: until } } },
+        { $sort: { changed_at: 1 } },
+        { $group: { _id: '$device_id', status: { $first: '$from' } } }
+      ])
+    ]);
+
+    const transitionsByDevice = new Map();
+    transitions.forEach(transition => {
+      const id = transition.device_id.toString();
+      if (!transitionsByDevice.has(id)) transitionsByDevice.set(id, []);
+      transitionsByDevice.get(id).push(transition);
+    });
+    const priorStateByDevice = new Map(priorStates.map(p => [p._id.toString(), p.status]));
+    const laterStateByDevice = new Map(laterStates.map(l => [l._id.toString(), l.status]));
+
+    let fleetUptimeMs = 0;
+    let fleetWindowMs = 0;
+    let fleetOutages = 0;
+
+    const results = devices.map(device => {
+      const id = device._id.toString();
+      const deviceTransitions = transitionsByDevice.get(id) || [];
+      // Time before the device was registered does not count as downtime
+      const start = device.createdAt && device.createdAt > since ? device.createdAt : since;
+      const windowMs = Math.max(0, until - start);
+
+      let state = priorStateByDevice.get(id)
+        || deviceTransitions[0]?.from
+        || laterStateByDevice.get(id)
+        || device.status;
+      let cursor = start;
+      let uptimeMs = 0;
+      let outageCount = 0;
+
+      deviceTransitions.forEach(transition => {
+        const at = transition.changed_at < start ? start : transition.changed_at;
+        if (state === 'active') uptimeMs += at - cursor;
+        if (transition.from === 'active' && transition.to === 'inactive') outageCount += 1;
+        state = transition.to;
+        cursor = at;
+      });
+      if (state === 'active') uptimeMs += Math.max(0, until - cursor);
+
+      fleetUptimeMs += uptimeMs;
+      fleetWindowMs += windowMs;
+      fleetOutages += outageCount;
+
+      const result = {
+        deviceId: device._id,
+        deviceName: device.name,
+        deviceType: device.type,
+        currentStatus: device.status,
+        uptimePercentage: windowMs > 0 ? Math.round((uptimeMs / windowMs) * 10000) / 100 : null,
+        uptimeHours: Math.round((uptimeMs / 3600000) * 100) / 100,
+        downtimeHours: Math.round(((windowMs - uptimeMs) / 3600000) * 100) / 100,
+        outageCount,
+        mtbfHours: outageCount > 0 ? Math.round((uptimeMs / outageCount / 3600000) * 100) / 100 : null
+      };
+
+      if (includeTransitions) {
+        result.transitions = deviceTransitions.map(t => ({
+          from: t.from,
+          to: t.to,
+          reason: t.reason,
+          changedBy: t.changed_by,
+          changedAt: t.changed_at
+        }));
+      }
+
+      return result;
+    });
+
+    return {
+      devices: results,
+      fleet: {
+        deviceCount: devices.length,
+        uptimePercentage: fleetWindowMs > 0 ? Math.round((fleetUptimeMs / fleetWindowMs) * 10000) / 100 : null,
+        outageCount: fleetOutages,
+        mtbfHours: fleetOutages > 0 ? Math.round((fleetUptimeMs / fleetOutages / 3600000) * 100) / 100 : null
+      }
+    };
+  }
+
+  /**
+   * Deactivate active devices whose last heartbeat is older than their timeout.
+   * Each device is notified over WebSocket and SSE and gets a status-history entry.
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} - Deactivated devices
+   */
+  async deactivateInactiveDevices(now = new Date()) {
+    const candidates = await Device.find({
+      status: 'active',
+      last_active_at: { $ne: null },
+      $expr: {
+        $lt: [
+          '$last_active_at',
+          { $subtract: [now, { $multiply: [this.buildTimeoutExpression(), 60 * 1000] }] }
+        ]
+      }
+    }).select('_id name type owner_id organization_id last_active_at inactivity_timeout_minutes');
+
+    const deactivated = [];
+
+    for (const device of candidates) {
+      try {
+        // Skip devices that sent a heartbeat since the query ran
+        const result = await Device.updateOne(
+          { _id: device._id, status: 'active', last_active_at: device.last_active_at },
+          { $set: { status: 'inactive' } }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        await this.recordTransition(device, 'active', 'inactive', {
+          reason: 'inactivity_timeout',
+          changedAt: now
+        });
+        deactivated.push(device);
+      } catch (error) {
+        logError(error, { context: 'Device deactivation', deviceId: device._id });
+      }
+    }
+
+    if (deactivated.length === 0) return deactivated;
+
+    const organizationIds = [...new Set(deactivated.map(d => d.organization_id.toString()))];
+    const membersByOrganization = new Map(await Promise.all(
+      organizationIds.map(async id => [id, await organizationService.getMemberIds(id)])
+    ));
+
+    for (const device of deactivated) {
+      const memberIds = membersByOrganization.get(device.organization_id.toString());
+
+      realtimeService.broadcastDeviceUpdate(device._id, 'inactive', device.owner_id, device.organization_id);
+      memberIds.forEach(userId => {
+        sseService.sendDeviceUpdate(device._id, 'inactive', userId);
+      });
+
+      await webhookService.dispatch('device.updated', {
+        device: webhookService.serializeDevice({ ...device.toObject(), status: 'inactive' }),
+        changes: ['status'],
+        reason: 'inactivity_timeout'
+      }, memberIds);
+    }
+
+    await organizationService.invalidateMemberCaches(
+      organizationIds,
+      ['devices', 'analytics'],
+      deactivated.map(device => `device:${device._id}:*`)
+    );
+
+    logInfo('Auto-deactivated inactive devices', {
+      count: deactivated.length,
+      organizations: organizationIds.length
+    });
+
+    return deactivated;
+  }
+}
+
+module.exports = new DeviceStatusService();
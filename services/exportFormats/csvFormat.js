@@ -0,0 +1,42 @@
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+const { createObjectCsvStringifier } = require('csv-writer');
+
+const toCell = value => {
+  if (value instanceof Date) return value.toISOString();
+  return value ?? '';
+};
+
+class CsvFormat {
+  constructor() {
+    this.name = 'csv';
+    this.contentType = 'text/csv';
+  }
+
+  /**
+   * Write a table as CSV with a header line
+   * @param {string} filepath - File path
+   * @param {Object} table - { columns, rows }
+   * @returns {Promise<number>} - Records written
+   */
+  async write(filepath, { columns, rows }) {
+    const stringifier = createObjectCsvStringifier({
+      header: columns.map(({ id, title }) => ({ id, title }))
+    });
+    let recordCount = 0;
+
+    await pipeline(async function* () {
+      yield stringifier.getHeaderString();
+
+      for await (const row of rows) {
+        const record = Object.fromEntries(columns.map(({ id }) => [id, toCell(row[id])]));
+        yield stringifier.stringifyRecords([record]);
+        recordCount++;
+      }
+    }, createWriteStream(filepath));
+
+    return recordCount;
+  }
+}
+
+module.exports = new CsvFormat();
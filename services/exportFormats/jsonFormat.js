@@ -0,0 +1,36 @@
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+
+class JsonFormat {
+  constructor() {
+    this.name = 'json';
+    this.contentType = 'application/json';
+  }
+
+  /**
+   * Write a table as one JSON document, { <name>: [records], metadata }.
+   * Metadata follows the records since the record count is only known once they are written.
+   * @param {string} filepath - File path
+   * @param {Object} table - { name, rows, metadata }
+   * @returns {Promise<number>} - Records written
+   */
+  async write(filepath, { name, rows, metadata = {} }) {
+    let recordCount = 0;
+
+    await pipeline(async function* () {
+      yield `{\n  ${JSON.stringify(name)}: [`;
+
+      for await (const row of rows) {
+        yield `${recordCount > 0 ? ',' : ''}\n    ${JSON.stringify(row)}`;
+        recordCount++;
+      }
+
+      const footer = JSON.stringify({ ...metadata, recordCount, format: 'json' }, null, 2);
+      yield `\n  ],\n  "metadata": ${footer.replace(/\n/g, '\n  ')}\n}\n`;
+    }, createWriteStream(filepath));
+
+    return recordCount;
+  }
+}
+
+module.exports = new JsonFormat();
@@ -0,0 +1,31 @@
+const { createWriteStream } = require('fs');
+const { pipeline } = require('stream/promises');
+
+class NdjsonFormat {
+  constructor() {
+    this.name = 'ndjson';
+    this.contentType = 'application/x-ndjson';
+  }
+
+  /**
+   * Write a table as newline-delimited JSON, one record per line and nothing else,
+   * so streaming loaders can read it line by line
+   * @param {string} filepath - File path
+   * @param {Object} table - { rows }
+   * @returns {Promise<number>} - Records written
+   */
+  async write(filepath, { rows }) {
+    let recordCount = 0;
+
+    await pipeline(async function* () {
+      for await (const row of rows) {
+        yield `${JSON.stringify(row)}\n`;
+        recordCount++;
+      }
+    }, createWriteStream(filepath));
+
+    return recordCount;
+  }
+}
+
+module.exports = new NdjsonFormat();
@@ -0,0 +1,53 @@
+const { ParquetSchema, ParquetWriter } = require('@dsnp/parquetjs');
+
+const FIELD_TYPES = {
+  string: 'UTF8',
+  number: 'DOUBLE',
+  date: 'TIMESTAMP_MILLIS'
+};
+
+// Rows buffered before a row group is flushed to disk
+const ROW_GROUP_SIZE = 5000;
+
+class ParquetFormat {
+  constructor() {
+    this.name = 'parquet';
+    this.contentType = 'application/vnd.apache.parquet';
+  }
+
+  /**
+   * Write a table as Parquet, typed by its columns. Every field is optional so
+   * missing values are stored as nulls.
+   * @param {string} filepath - File path
+   * @param {Object} table - { columns, rows }
+   * @returns {Promise<number>} - Records written
+   */
+  async write(filepath, { columns, rows }) {
+    const schema = new ParquetSchema(Object.fromEntries(columns.map(column => [
+      column.id,
+      { type: FIELD_TYPES[column.type || 'string'], optional: true }
+    ])));
+    const writer = await ParquetWriter.openFile(schema, filepath, { rowGroupSize: ROW_GROUP_SIZE });
+    let recordCount = 0;
+
+    try {
+      for await (const row of rows) {
+        const record = {};
+        columns.forEach(({ id, type }) => {
+          const value = row[id];
+          if (value === null || value === undefined) return;
+          record[id] = type === 'number' || type === 'date' ? value : String(value);
+        });
+
+        await writer.appendRow(record);
+        recordCount++;
+      }
+    } finally {
+      await writer.close();
+    }
+
+    return recordCount;
+  }
+}
+
+module.exports = new ParquetFormat();
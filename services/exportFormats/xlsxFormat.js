@@ -0,0 +1,83 @@
+const ExcelJS = require('exceljs');
+
+// Excel's row limit per worksheet, including the header row
+const MAX_SHEET_ROWS = 1048576;
+const MAX_SHEET_NAME_LENGTH = 31;
+
+class XlsxFormat {
+  constructor() {
+    this.name = 'xlsx';
+    this.contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+  }
+
+  /**
+   * Sheet names are limited to 31 characters, may not contain []:*?/\ and must be unique
+   * @param {string} name - Requested name
+   * @param {Set} used - Names already in the workbook, lower-cased
+   * @returns {string} - Valid, unique sheet name
+   */
+  sheetName(name, used) {
+    const base = String(name || 'Sheet')
+      .replace(/[[\]:*?/\\]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .slice(0, MAX_SHEET_NAME_LENGTH) || 'Sheet';
+    let candidate = base;
+
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+      const suffix = ` (${n})`;
+      candidate = `${base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length)}${suffix}`;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Write a table as an XLSX workbook, streaming rows to disk as they are added.
+   * Tables with sheets get one worksheet each; tables past Excel's row limit continue on another sheet.
+   * @param {string} filepath - File path
+   * @param {Object} table - { name, columns, rows, sheets } where sheets is [{ name, columns, rows }]
+   * @returns {Promise<number>} - Records written
+   */
+  async write(filepath, { name, columns, rows, sheets = null }) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ filename: filepath, useStyles: true });
+    const used = new Set();
+    let recordCount = 0;
+
+    for (const sheet of sheets || [{ name, columns, rows }]) {
+      const addWorksheet = () => {
+        const worksheet = workbook.addWorksheet(this.sheetName(sheet.name, used));
+        worksheet.columns = sheet.columns.map(column => ({
+          header: column.title,
+          key: column.id,
+          width: Math.max(12, column.title.length + 2),
+          ...(column.type === 'date' && { style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } })
+        }));
+        return worksheet;
+      };
+
+      let worksheet = addWorksheet();
+      let sheetRows = 1;
+
+      for await (const row of sheet.rows) {
+        if (sheetRows === MAX_SHEET_ROWS) {
+          worksheet.commit();
+          worksheet = addWorksheet();
+          sheetRows = 1;
+        }
+
+        worksheet.addRow(row).commit();
+        sheetRows++;
+        recordCount++;
+      }
+
+      worksheet.commit();
+    }
+
+    await workbook.commit();
+    return recordCount;
+  }
+}
+
+module.exports = new XlsxFormat();
@@ -0,0 +1,195 @@
+const cronParser = require('cron-parser');
+const { DateTime } = require('luxon');
+const ExportSchedule = require('../models/exportSchedule');
+const ExportJob = require('../models/exportJob');
+const config = require('../config');
+const jobQueue = require('./jobQueue');
+const { logInfo } = require('./logger');
+
+// Consecutive runs compared when checking a cron expression's shortest interval
+const INTERVAL_SAMPLES = 100;
+
+class ExportScheduleService {
+  /**
+   * Joi custom validator for cron expressions. Only five-field expressions are
+   * accepted, and runs must be at least the configured minimum interval apart,
+   * since every run starts a full export job.
+   * @param {string} value - Cron expression
+   * @param {Object} helpers - Joi helpers
+   * @returns {string} - The value when valid
+   */
+  validateCron(value, helpers) {
+    if (value.trim().split(/\s+/).length !== 5) {
+      return helpers.message({ custom: '{{#label}} must have five fields: minute, hour, day of month, month and day of week' });
+    }
+
+    const { minIntervalMinutes } = config.exportSchedules;
+    let shortest = Infinity;
+
+    try {
+      const interval = cronParser.parseExpression(value, { tz: 'UTC' });
+      let previous = interval.next().getTime();
+
+      for (let i = 0; i < INTERVAL_SAMPLES && interval.hasNext(); i++) {
+        const next = interval.next().getTime();
+        shortest = Math.min(shortest, next - previous);
+        previous = next;
+      }
+    } catch (error) {
+      return helpers.error('any.invalid');
+    }
+
+    if (shortest < minIntervalMinutes * 60 * 1000) {
+      return helpers.message({ custom: `{{#label}} must not run more than once every ${minIntervalMinutes} minutes` });
+    }
+
+    return value;
+  }
+
+  /**
+   * Whether a user may have one more active schedule
+   * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True while under the per-user limit
+   */
+  async canActivate(userId) {
+    const active = await ExportSchedule.countDocuments({ userId, status: 'active' });
+    return active < config.exportSchedules.maxActivePerUser;
+  }
+
+  /**
+   * Next time an active schedule runs
+   * @param {Object} schedule - Export schedule
+   * @param {Date} now - Evaluation time
+   * @returns {Date|null} - Next run, or null while paused
+   */
+  getNextRun(schedule, now = new Date()) {
+    if (schedule.status !== 'active') return null;
+
+    return cronParser.parseExpression(schedule.cron, { currentDate: now, tz: schedule.timezone }).next().toDate();
+  }
+
+  /**
+   * Resolve a rolling date range to the whole days it covers in a time zone.
+   * Weeks start on Monday. The end date is inclusive, as in one-off exports.
+   * @param {string} range - One of ExportSchedule.DATE_RANGES
+   * @param {string} timezone - IANA time zone
+   * @param {Date} now - Run time
+   * @returns {Object} - { startDate, endDate }
+   */
+  resolveDateRange(range, timezone = 'UTC', now = new Date()) {
+    const today = DateTime.fromJSDate(now, { zone: timezone }).startOf('day');
+    let start;
+    let end = today;
+
+    switch (range) {
+      case 'previous_day':
+        start = today.minus({ days: 1 });
+        break;
+      case 'previous_week':
+        end = today.startOf('week');
+        start = end.minus({ weeks: 1 });
+        break;
+      case 'previous_month':
+        end = today.startOf('month');
+        start = end.minus({ months: 1 });
+        break;
+      case 'last_7_days':
+        start = today.minus({ days: 7 });
+        break;
+      case 'last_30_days':
+        start = today.minus({ days: 30 });
+        break;
+      default:
+        throw new Error(`Unknown date range: ${range}`);
+    }
+
+    return {
+      startDate: start.toJSDate(),
+      endDate: new Date(end.toMillis() - 1)
+    };
+  }
+
+  /**
+   * Register an active schedule's repeatable job, or drop it for a paused one
+   * @param {Object} schedule - Export schedule
+   */
+  async sync(schedule) {
+    if (schedule.status === 'active') {
+      await jobQueue.scheduleExport(schedule);
+    } else {
+      await jobQueue.unscheduleExport(schedule._id.toString());
+    }
+  }
+
+  /**
+   * Make the repeatable jobs match the stored schedules, e.g. after Redis lost them
+   * @returns {Promise<Object>} - { scheduled, removed } counts
+   */
+  async syncAll() {
+    const active = await ExportSchedule.find({ status: 'active' });
+    const activeIds = new Set(active.map(schedule => schedule._id.toString()));
+
+    const stale = (await jobQueue.getScheduledExportIds()).filter(id => !activeIds.has(id));
+    await Promise.all(stale.map(id => jobQueue.unscheduleExport(id)));
+
+    for (const schedule of active) {
+      await jobQueue.scheduleExport(schedule);
+    }
+
+    logInfo('Export schedules synced', { scheduled: active.length, removed: stale.length });
+
+    return { scheduled: active.length, removed: stale.length };
+  }
+
+  /**
+   * Start one run of a schedule: create its export job for the current
+   * rolling date range and queue it
+   * @param {string} scheduleId - Export schedule ID
+   * @param {Date} now - Run time
+   * @returns {Promise<Object|null>} - Export job, or null if the schedule is gone or paused
+   */
+  async run(scheduleId, now = new Date()) {
+    const schedule = await ExportSchedule.findById(scheduleId);
+    if (!schedule || schedule.status !== 'active') return null;
+
+    const dateRange = this.resolveDateRange(schedule.dateRange, schedule.timezone, now);
+    const { filters } = schedule.toObject();
+
+    const exportJob = await ExportJob.create({
+      userId: schedule.userId,
+      type: schedule.type,
+      config: {
+        format: schedule.format,
+        compression: schedule.compression,
+        dateRange,
+        filters
+      },
+      scheduleId: schedule._id
+    });
+
+    await jobQueue.addExportJob({
+      jobId: exportJob._id.toString(),
+      userId: schedule.userId.toString(),
+      type: schedule.type,
+      format: schedule.format,
+      compression: schedule.compression,
+      dateRange,
+      filters
+    });
+
+    await ExportSchedule.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: now, lastJobId: exportJob._id }, $inc: { runCount: 1 } }
+    );
+
+    logInfo('Scheduled export started', {
+      scheduleId: schedule._id,
+      jobId: exportJob._id,
+      dateRange
+    });
+
+    return exportJob;
+  }
+}
+
+module.exports = new ExportScheduleService();
@@ -1,15 +1,139 @@
 const fs = require('fs').promises;
+const { createReadStream, createWriteStream } = require('fs');
 const path = require('path');
-const createCsvWriter = require('csv-writer').createObjectCsvWriter;
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const archiver = require('archiver');
 const Log = require('../models/log');
 const Device = require('../models/device');
 const ExportJob = require('../models/exportJob');
+const organizationService = require('./organizationService');
+const deviceStatusService = require('./deviceStatusService');
+const rollupService = require('./rollupService');
+const retentionService = require('./retentionService');
+const appConfig = require('../config');
+const csvFormat = require('./exportFormats/csvFormat');
+const jsonFormat = require('./exportFormats/jsonFormat');
+const ndjsonFormat = require('./exportFormats/ndjsonFormat');
+const xlsxFormat = require('./exportFormats/xlsxFormat');
+const parquetFormat = require('./exportFormats/parquetFormat');
 const { logInfo, logError } = require('./logger');
 
+// Logs fetched per cursor round trip, which also bounds how many are held in memory
+const CURSOR_BATCH_SIZE = 1000;
+// Minimum time between progress updates while a log export streams
+const PROGRESS_INTERVAL_MS = 2000;
+
+// Exported columns; the type sets the cell or field type in XLSX and Parquet
+const LOG_COLUMNS = [
+  { id: 'deviceName', title: 'Device Name' },
+  { id: 'deviceType', title: 'Device Type' },
+  { id: 'event', title: 'Event' },
+  { id: 'value', title: 'Value', type: 'number' },
+  { id: 'timestamp', title: 'Timestamp', type: 'date' },
+  { id: 'deviceId', title: 'Device ID' }
+];
+
+const USAGE_COLUMNS = [
+  { id: 'deviceId', title: 'Device ID' },
+  { id: 'deviceName', title: 'Device Name' },
+  { id: 'deviceType', title: 'Device Type' },
+  { id: 'event', title: 'Event' },
+  { id: 'totalValue', title: 'Total Value', type: 'number' },
+  { id: 'count', title: 'Count', type: 'number' },
+  { id: 'avgValue', title: 'Average Value', type: 'number' },
+  { id: 'minValue', title: 'Min Value', type: 'number' },
+  { id: 'maxValue', title: 'Max Value', type: 'number' },
+  { id: 'firstEvent', title: 'First Event', type: 'date' },
+  { id: 'lastEvent', title: 'Last Event', type: 'date' }
+];
+
+const AVAILABILITY_COLUMNS = [
+  { id: 'deviceId', title: 'Device ID' },
+  { id: 'deviceName', title: 'Device Name' },
+  { id: 'deviceType', title: 'Device Type' },
+  { id: 'currentStatus', title: 'Current Status' },
+  { id: 'uptimePercentage', title: 'Uptime %', type: 'number' },
+  { id: 'uptimeHours', title: 'Uptime Hours', type: 'number' },
+  { id: 'downtimeHours', title: 'Downtime Hours', type: 'number' },
+  { id: 'outageCount', title: 'Outages', type: 'number' },
+  { id: 'mtbfHours', title: 'MTBF Hours', type: 'number' }
+];
+
+const DEVICE_COLUMNS = [
+  { id: 'deviceId', title: 'Device ID' },
+  { id: 'deviceName', title: 'Device Name' },
+  { id: 'deviceType', title: 'Device Type' },
+  { id: 'status', title: 'Status' },
+  { id: 'serial', title: 'Serial' },
+  { id: 'model', title: 'Model' },
+  { id: 'firmware', title: 'Firmware' },
+  { id: 'location', title: 'Location' },
+  { id: 'tags', title: 'Tags' },
+  { id: 'registeredAt', title: 'Registered At', type: 'date' },
+  { id: 'lastActiveAt', title: 'Last Active At', type: 'date' },
+  { id: 'heartbeatIntervalSeconds', title: 'Heartbeat Interval (s)', type: 'number' },
+  { id: 'heartbeatCount', title: 'Heartbeats', type: 'number' },
+  { id: 'readingCount', title: 'Readings', type: 'number' },
+  { id: 'errorCount', title: 'Error Events', type: 'number' },
+  { id: 'gapsCheckedFrom', title: 'Gaps Checked From', type: 'date' },
+  { id: 'gapCount', title: 'Data Gaps', type: 'number' },
+  { id: 'gapHours', title: 'Gap Hours', type: 'number' },
+  { id: 'longestGapHours', title: 'Longest Gap Hours', type: 'number' }
+];
+
+const FIELD_COLUMNS = [
+  { id: 'field', title: 'Field' },
+  { id: 'value', title: 'Value' }
+];
+
+/**
+ * Shape a log for export
+ * @param {Object} log - Lean log document
+ * @param {Map} devicesById - Devices keyed by ID string
+ * @returns {Object} - Export record
+ */
+const toLogRecord = (log, devicesById) => {
+  const device = devicesById.get(log.device_id.toString());
+  return {
+    deviceId: log.device_id.toString(),
+    deviceName: device?.name || 'Unknown',
+    deviceType: device?.type || 'Unknown',
+    event: log.event,
+    value: log.value,
+    timestamp: log.timestamp
+  };
+};
+
 class ExportService {
   constructor() {
     this.exportDir = path.join(process.cwd(), 'exports');
     this.ensureExportDirectory();
+    this.formats = new Map();
+    [csvFormat, jsonFormat, ndjsonFormat, xlsxFormat, parquetFormat].forEach(format => this.registerFormat(format));
+  }
+
+  /**
+   * Register an export format. Formats expose a name, which is also the file extension,
+   * the download contentType and write(filepath, table) resolving to the number of records written.
+   * @param {Object} format - Format implementation
+   */
+  registerFormat(format) {
+    this.formats.set(format.name, format);
+  }
+
+  /**
+   * Get a registered export format
+   * @param {string} name - Format name
+   * @returns {Object} - Format implementation
+   */
+  getFormat(name) {
+    const format = this.formats.get(name);
+    if (!format) {
+      throw new Error(`Unsupported export format: ${name}`);
+    }
+    return format;
   }
 
   /**
@@ -25,81 +149,78 @@ class ExportService {
   }
 
   /**
-   * Export device logs
+   * Export device logs, streaming them from a cursor into the export file
+   * so memory stays bounded however many logs match
    * @param {Object} config - Export configuration
    * @returns {Promise<Object>} - Export result
    */
   async exportDeviceLogs(config) {
     const { userId, format, dateRange, filters, jobId } = config;
+    let filepath = null;
     
     try {
-      // Update job progress
-      if (jobId) {
-        const job = await ExportJob.findById(jobId);
-        if (job) await job.updateProgress(10, 'fetching_data');
-      }
+      const formatWriter = this.getFormat(format);
+      const job = jobId ? await ExportJob.findById(jobId) : null;
+      if (job) await job.updateProgress(10, 'fetching_data');
 
       // Build query
       const query = this.buildLogsQuery(userId, dateRange, filters);
+
+      // Device names and types are looked up here rather than populated per log
+      const devices = await Device.find({ _id: query.device_id }).select('name type').lean();
+      const devicesById = new Map(devices.map(d => [d._id.toString(), d]));
       
       // Get total count for progress tracking
       const totalRecords = await Log.countDocuments(query);
       
-      if (jobId) {
-        const job = await ExportJob.findById(jobId);
-        if (job) {
-          job.progress.totalRecords = totalRecords;
-          await job.updateProgress(20, 'processing_data');
-        }
-      }
-
-      // Fetch data in batches
-      const batchSize = 1000;
-      let processedRecords = 0;
-      let allLogs = [];
-
-      for (let skip = 0; skip < totalRecords; skip += batchSize) {
-        const batch = await Log.find(query)
-          .populate('device_id', 'name type owner_id')
-          .sort({ timestamp: -1 })
-          .skip(skip)
-          .limit(batchSize)
-          .lean();
-
-        allLogs = allLogs.concat(batch);
-        processedRecords += batch.length;
-
-        // Update progress
-        if (jobId) {
-          const progress = 20 + Math.floor((processedRecords / totalRecords) * 60);
-          const job = await ExportJob.findById(jobId);
-          if (job) await job.updateProgress(progress, 'processing_data', processedRecords);
-        }
+      if (job) {
+        job.progress.totalRecords = totalRecords;
+        await job.updateProgress(20, 'processing_data');
       }
 
       // Generate filename
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
       const filename = `device-logs-${timestamp}.${format}`;
-      const filepath = path.join(this.exportDir, filename);
+      filepath = path.join(this.exportDir, filename);
+
+      const cursor = Log.find(query)
+        .sort({ timestamp: -1 })
+        .lean()
+        .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+      // Logs are pulled from the cursor only as fast as the format writes them
+      const rows = async function* () {
+        let processed = 0;
+        let lastProgressAt = Date.now();
+
+        for await (const log of cursor) {
+          yield toLogRecord(log, devicesById);
+          processed++;
+
+          if (job && Date.now() - lastProgressAt >= PROGRESS_INTERVAL_MS) {
+            lastProgressAt = Date.now();
+            const progress = 20 + Math.floor((processed / Math.max(totalRecords, processed)) * 75);
+            await job.updateProgress(progress, 'processing_data', processed);
+          }
+        }
+      };
 
-      // Export data
-      let fileSize = 0;
-      if (format === 'csv') {
-        fileSize = await this.exportLogsToCSV(allLogs, filepath);
-      } else {
-        fileSize = await this.exportLogsToJSON(allLogs, filepath);
-      }
+      const recordCount = await formatWriter.write(filepath, {
+        name: 'logs',
+        columns: LOG_COLUMNS,
+        rows: rows(),
+        metadata: { exportedAt: new Date().toISOString() }
+      });
+
+      const { size: fileSize } = await fs.stat(filepath);
 
       // Update final progress
-      if (jobId) {
-        const job = await ExportJob.findById(jobId);
-        if (job) await job.updateProgress(100, 'completed');
-      }
+      if (job) await job.updateProgress(100, 'completed', recordCount);
 
       logInfo('Device logs exported successfully', {
         userId,
         format,
-        recordCount: allLogs.length,
+        recordCount,
         fileSize,
         filename
       });
@@ -108,11 +229,13 @@ class ExportService {
         filename,
         filepath,
         fileSize,
-        recordCount: allLogs.length,
+        recordCount,
         fileUrl: `/exports/${filename}`
       };
 
     } catch (error) {
+      // Don't leave a partial file behind
+      if (filepath) await fs.unlink(filepath).catch(() => {});
       logError(error, { userId, format, jobId });
       throw error;
     }
@@ -124,7 +247,7 @@ class ExportService {
    * @returns {Promise<Object>} - Report result
    */
   async generateUsageReport(config) {
-    const { userId, dateRange, filters, jobId } = config;
+    const { userId, format = 'json', dateRange, filters, jobId } = config;
     
     try {
       // Update job progress
@@ -133,51 +256,41 @@ class ExportService {
         if (job) await job.updateProgress(10, 'analyzing_data');
       }
 
-      // Get user devices
-      const userDevices = await Device.find({ owner_id: userId });
+      // Get devices from the user's organizations
+      const organizationIds = await organizationService.getOrganizationIds(userId);
+      const userDevices = await Device.find({ organization_id: { $in: organizationIds } });
       const deviceIds = userDevices.map(d => d._id);
+      const devicesById = new Map(userDevices.map(d => [d._id.toString(), d]));
+
+      // Totals per device and event, read from rollups where the range allows.
+      // The range end is inclusive, so the window runs to just after it.
+      const rows = await rollupService.summarize({
+        deviceIds,
+        since: new Date(dateRange.startDate),
+        until: new Date(new Date(dateRange.endDate).getTime() + 1),
+        groupBy: ['device_id', 'event']
+      });
 
-      // Build aggregation pipeline
-      const pipeline = [
-        {
-          $match: {
-            device_id: { $in: deviceIds },
-            timestamp: {
-              $gte: new Date(dateRange.startDate),
-              $lte: new Date(dateRange.endDate)
-            }
-          }
-        },
-        {
-          $lookup: {
-            from: 'devices',
-            localField: 'device_id',
-            foreignField: '_id',
-            as: 'device'
-          }
-        },
-        { $unwind: '$device' },
-        {
-          $group: {
+      const aggregationResults = rows
+        .map(row => {
+          const device = devicesById.get(row.device_id.toString());
+          return {
             _id: {
-              deviceId: '$device_id',
-              deviceName: '$device.name',
-              deviceType: '$device.type',
-              event: '$event'
+              deviceId: row.device_id,
+              deviceName: device.name,
+              deviceType: device.type,
+              event: row.event
             },
-            totalValue: { $sum: '$value' },
-            count: { $sum: 1 },
-            avgValue: { $avg: '$value' },
-            maxValue: { $max: '$value' },
-            minValue: { $min: '$value' },
-            firstEvent: { $min: '$timestamp' },
-            lastEvent: { $max: '$timestamp' }
-          }
-        },
-        { $sort: { '_id.deviceName': 1, '_id.event': 1 } }
-      ];
-
-      const aggregationResults = await Log.aggregate(pipeline);
+            totalValue: row.sum,
+            count: row.count,
+            avgValue: row.sum / row.count,
+            maxValue: row.max,
+            minValue: row.min,
+            firstEvent: row.first_at,
+            lastEvent: row.last_at
+          };
+        })
+        .sort((a, b) => a._id.deviceName.localeCompare(b._id.deviceName) || a._id.event.localeCompare(b._id.event));
 
       // Update progress
       if (jobId) {
@@ -199,10 +312,18 @@ class ExportService {
 
         // Device summary
         if (!deviceSummary[deviceId]) {
+          const device = devicesById.get(deviceId);
           deviceSummary[deviceId] = {
             deviceId,
             deviceName,
             deviceType,
+            tags: device?.tags || [],
+            attributes: {
+              serial: device?.attributes?.serial || null,
+              firmware: device?.attributes?.firmware || null,
+              model: device?.attributes?.model || null,
+              location: device?.attributes?.location || null
+            },
             totalUsage: 0,
             totalEvents: 0,
             events: {},
@@ -285,10 +406,43 @@ class ExportService {
 
       // Generate filename and save
       const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-      const filename = `usage-report-${timestamp}.json`;
+      const filename = `usage-report-${timestamp}.${format}`;
       const filepath = path.join(this.exportDir, filename);
 
-      await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+      if (format === 'json') {
+        await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+      } else {
+        // Other formats get one row per device and event
+        const records = aggregationResults.map(result => ({
+          deviceId: result._id.deviceId.toString(),
+          deviceName: result._id.deviceName,
+          deviceType: result._id.deviceType,
+          event: result._id.event,
+          totalValue: result.totalValue,
+          count: result.count,
+          avgValue: result.avgValue,
+          minValue: result.minValue,
+          maxValue: result.maxValue,
+          firstEvent: result.firstEvent,
+          lastEvent: result.lastEvent
+        }));
+
+        // Workbooks get a sheet per device
+        const sheets = Object.values(deviceSummary).map(device => ({
+          name: device.deviceName,
+          columns: USAGE_COLUMNS,
+          rows: records.filter(record => record.deviceId === device.deviceId)
+        }));
+
+        await this.getFormat(format).write(filepath, {
+          name: 'usage',
+          columns: USAGE_COLUMNS,
+          rows: records,
+          metadata: report.metadata,
+          sheets: sheets.length > 0 ? sheets : null
+        });
+      }
+
       const stats = await fs.stat(filepath);
 
       // Update final progress
@@ -299,6 +453,7 @@ class ExportService {
 
       logInfo('Usage report generated successfully', {
         userId,
+        format,
         deviceCount: Object.keys(deviceSummary).length,
         totalEvents,
         fileSize: stats.size,
@@ -314,11 +469,346 @@ class ExportService {
       };
 
     } catch (error) {
-      logError(error, { userId, jobId });
+      logError(error, { userId, format, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Generate device inventory report with metadata, status, heartbeats,
+   * error events and data gaps per device over the date range
+   * @param {Object} config - Report configuration
+   * @returns {Promise<Object>} - Report result
+   */
+  async generateDeviceReport(config) {
+    const { userId, format = 'json', dateRange, filters = {}, jobId } = config;
+
+    try {
+      const job = jobId ? await ExportJob.findById(jobId) : null;
+      if (job) await job.updateProgress(10, 'analyzing_data');
+
+      // Device IDs are already limited to the user's organizations by the worker
+      const deviceQuery = { _id: { $in: filters.deviceIds || [] } };
+      if (!filters.includeInactive) deviceQuery.status = 'active';
+      const devices = await Device.find(deviceQuery).sort({ name: 1 }).lean();
+      const deviceIds = devices.map(d => d._id);
+
+      const since = new Date(dateRange.startDate);
+      const end = new Date(dateRange.endDate);
+      // Gaps can't extend into the future
+      const gapEnd = end < new Date() ? end : new Date();
+
+      // Raw logs before a device's retention cutoff are gone, so gaps are only looked for after it
+      const cutoffs = await retentionService.getDeviceCutoffs(devices);
+
+      const [totals, heartbeats, gaps, heartbeatHistoryStart] = await Promise.all([
+        // The range end is inclusive, so the window runs to just after it
+        rollupService.summarize({
+          deviceIds,
+          since,
+          until: new Date(end.getTime() + 1),
+          groupBy: ['device_id', 'event']
+        }),
+        deviceStatusService.getHeartbeatCounts(deviceIds, since, end),
+        deviceStatusService.getDataGaps(devices, since, gapEnd, cutoffs),
+        deviceStatusService.getHeartbeatHistoryStart()
+      ]);
+
+      if (job) await job.updateProgress(60, 'generating_report');
+
+      const { errorEvents } = appConfig.deviceReport;
+      const readings = new Map();
+      totals.forEach(row => {
+        const id = row.device_id.toString();
+        const entry = readings.get(id) || { readingCount: 0, errorCount: 0, errors: {} };
+        entry.readingCount += row.count;
+        if (errorEvents.includes(row.event)) {
+          entry.errorCount += row.count;
+          entry.errors[row.event] = row.count;
+        }
+        readings.set(id, entry);
+      });
+
+      const deviceEntries = devices.map(device => {
+        const id = device._id.toString();
+        const deviceReadings = readings.get(id) || { readingCount: 0, errorCount: 0, errors: {} };
+        const deviceGaps = gaps.get(id);
+        const heartbeat = heartbeats.get(id);
+
+        return {
+          deviceId: id,
+          deviceName: device.name,
+          deviceType: device.type,
+          status: device.status,
+          organizationId: device.organization_id.toString(),
+          tags: device.tags || [],
+          attributes: {
+            serial: device.attributes?.serial || null,
+            firmware: device.attributes?.firmware || null,
+            model: device.attributes?.model || null,
+            location: device.attributes?.location || null
+          },
+          registeredAt: device.createdAt,
+          lastActiveAt: device.last_active_at,
+          heartbeatIntervalSeconds: device.heartbeat_interval_seconds,
+          heartbeatCount: heartbeat?.count || 0,
+          lastHeartbeatAt: heartbeat?.lastAt || null,
+          readingCount: deviceReadings.readingCount,
+          errorCount: deviceReadings.errorCount,
+          errors: deviceReadings.errors,
+          gapsCheckedFrom: deviceStatusService.getGapWindowStart(device, since, cutoffs.get(id)),
+          gapCount: deviceGaps.length,
+          gapHours: Math.round(deviceGaps.reduce((sum, gap) => sum + gap.hours, 0) * 100) / 100,
+          longestGapHours: deviceGaps.reduce((max, gap) => Math.max(max, gap.hours), 0),
+          gaps: deviceGaps
+        };
+      });
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `device-report-${timestamp}.${format}`;
+      const filepath = path.join(this.exportDir, filename);
+
+      const metadata = {
+        generatedAt: new Date().toISOString(),
+        userId,
+        dateRange,
+        includeInactive: Boolean(filters.includeInactive),
+        errorEvents,
+        // Heartbeats were not stored before heartbeat history was deployed and are not backfilled
+        heartbeatsCountedSince: heartbeatHistoryStart
+      };
+
+      if (format === 'json') {
+        const report = {
+          metadata: { ...metadata, format: 'json' },
+          summary: {
+            deviceCount: deviceEntries.length,
+            activeCount: deviceEntries.filter(d => d.status === 'active').length,
+            inactiveCount: deviceEntries.filter(d => d.status === 'inactive').length,
+            heartbeatCount: deviceEntries.reduce((sum, d) => sum + d.heartbeatCount, 0),
+            errorCount: deviceEntries.reduce((sum, d) => sum + d.errorCount, 0),
+            gapCount: deviceEntries.reduce((sum, d) => sum + d.gapCount, 0)
+          },
+          devices: deviceEntries
+        };
+
+        await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+      } else {
+        const rows = deviceEntries.map(device => ({
+          ...device,
+          serial: device.attributes.serial,
+          model: device.attributes.model,
+          firmware: device.attributes.firmware,
+          location: device.attributes.location?.name || null,
+          tags: device.tags.join(', ')
+        }));
+
+        // Workbooks add a sheet per device listing its fields, error events and gaps
+        const sheets = [
+          { name: 'Devices', columns: DEVICE_COLUMNS, rows },
+          ...rows.map(row => ({
+            name: row.deviceName,
+            columns: FIELD_COLUMNS,
+            rows: [
+              ...DEVICE_COLUMNS.map(column => ({ field: column.title, value: row[column.id] ?? '' })),
+              ...Object.entries(row.errors).map(([event, count]) => ({ field: `Error: ${event}`, value: count })),
+              ...row.gaps.map(gap => ({
+                field: 'Gap',
+                value: `${gap.start.toISOString()} to ${gap.end.toISOString()} (${gap.hours}h)`
+              }))
+            ]
+          }))
+        ];
+
+        await this.getFormat(format).write(filepath, {
+          name: 'devices',
+          columns: DEVICE_COLUMNS,
+          rows,
+          metadata,
+          sheets
+        });
+      }
+
+      const stats = await fs.stat(filepath);
+
+      if (job) await job.updateProgress(100, 'completed');
+
+      logInfo('Device report generated successfully', {
+        userId,
+        format,
+        deviceCount: deviceEntries.length,
+        fileSize: stats.size,
+        filename
+      });
+
+      return {
+        filename,
+        filepath,
+        fileSize: stats.size,
+        recordCount: deviceEntries.length,
+        fileUrl: `/exports/${filename}`
+      };
+
+    } catch (error) {
+      logError(error, { userId, format, jobId });
       throw error;
     }
   }
 
+  /**
+   * Generate availability report with uptime, outages and MTBF per device
+   * @param {Object} config - Report configuration
+   * @returns {Promise<Object>} - Report result
+   */
+  async generateAvailabilityReport(config) {
+    const { userId, format, dateRange, filters, jobId } = config;
+    
+    try {
+      // Update job progress
+      if (jobId) {
+        const job = await ExportJob.findById(jobId);
+        if (job) await job.updateProgress(10, 'analyzing_data');
+      }
+
+      // Device IDs are already limited to the user's organizations by the worker
+      const devices = await Device.find({ _id: { $in: filters.deviceIds || [] } }).sort({ name: 1 });
+      const since = new Date(dateRange.startDate);
+      const until = new Date(dateRange.endDate);
+
+      const availability = await deviceStatusService.getAvailability(devices, since, until);
+
+      // Update progress
+      if (jobId) {
+        const job = await ExportJob.findById(jobId);
+        if (job) await job.updateProgress(60, 'generating_report');
+      }
+
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filename = `availability-report-${timestamp}.${format}`;
+      const filepath = path.join(this.exportDir, filename);
+
+      if (format === 'json') {
+        const report = {
+          metadata: {
+            generatedAt: new Date().toISOString(),
+            userId,
+            dateRange,
+            format: 'json'
+          },
+          fleet: availability.fleet,
+          devices: availability.devices
+        };
+
+        await fs.writeFile(filepath, JSON.stringify(report, null, 2));
+      } else {
+        await this.getFormat(format).write(filepath, {
+          name: 'availability',
+          columns: AVAILABILITY_COLUMNS,
+          rows: availability.devices.map(device => ({
+            ...device,
+            deviceId: device.deviceId.toString()
+          })),
+          metadata: { generatedAt: new Date().toISOString(), userId, dateRange }
+        });
+      }
+
+      const stats = await fs.stat(filepath);
+
+      // Update final progress
+      if (jobId) {
+        const job = await ExportJob.findById(jobId);
+        if (job) await job.updateProgress(100, 'completed');
+      }
+
+      logInfo('Availability report generated successfully', {
+        userId,
+        format,
+        deviceCount: devices.length,
+        fileSize: stats.size,
+        filename
+      });
+
+      return {
+        filename,
+        filepath,
+        fileSize: stats.size,
+        recordCount: devices.length,
+        fileUrl: `/exports/${filename}`
+      };
+
+    } catch (error) {
+      logError(error, { userId, format, jobId });
+      throw error;
+    }
+  }
+
+  /**
+   * Compress a finished export, replacing its file with a gzip file or with a zip
+   * archive holding the file and a manifest
+   * @param {Object} result - Export result
+   * @param {string} compression - 'none', 'gzip' or 'zip'
+   * @param {Object} details - { jobId, type, format } recorded in the zip manifest
+   * @returns {Promise<Object>} - Export result for the stored file, with uncompressedSize
+   */
+  async compressExport(result, compression = 'none', details = {}) {
+    const uncompressed = { ...result, uncompressedSize: result.fileSize };
+    if (compression === 'none') return uncompressed;
+
+    const filename = compression === 'gzip'
+      ? `${result.filename}.gz`
+      : `${path.parse(result.filename).name}.zip`;
+    const filepath = path.join(this.exportDir, filename);
+
+    try {
+      if (compression === 'gzip') {
+        await pipeline(createReadStream(result.filepath), zlib.createGzip(), createWriteStream(filepath));
+      } else {
+        const hash = crypto.createHash('sha256');
+        await pipeline(createReadStream(result.filepath), hash);
+
+        const manifest = {
+          createdAt: new Date().toISOString(),
+          ...details,
+          files: [{
+            name: result.filename,
+            size: result.fileSize,
+            recordCount: result.recordCount,
+            sha256: hash.digest('hex')
+          }]
+        };
+
+        const archive = archiver('zip', { zlib: { level: zlib.constants.Z_DEFAULT_COMPRESSION } });
+        const written = pipeline(archive, createWriteStream(filepath));
+        archive.file(result.filepath, { name: result.filename });
+        archive.append(JSON.stringify(manifest, null, 2), { name: 'manifest.json' });
+        await archive.finalize();
+        await written;
+      }
+    } catch (error) {
+      await fs.unlink(filepath).catch(() => {});
+      logError(error, { filename: result.filename, compression });
+      throw error;
+    }
+
+    await fs.unlink(result.filepath);
+    const { size: fileSize } = await fs.stat(filepath);
+
+    logInfo('Export file compressed', {
+      filename,
+      compression,
+      fileSize,
+      uncompressedSize: result.fileSize
+    });
+
+    return {
+      ...uncompressed,
+      filename,
+      filepath,
+      fileSize,
+      fileUrl: `/exports/${filename}`
+    };
+  }
+
   /**
    * Build logs query
    * @param {string} userId - User ID
@@ -350,67 +840,6 @@ class ExportService {
     return query;
   }
 
-  /**
-   * Export logs to CSV
-   * @param {Array} logs - Log data
-   * @param {string} filepath - File path
-   * @returns {Promise<number>} - File size
-   */
-  async exportLogsToCSV(logs, filepath) {
-    const csvWriter = createCsvWriter({
-      path: filepath,
-      header: [
-        { id: 'deviceName', title: 'Device Name' },
-        { id: 'deviceType', title: 'Device Type' },
-        { id: 'event', title: 'Event' },
-        { id: 'value', title: 'Value' },
-        { id: 'timestamp', title: 'Timestamp' },
-        { id: 'deviceId', title: 'Device ID' }
-      ]
-    });
-
-    const csvData = logs.map(log => ({
-      deviceName: log.device_id?.name || 'Unknown',
-      deviceType: log.device_id?.type || 'Unknown',
-      event: log.event,
-      value: log.value,
-      timestamp: log.timestamp.toISOString(),
-      deviceId: log.device_id?._id?.toString() || log.device_id
-    }));
-
-    await csvWriter.writeRecords(csvData);
-    const stats = await fs.stat(filepath);
-    return stats.size;
-  }
-
-  /**
-   * Export logs to JSON
-   * @param {Array} logs - Log data
-   * @param {string} filepath - File path
-   * @returns {Promise<number>} - File size
-   */
-  async exportLogsToJSON(logs, filepath) {
-    const jsonData = {
-      metadata: {
-        exportedAt: new Date().toISOString(),
-        recordCount: logs.length,
-        format: 'json'
-      },
-      logs: logs.map(log => ({
-        deviceId: log.device_id?._id?.toString() || log.device_id,
-        deviceName: log.device_id?.name || 'Unknown',
-        deviceType: log.device_id?.type || 'Unknown',
-        event: log.event,
-        value: log.value,
-        timestamp: log.timestamp.toISOString()
-      }))
-    };
-
-    await fs.writeFile(filepath, JSON.stringify(jsonData, null, 2));
-    const stats = await fs.stat(filepath);
-    return stats.size;
-  }
-
   /**
    * Get export file
    * @param {string} filename - File name
@@ -0,0 +1,213 @@
+const crypto = require('crypto');
+const config = require('../config');
+const IngestionKey = require('../models/ingestionKey');
+
+class IdempotencyService {
+  /**
+   * Fingerprint a reading so a reused key with a different payload can be detected
+   * @param {Object} reading - Reading with event, value and optional timestamp
+   * @returns {string} - SHA-256 hex digest
+   */
+  fingerprint(reading) {
+    const payload = JSON.stringify([
+      reading.event,
+      reading.value,
+      reading.timestamp ? new Date(reading.timestamp).toISOString() : null
+    ]);
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  /**
+   * Get the expiry date for a key claimed now
+   * @returns {Date} - End of the uniqueness window
+   */
+  getExpiry() {
+    return new Date(Date.now() + config.ingestion.idempotencyWindowHours * 60 * 60 * 1000);
+  }
+
+  /**
+   * Get the claim time before which a key without a log counts as abandoned
+   * @returns {Date} - Lease cutoff
+   */
+  getLeaseCutoff() {
+    return new Date(Date.now() - config.ingestion.idempotencyClaimLeaseSeconds * 1000);
+  }
+
+  /**
+   * Take over a key whose claim was abandoned, e.g. by a crash between claim and complete.
+   * Only one of several concurrent retries can win the update.
+   * @param {string} deviceId - Device ID
+   * @param {string} key - Idempotency key or message ID
+   * @param {string} fingerprint - Reading fingerprint
+   * @returns {Promise<boolean>} - Whether the caller now holds the claim
+   */
+  async takeOver(deviceId, key, fingerprint) {
+    const taken = await IngestionKey.findOneAndUpdate(
+      { deviceId, key, fingerprint, logId: null, claimedAt: { $lt: this.getLeaseCutoff() } },
+      { $set: { claimedAt: new Date(), expiresAt: this.getExpiry() } }
+    );
+    return Boolean(taken);
+  }
+
+  /**
+   * Classify an existing key, taking it over when its claim was abandoned
+   * @param {Object} existing - Stored key document
+   * @param {string} fingerprint - Incoming reading fingerprint
+   * @returns {Promise<Object>} - Claim result
+   */
+  async resolveConflict(existing, fingerprint) {
+    const result = this.classify(existing, fingerprint);
+    if (result.status === 'in_progress' && await this.takeOver(existing.deviceId, existing.key, fingerprint)) {
+      return { status: 'claimed' };
+    }
+    return result;
+  }
+
+  /**
+   * Classify an existing key against the incoming fingerprint
+   * @param {Object} existing - Stored key document
+   * @param {string} fingerprint - Incoming reading fingerprint
+   * @returns {Object} - Claim result
+   */
+  classify(existing, fingerprint) {
+    if (existing.fingerprint !== fingerprint) {
+      return { status: 'mismatch' };
+    }
+    if (!existing.logId) {
+      return { status: 'in_progress' };
+    }
+    return { status: 'replay', logId: existing.logId };
+  }
+
+  /**
+   * Claim a key for a device before writing the reading
+   * @param {string} deviceId - Device ID
+   * @param {string} key - Idempotency key or message ID
+   * @param {string} fingerprint - Reading fingerprint
+   * @returns {Promise<Object>} - { status: 'claimed' | 'replay' | 'in_progress' | 'mismatch', logId? }
+   */
+  async claim(deviceId, key, fingerprint) {
+    // Expired keys may linger until the TTL monitor runs; they no longer count
+    await IngestionKey.deleteOne({ deviceId, key, expiresAt: { $lte: new Date() } });
+
+    try {
+      await IngestionKey.create({ deviceId, key, fingerprint, claimedAt: new Date(), expiresAt: this.getExpiry() });
+      return { status: 'claimed' };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const existing = await IngestionKey.findOne({ deviceId, key });
+      if (!existing) {
+        return this.claim(deviceId, key, fingerprint);
+      }
+      return this.resolveConflict(existing, fingerprint);
+    }
+  }
+
+  /**
+   * Claim many keys at once for batch ingestion
+   * @param {Array<Object>} entries - { deviceId, key, fingerprint }
+   * @returns {Promise<Array<Object>>} - Claim result per entry, in order
+   */
+  async claimMany(entries) {
+    if (entries.length === 0) return [];
+
+    const now = new Date();
+    const expiresAt = this.getExpiry();
+
+    await IngestionKey.deleteMany({
+      $or: entries.map(({ deviceId, key }) => ({ deviceId, key })),
+      expiresAt: { $lte: now }
+    });
+
+    // Repeats inside the same batch are duplicates of their first occurrence
+    const firstSeen = new Map();
+    const results = new Array(entries.length);
+    const toInsert = [];
+    const insertIndexes = [];
+
+    entries.forEach((entry, index) => {
+      const id = `${entry.deviceId}:${entry.key}`;
+      if (firstSeen.has(id)) {
+        const first = entries[firstSeen.get(id)];
+        results[index] = first.fingerprint === entry.fingerprint
+          ? { status: 'in_progress', duplicateOf: firstSeen.get(id) }
+          : { status: 'mismatch' };
+        return;
+      }
+
+      firstSeen.set(id, index);
+      insertIndexes.push(index);
+      toInsert.push({ ...entry, claimedAt: now, expiresAt });
+    });
+
+    // Positions in toInsert that lost the race to an existing key
+    let failed = new Set();
+    try {
+      await IngestionKey.insertMany(toInsert, { ordered: false });
+    } catch (error) {
+      if (!error.writeErrors || error.writeErrors.some(e => e.err?.code !== 11000)) throw error;
+      failed = new Set(error.writeErrors.map(e => e.index));
+    }
+
+    const conflicts = insertIndexes.filter((entryIndex, position) => failed.has(position));
+    const conflictSet = new Set(conflicts);
+    const existing = conflicts.length > 0
+      ? await IngestionKey.find({ $or: conflicts.map(i => ({ deviceId: entries[i].deviceId, key: entries[i].key })) })
+      : [];
+    const existingById = new Map(existing.map(doc => [`${doc.deviceId}:${doc.key}`, doc]));
+
+    for (const entryIndex of insertIndexes) {
+      const entry = entries[entryIndex];
+      if (!conflictSet.has(entryIndex)) {
+        results[entryIndex] = { status: 'claimed' };
+        continue;
+      }
+
+      const doc = existingById.get(`${entry.deviceId}:${entry.key}`);
+      results[entryIndex] = doc ? await this.resolveConflict(doc, entry.fingerprint) : { status: 'in_progress' };
+    }
+
+    return results;
+  }
+
+  /**
+   * Attach the written log to a claimed key
+   * @param {string} deviceId - Device ID
+   * @param {string} key - Idempotency key
+   * @param {string} logId - Created log ID
+   */
+  async complete(deviceId, key, logId) {
+    await IngestionKey.updateOne({ deviceId, key }, { $set: { logId } });
+  }
+
+  /**
+   * Attach written logs to many claimed keys
+   * @param {Array<Object>} entries - { deviceId, key, logId }
+   */
+  async completeMany(entries) {
+    if (entries.length === 0) return;
+
+    await IngestionKey.bulkWrite(entries.map(({ deviceId, key, logId }) => ({
+      updateOne: {
+        filter: { deviceId, key },
+        update: { $set: { logId } }
+      }
+    })), { ordered: false });
+  }
+
+  /**
+   * Release claimed keys whose reading could not be written so a retry can succeed
+   * @param {Array<Object>} entries - { deviceId, key }
+   */
+  async release(entries) {
+    if (entries.length === 0) return;
+
+    await IngestionKey.deleteMany({
+      $or: entries.map(({ deviceId, key }) => ({ deviceId, key })),
+      logId: null
+    });
+  }
+}
+
+module.exports = new IdempotencyService();
@@ -52,6 +52,30 @@ class JobQueueService {
       },
     }));
 
+    // Create webhook queue; failed deliveries back off exponentially
+    this.queues.set('webhook', new Queue('webhook deliveries', {
+      redis: config.redis,
+      defaultJobOptions: {
+        removeOnComplete: 100,
+        removeOnFail: 100,
+        attempts: config.webhooks.maxAttempts,
+        backoff: {
+          type: 'exponential',
+          delay: config.webhooks.backoffDelayMs,
+        },
+      },
+    }));
+
+    // Create monitoring queue for recurring device checks
+    this.queues.set('monitoring', new Queue('monitoring jobs', {
+      redis: config.redis,
+      defaultJobOptions: {
+        removeOnComplete: true,
+        removeOnFail: 10,
+        attempts: 1,
+      },
+    }));
+
     this.setupEventHandlers();
     this.isInitialized = true;
 
@@ -167,6 +191,139 @@ class JobQueueService {
     return job;
   }
 
+  /**
+   * Add webhook delivery job to queue
+   * @param {Object} jobData - Job data
+   * @param {Object} options - Job options
+   * @returns {Promise<Object>} - Job instance
+   */
+  async addWebhookJob(jobData, options = {}) {
+    const queue = this.queues.get('webhook');
+    if (!queue) throw new Error('Webhook queue not initialized');
+
+    const job = await queue.add('deliver-webhook', jobData, options);
+
+    logInfo('Webhook job added to queue', {
+      jobId: job.id,
+      deliveryId: jobData.deliveryId,
+      event: jobData.event
+    });
+
+    return job;
+  }
+
+  /**
+   * Schedule the recurring missed-heartbeat check
+   * @param {number} everySeconds - Interval between checks
+   * @returns {Promise<Object>} - Repeatable job instance
+   */
+  async scheduleHeartbeatCheck(everySeconds) {
+    const queue = this.queues.get('monitoring');
+    if (!queue) throw new Error('Monitoring queue not initialized');
+
+    // Drop schedules left by a previous interval so only one check repeats
+    const repeatable = await queue.getRepeatableJobs();
+    await Promise.all(repeatable
+      .filter(job => job.name === 'heartbeat-check' && job.every !== everySeconds * 1000)
+      .map(job => queue.removeRepeatableByKey(job.key)));
+
+    const job = await queue.add('heartbeat-check', { type: 'heartbeat_check' }, {
+      repeat: { every: everySeconds * 1000 },
+      jobId: 'heartbeat-check'
+    });
+
+    logInfo('Heartbeat check scheduled', { everySeconds });
+
+    return job;
+  }
+
+  /**
+   * Schedule the recurring raw log retention run on the cleanup queue
+   * @param {string} cron - Cron expression
+   * @returns {Promise<Object>} - Repeatable job instance
+   */
+  async scheduleLogRetention(cron) {
+    const queue = this.queues.get('cleanup');
+    if (!queue) throw new Error('Cleanup queue not initialized');
+
+    // Drop schedules left by a previous cron expression so only one run repeats
+    const repeatable = await queue.getRepeatableJobs();
+    await Promise.all(repeatable
+      .filter(job => job.id === 'log-retention' && job.cron !== cron)
+      .map(job => queue.removeRepeatableByKey(job.key)));
+
+    const job = await queue.add('cleanup-task', { type: 'log_retention' }, {
+      repeat: { cron },
+      jobId: 'log-retention'
+    });
+
+    logInfo('Log retention scheduled', { cron });
+
+    return job;
+  }
+
+  /**
+   * Run an export schedule on its cron expression, in its time zone.
+   * Earlier cron or time zone settings of the same schedule are dropped.
+   * @param {Object} schedule - Export schedule with _id, cron and timezone
+   * @returns {Promise<Object>} - Repeatable job instance
+   */
+  async scheduleExport(schedule) {
+    const queue = this.queues.get('export');
+    if (!queue) throw new Error('Export queue not initialized');
+
+    const jobId = `export-schedule:${schedule._id}`;
+    const repeatable = await queue.getRepeatableJobs();
+    await Promise.all(repeatable
+      .filter(job => job.id === jobId && (job.cron !== schedule.cron || job.tz !== schedule.timezone))
+      .map(job => queue.removeRepeatableByKey(job.key)));
+
+    const job = await queue.add('scheduled-export', { type: 'scheduled_export', scheduleId: schedule._id.toString() }, {
+      repeat: { cron: schedule.cron, tz: schedule.timezone },
+      jobId,
+      attempts: 1
+    });
+
+    logInfo('Export schedule registered', {
+      scheduleId: schedule._id,
+      cron: schedule.cron,
+      timezone: schedule.timezone
+    });
+
+    return job;
+  }
+
+  /**
+   * Stop running an export schedule
+   * @param {string} scheduleId - Export schedule ID
+   */
+  async unscheduleExport(scheduleId) {
+    const queue = this.queues.get('export');
+    if (!queue) throw new Error('Export queue not initialized');
+
+    const jobId = `export-schedule:${scheduleId}`;
+    const repeatable = await queue.getRepeatableJobs();
+    await Promise.all(repeatable
+      .filter(job => job.id === jobId)
+      .map(job => queue.removeRepeatableByKey(job.key)));
+
+    logInfo('Export schedule unregistered', { scheduleId });
+  }
+
+  /**
+   * List the export schedule IDs that have a repeatable job
+   * @returns {Promise<Array>} - Schedule IDs
+   */
+  async getScheduledExportIds() {
+    const queue = this.queues.get('export');
+    if (!queue) throw new Error('Export queue not initialized');
+
+    const repeatable = await queue.getRepeatableJobs();
+    return [...new Set(repeatable
+      .filter(job => job.name === 'scheduled-export' && job.id)
+      .map(job => job.id.replace('export-schedule:', '')))];
+  }
+
   /**
    * Get job by ID
    * @param {string} queueName - Queue name
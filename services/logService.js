@@ -1,9 +1,69 @@
 const Joi = require('joi');
+const config = require('../config');
 
+// Single reading, as posted to a device's log endpoint
 const createLogSchema = Joi.object({
-  event: Joi.string().required(),
-  value: Joi.number().required()
+  event: Joi.string().required().min(2).max(100),
+  value: Joi.number().required().min(0),
+  timestamp: Joi.date().iso(),
+  messageId: Joi.string().max(128)
 });
 
-module.exports = { createLogSchema };
+// Single reading inside a batch ingestion request
+const batchReadingSchema = createLogSchema.keys({
+  deviceId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required()
+});
+
+// Log field to aggregate on for each analytics time basis
+const TIME_FIELDS = {
+  device: 'timestamp',
+  received: 'received_at'
+};
+
+/**
+ * Check a device-supplied timestamp against the configured clock skew bounds
+ * @param {Date} timestamp - Device-side reading time
+ * @param {Date} receivedAt - Server receive time
+ * @returns {string|null} - Rejection reason or null if the timestamp is acceptable
+ */
+const checkReadingTimestamp = (timestamp, receivedAt = new Date()) => {
+  const { maxFutureSkewSeconds, maxLateArrivalHours } = config.ingestion;
+  const offset = timestamp.getTime() - receivedAt.getTime();
+
+  if (offset > maxFutureSkewSeconds * 1000) {
+    return `timestamp is more than ${maxFutureSkewSeconds}s in the future`;
+  }
+
+  if (-offset > maxLateArrivalHours * 60 * 60 * 1000) {
+    return `timestamp is more than ${maxLateArrivalHours}h in the past`;
+  }
+
+  return null;
+};
+
+/**
+ * Build the log document fields for a reading's timing
+ * @param {Date} timestamp - Device-side reading time (optional)
+ * @param {Date} receivedAt - Server receive time
+ * @returns {Object} - timestamp, received_at and timestamp_source fields
+ */
+const readingTimeFields = (timestamp, receivedAt) => ({
+  timestamp: timestamp || receivedAt,
+  received_at: receivedAt,
+  timestamp_source: timestamp ? 'device' : 'server'
+});
+
+/**
+ * Resolve the log field used for time filtering and grouping
+ * @param {string} timeBasis - 'device' or 'received'
+ * @returns {string} - Log field name
+ */
+const resolveTimeField = (timeBasis = 'device') => TIME_FIELDS[timeBasis] || TIME_FIELDS.device;
 
+module.exports = {
+  createLogSchema,
+  batchReadingSchema,
+  checkReadingTimestamp,
+  readingTimeFields,
+  resolveTimeField
+};
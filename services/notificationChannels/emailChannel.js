@@ -0,0 +1,54 @@
+const nodemailer = require('nodemailer');
+const config = require('../../config');
+
+class EmailChannel {
+  constructor() {
+    this.name = 'email';
+    this.transporter = null;
+  }
+
+  /**
+   * Get the SMTP transporter, created on first use
+   * @returns {Object} - Nodemailer transporter
+   */
+  getTransporter() {
+    if (!this.transporter) {
+      const { host, port, secure, user, pass } = config.smtp;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  /**
+   * Get the address a user is mailed at
+   * @param {Object} user - User document
+   * @returns {string|null} - Recipient, or null when the channel cannot reach the user
+   */
+  getRecipient(user) {
+    if (!config.smtp.host) return null;
+    return user.email || null;
+  }
+
+  /**
+   * Send a notification email
+   * @param {Object} user - User document
+   * @param {Object} message - Rendered { subject, text }
+   * @returns {Promise<string>} - Recipient address
+   */
+  async send(user, message) {
+    await this.getTransporter().sendMail({
+      from: config.smtp.from,
+      to: user.email,
+      subject: message.subject,
+      text: message.text
+    });
+    return user.email;
+  }
+}
+
+module.exports = new EmailChannel();
@@ -0,0 +1,46 @@
+const Notification = require('../../models/notification');
+const realtimeService = require('../realtimeService');
+const sseService = require('../sseService');
+
+class InAppChannel {
+  constructor() {
+    this.name = 'in_app';
+  }
+
+  /**
+   * Every user can be reached in-app
+   * @param {Object} user - User document
+   * @returns {string} - User ID
+   */
+  getRecipient(user) {
+    return user._id.toString();
+  }
+
+  /**
+   * Store a notification in the user's inbox and push it to their open WebSocket
+   * and SSE connections. Users without a socket get it when they next connect.
+   * @param {Object} user - User document
+   * @param {Object} message - Rendered { subject, text }
+   * @param {Object} notification - { type, data }
+   * @returns {Promise<string>} - User ID
+   */
+  async send(user, message, notification) {
+    const userId = this.getRecipient(user);
+    const stored = await Notification.create({
+      user_id: user._id,
+      type: notification.type,
+      title: message.subject,
+      message: message.text,
+      data: notification.data
+    });
+    const payload = stored.toPayload();
+
+    if (realtimeService.sendNotificationToUser(userId, payload)) {
+      await Notification.updateOne({ _id: stored._id }, { delivered_at: new Date() });
+    }
+    sseService.broadcastToUser(userId, 'notification', payload);
+    return userId;
+  }
+}
+
+module.exports = new InAppChannel();
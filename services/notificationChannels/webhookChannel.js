@@ -0,0 +1,51 @@
+const config = require('../../config');
+const outboundUrlService = require('../outboundUrlService');
+
+class WebhookChannel {
+  constructor() {
+    this.name = 'webhook';
+  }
+
+  /**
+   * Get the URL a user's notifications are posted to
+   * @param {Object} user - User document
+   * @returns {string|null} - Recipient, or null when the channel cannot reach the user
+   */
+  getRecipient(user) {
+    return user.notificationPreferences?.webhookUrl || null;
+  }
+
+  /**
+   * Post a notification to the user's notification URL. The body carries a "text"
+   * field so chat incoming-webhook URLs can be used directly.
+   * @param {Object} user - User document
+   * @param {Object} message - Rendered { subject, text }
+   * @param {Object} notification - { type, data }
+   * @returns {Promise<string>} - Recipient URL
+   */
+  async send(user, message, notification) {
+    const url = this.getRecipient(user);
+    const response = await outboundUrlService.fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'iot-backend-notifications/1.0'
+      },
+      body: JSON.stringify({
+        type: notification.type,
+        subject: message.subject,
+        text: `${message.subject}\n${message.text}`,
+        data: notification.data,
+        timestamp: new Date().toISOString()
+      }),
+      signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Receiver responded with ${response.status}`);
+    }
+    return url;
+  }
+}
+
+module.exports = new WebhookChannel();
@@ -0,0 +1,150 @@
+const User = require('../models/user');
+const NotificationDelivery = require('../models/notificationDelivery');
+const jobQueue = require('./jobQueue');
+const { render } = require('./notificationTemplates');
+const emailChannel = require('./notificationChannels/emailChannel');
+const webhookChannel = require('./notificationChannels/webhookChannel');
+const inAppChannel = require('./notificationChannels/inAppChannel');
+const { logInfo, logError } = require('./logger');
+
+class NotificationService {
+  constructor() {
+    this.channels = new Map();
+    [emailChannel, webhookChannel, inAppChannel].forEach(channel => this.registerChannel(channel));
+  }
+
+  /**
+   * Register a delivery channel. Channels expose a name, getRecipient(user)
+   * returning null when the user cannot be reached, and send(user, message, notification).
+   * @param {Object} channel - Channel implementation
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  /**
+   * Deliver a notification to one user over the channels their preferences enable
+   * @param {string} userId - User ID
+   * @param {string} type - Notification type
+   * @param {Object} data - Template data
+   * @param {Object} options - { channels } restricts delivery to these channels
+   * @returns {Promise<Array>} - Recorded deliveries
+   */
+  async send(userId, type, data = {}, { channels } = {}) {
+    const user = await User.findById(userId).select('email notificationPreferences');
+    if (!user) return [];
+
+    return this.deliver(user, type, data, channels);
+  }
+
+  /**
+   * Render a notification and send it over each selected channel, recording the outcome of each
+   * @param {Object} user - User document with email and notificationPreferences
+   * @param {string} type - Notification type
+   * @param {Object} data - Template data
+   * @param {Array<string>} only - Optional channel allow-list
+   * @returns {Promise<Array>} - Recorded deliveries
+   */
+  async deliver(user, type, data = {}, only = null) {
+    const message = render(type, data);
+    const reference = data.jobId || data.alertId;
+    const selected = user.getNotificationChannels(type)
+      .filter(name => !only || only.includes(name));
+
+    const entries = [];
+    for (const name of selected) {
+      const entry = {
+        user_id: user._id,
+        type,
+        channel: name,
+        subject: message.subject,
+        reference_id: reference ? reference.toString() : null
+      };
+
+      const channel = this.channels.get(name);
+      const recipient = channel ? channel.getRecipient(user) : null;
+
+      if (!recipient) {
+        entry.status = 'skipped';
+        entry.error = channel ? 'No recipient configured for channel' : 'Channel not registered';
+      } else {
+        try {
+          entry.recipient = await channel.send(user, message, { type, data });
+          entry.status = 'sent';
+          entry.sent_at = new Date();
+        } catch (error) {
+          entry.recipient = recipient;
+          entry.status = 'failed';
+          entry.error = error.message;
+          logError(error, { context: 'Notification delivery', userId: user._id, type, channel: name });
+        }
+      }
+
+      entries.push(entry);
+    }
+
+    if (entries.length === 0) return [];
+
+    const deliveries = await NotificationDelivery.insertMany(entries);
+
+    logInfo('Notification delivered', {
+      userId: user._id,
+      type,
+      channels: deliveries.map(d => `${d.channel}:${d.status}`)
+    });
+
+    return deliveries;
+  }
+
+  /**
+   * Notify several users. In-app delivery happens immediately; email and webhook
+   * deliveries are queued for the notification worker so callers never wait on them.
+   * @param {Array<string>} userIds - Recipient user IDs
+   * @param {string} type - Notification type
+   * @param {Object} data - Template data
+   */
+  async notifyUsers(userIds, type, data) {
+    const users = await User.find({ _id: { $in: userIds } }).select('email notificationPreferences');
+
+    for (const user of users) {
+      const channels = user.getNotificationChannels(type);
+
+      if (channels.includes('in_app')) {
+        await this.deliver(user, type, data, ['in_app']);
+      }
+
+      const queued = channels.filter(channel => channel !== 'in_app');
+      if (queued.length === 0) continue;
+
+      try {
+        await jobQueue.addNotificationJob({ userId: user._id.toString(), type, data, channels: queued });
+      } catch (error) {
+        logError(error, { context: 'Notification queue', userId: user._id, type });
+      }
+    }
+  }
+
+  /**
+   * List a user's recorded deliveries, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - { page, limit, channel, status }
+   * @returns {Promise<Object>} - { deliveries, total }
+   */
+  async getDeliveries(userId, { page = 1, limit = 20, channel, status } = {}) {
+    const filter = { user_id: userId };
+    if (channel) filter.channel = channel;
+    if (status) filter.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      NotificationDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      NotificationDelivery.countDocuments(filter)
+    ]);
+
+    return { deliveries, total };
+  }
+}
+
+module.exports = new NotificationService();
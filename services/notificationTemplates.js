@@ -0,0 +1,72 @@
+// Message templates per notification type. Each renders { subject, text } from the job data.
+
+const formatFileSize = (bytes) => {
+  if (!bytes) return '0 B';
+
+  const sizes = ['B', 'KB', 'MB', 'GB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(1024));
+  return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
+};
+
+const TEMPLATES = {
+  export_completed: (data) => ({
+    subject: `Export Completed - ${data.exportType}`,
+    text: [
+      `Your ${data.exportType} export has been completed successfully.`,
+      `File: ${data.fileName}`,
+      `Size: ${formatFileSize(data.fileSize)}`,
+      `Records: ${data.recordCount}`,
+      'Download: Available in your exports section'
+    ].join('\n')
+  }),
+
+  export_failed: (data) => ({
+    subject: `Export Failed - ${data.exportType}`,
+    text: [
+      `Your ${data.exportType} export has failed.`,
+      `Error: ${data.error}`,
+      'Please try again or contact support if the issue persists.'
+    ].join('\n')
+  }),
+
+  alert_opened: (data) => ({
+    subject: `[${data.severity}] Alert opened`,
+    text: `${data.message}\nAlert ID: ${data.alertId}`
+  }),
+
+  alert_acknowledged: (data) => ({
+    subject: 'Alert acknowledged',
+    text: `${data.message}\nAlert ID: ${data.alertId}`
+  }),
+
+  alert_resolved: (data) => ({
+    subject: 'Alert resolved',
+    text: `${data.message}\nAlert ID: ${data.alertId}`
+  }),
+
+  device_offline: (data) => ({
+    subject: `[${data.severity}] Device offline`,
+    text: `${data.message}\nAlert ID: ${data.alertId}`
+  }),
+
+  device_online: (data) => ({
+    subject: 'Device back online',
+    text: `${data.message}\nAlert ID: ${data.alertId}`
+  })
+};
+
+const NOTIFICATION_TYPES = Object.keys(TEMPLATES);
+
+/**
+ * Render the message for a notification
+ * @param {string} type - Notification type
+ * @param {Object} data - Notification data
+ * @returns {Object} - { subject, text }
+ */
+const render = (type, data = {}) => {
+  const template = TEMPLATES[type];
+  if (!template) throw new Error(`Unknown notification type: ${type}`);
+  return template(data);
+};
+
+module.exports = { NOTIFICATION_TYPES, render };
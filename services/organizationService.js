@@ -0,0 +1,173 @@
+const Organization = require('../models/organization');
+const Device = require('../models/device');
+const cacheService = require('./cacheService');
+
+// Higher rank includes every permission of the lower ones
+const ROLE_RANK = { viewer: 0, member: 1, admin: 2, owner: 3 };
+
+class OrganizationService {
+  /**
+   * Check whether a role grants at least the required role
+   * @param {string} role - Member role
+   * @param {string} minRole - Required role
+   * @returns {boolean} - Whether the role is sufficient
+   */
+  hasRole(role, minRole) {
+    return role in ROLE_RANK && ROLE_RANK[role] >= ROLE_RANK[minRole];
+  }
+
+  /**
+   * List the organizations a user belongs to with their role in each
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} - { organization, role } entries
+   */
+  async getMemberships(userId) {
+    // Make sure users who never registered a device still have somewhere to put one
+    await Organization.findOrCreatePersonal(userId);
+
+    const organizations = await Organization.find({ 'members.user': userId }).sort({ createdAt: 1 });
+    return organizations.map(organization => ({
+      organization,
+      role: organization.getRole(userId)
+    }));
+  }
+
+  /**
+   * Get the IDs of organizations where the user holds at least a role
+   * @param {string} userId - User ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Array>} - Organization IDs
+   */
+  async getOrganizationIds(userId, minRole = 'viewer') {
+    const organizations = await Organization.find({ 'members.user': userId }).select('members');
+    return organizations
+      .filter(organization => this.hasRole(organization.getRole(userId), minRole))
+      .map(organization => organization._id);
+  }
+
+  /**
+   * Build the device filter a request may act on.
+   * Device API keys are limited to their own device; users to their organizations.
+   * @param {Object} req - Express request with user and optional apiKey
+   * @param {string} minRole - Required role for user requests
+   * @returns {Promise<Object>} - MongoDB filter on devices
+   */
+  async deviceScope(req, minRole = 'viewer') {
+    if (req.apiKey) {
+      return { _id: req.apiKey.deviceId };
+    }
+
+    return this.userDeviceScope(req.user.id, minRole);
+  }
+
+  /**
+   * Build the device filter for a user's organizations
+   * @param {string} userId - User ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Object>} - MongoDB filter on devices
+   */
+  async userDeviceScope(userId, minRole = 'viewer') {
+    const organizationIds = await this.getOrganizationIds(userId, minRole);
+    return { organization_id: { $in: organizationIds } };
+  }
+
+  /**
+   * Find a device the request may act on
+   * @param {Object} req - Express request
+   * @param {string} deviceId - Device ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Object|null>} - Device or null when missing or not permitted
+   */
+  async findDevice(req, deviceId, minRole = 'viewer') {
+    const scope = await this.deviceScope(req, minRole);
+    return Device.findOne({ $and: [{ _id: deviceId }, scope] });
+  }
+
+  /**
+   * Find a device a user may act on, for callers without an Express request
+   * @param {string} userId - User ID
+   * @param {string} deviceId - Device ID
+   * @param {string} minRole - Required role
+   * @returns {Promise<Object|null>} - Device or null when missing or not permitted
+   */
+  async findUserDevice(userId, deviceId, minRole = 'viewer') {
+    const scope = await this.userDeviceScope(userId, minRole);
+    return Device.findOne({ $and: [{ _id: deviceId }, scope] });
+  }
+
+  /**
+   * Find an organization the user belongs to
+   * @param {string} organizationId - Organization ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Organization or null when not a member
+   */
+  async findForMember(organizationId, userId) {
+    return Organization.findOne({ _id: organizationId, 'members.user': userId });
+  }
+
+  /**
+   * Create an organization owned by a user
+   * @param {string} userId - Creating user ID
+   * @param {string} name - Organization name
+   * @returns {Promise<Object>} - Created organization
+   */
+  async createOrganization(userId, name) {
+    return Organization.create({
+      name,
+      createdBy: userId,
+      members: [{ user: userId, role: 'owner' }]
+    });
+  }
+
+  /**
+   * Count the owners of an organization
+   * @param {Object} organization - Organization document
+   * @returns {number} - Number of owners
+   */
+  countOwners(organization) {
+    return organization.members.filter(m => m.role === 'owner').length;
+  }
+
+  /**
+   * Get every member's user ID
+   * @param {string|Array} organizationIds - One or many organization IDs
+   * @returns {Promise<Array<string>>} - Distinct user IDs
+   */
+  async getMemberIds(organizationIds) {
+    const ids = Array.isArray(organizationIds) ? organizationIds : [organizationIds];
+    const organizations = await Organization.find({ _id: { $in: ids } }).select('members.user');
+    return [...new Set(organizations.flatMap(o => o.members.map(m => m.user.toString())))];
+  }
+
+  /**
+   * Invalidate per-user caches for every member of the given organizations
+   * @param {string|Array} organizationIds - One or many organization IDs
+   * @param {Array<string>} prefixes - Cache key prefixes keyed by user (e.g. 'devices', 'analytics')
+   * @param {Array<string>} extraPatterns - Additional patterns to drop in the same pass
+   */
+  async invalidateMemberCaches(organizationIds, prefixes, extraPatterns = []) {
+    const memberIds = await this.getMemberIds(organizationIds);
+
+    await cacheService.invalidatePatterns([
+      ...memberIds.flatMap(userId => prefixes.map(prefix => `${prefix}:${userId}:*`)),
+      ...extraPatterns
+    ]);
+  }
+
+  /**
+   * Invalidate every cache entry computed for one user, used when their memberships change
+   * @param {string} userId - User ID
+   */
+  async invalidateUserCaches(userId) {
+    await cacheService.invalidatePatterns([
+      `devices:${userId}:*`,
+      `analytics:${userId}:*`,
+      `device:*:detail:${userId}`,
+      `device:*:availability:${userId}:*`,
+      `logs:*:${userId}:*`,
+      `usage:*:${userId}:*`
+    ]);
+  }
+}
+
+module.exports = new OrganizationService();
@@ -0,0 +1,132 @@
+const dns = require('dns');
+const net = require('net');
+const { Agent, fetch } = require('undici');
+const config = require('../config');
+
+// Addresses user-supplied URLs may not reach: this host, private networks,
+// link-local (including cloud metadata endpoints) and reserved ranges.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const LOCAL_HOSTNAME = /(^|\.)localhost\.?$/i;
+
+// Host of a URL as a bare address or name, without IPv6 brackets
+const getHostname = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const refuse = (message) => Object.assign(new Error(message), { code: 'ERR_BLOCKED_ADDRESS' });
+
+/**
+ * dns.lookup replacement for outgoing connections, refusing hosts that resolve to a
+ * blocked address. Checking the addresses the socket connects to, rather than an
+ * earlier lookup, keeps a short-lived DNS record from pointing elsewhere in between.
+ */
+const lookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) return callback(refuse(`Refusing to send to private address ${blocked.address}`));
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const publicAgent = new Agent({ connect: { lookup } });
+
+class OutboundUrlService {
+  /**
+   * Whether an IP address is loopback, private, link-local or reserved
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} - True if requests to it are refused
+   */
+  isBlockedAddress(address) {
+    return isBlockedAddress(address);
+  }
+
+  /**
+   * Joi custom validator rejecting URLs that name a private host directly.
+   * Hostnames that resolve to one are refused by fetch when sending.
+   * @param {string} value - URL
+   * @param {Object} helpers - Joi helpers
+   * @returns {string} - The value when allowed
+   */
+  validateUrl(value, helpers) {
+    if (config.webhooks.allowPrivateTargets) return value;
+
+    const hostname = getHostname(value);
+    if (LOCAL_HOSTNAME.test(hostname) || isBlockedAddress(hostname)) {
+      return helpers.message({ custom: '{{#label}} must not point to a local or private network address' });
+    }
+    return value;
+  }
+
+  /**
+   * Resolve a hostname like dns.lookup, failing when any address is private
+   * @param {string} hostname - Host to resolve
+   * @param {Object} options - dns.lookup options
+   * @param {Function} callback - dns.lookup callback
+   */
+  lookup(hostname, options, callback) {
+    lookup(hostname, options, callback);
+  }
+
+  /**
+   * fetch a user-supplied URL, refusing local and private hosts. Names are resolved
+   * once, by the connection itself, so DNS changes cannot slip past the check.
+   * Redirects are not followed, since they could lead to an unchecked host.
+   * @param {string} url - URL to request
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} - Response
+   */
+  async fetch(url, options = {}) {
+    if (config.webhooks.allowPrivateTargets) {
+      return fetch(url, { ...options, redirect: 'manual' });
+    }
+
+    // Connections to IP literals and localhost skip the lookup, so check them here
+    const hostname = getHostname(url);
+    if (LOCAL_HOSTNAME.test(hostname)) {
+      throw refuse(`Refusing to send to local host ${hostname}`);
+    }
+    if (isBlockedAddress(hostname)) {
+      throw refuse(`Refusing to send to private address ${hostname}`);
+    }
+
+    try {
+      return await fetch(url, { ...options, redirect: 'manual', dispatcher: publicAgent });
+    } catch (error) {
+      // fetch wraps connection errors in a generic "fetch failed"
+      if (error.cause?.code === 'ERR_BLOCKED_ADDRESS') throw error.cause;
+      throw error;
+    }
+  }
+}
+
+module.exports = new OutboundUrlService();
@@ -1,6 +1,12 @@
 const { Server } = require('socket.io');
+const mongoose = require('mongoose');
+const Notification = require('../models/notification');
 const tokenService = require('./tokenService');
-const { logSecurityEvent, logInfo } = require('./logger');
+const organizationService = require('./organizationService');
+const { logSecurityEvent, logInfo, logError } = require('./logger');
+
+// Cap on unread notifications replayed when a socket connects
+const MAX_MISSED_NOTIFICATIONS = 50;
 
 class RealtimeService {
   constructor() {
@@ -161,6 +167,8 @@ class RealtimeService {
       timestamp: new Date().toISOString()
     });
 
+    this.deliverMissedNotifications(socket);
+
     logInfo('WebSocket connection established', {
       userId,
       socketId: socket.id,
@@ -195,27 +203,72 @@ class RealtimeService {
     });
   }
 
+  /**
+   * Emit a structured room error to the socket
+   * @param {Object} socket - Socket instance
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {string} event - Event that was rejected
+   */
+  emitRoomError(socket, code, message, event) {
+    socket.emit('error', { code, message, event });
+  }
+
+  /**
+   * Reject a room join the user is not allowed to make
+   * @param {Object} socket - Socket instance
+   * @param {string} code - Error code
+   * @param {string} event - Event that was rejected
+   * @param {Object} details - Requested room details for the security log
+   */
+  denyRoomAccess(socket, code, event, details) {
+    this.emitRoomError(socket, code, 'Access denied', event);
+
+    logSecurityEvent('WEBSOCKET_ROOM_ACCESS_DENIED', {
+      code,
+      event,
+      userId: socket.userId,
+      socketId: socket.id,
+      ip: socket.handshake.address,
+      ...details
+    });
+  }
+
   /**
    * Handle joining organization room
    * @param {Object} socket - Socket instance
    * @param {Object} data - Organization data
    */
-  handleJoinOrganization(socket, data) {
-    const { organizationId } = data;
+  async handleJoinOrganization(socket, data) {
+    const { organizationId } = data || {};
     
     if (!organizationId) {
-      socket.emit('error', { message: 'Organization ID required' });
+      this.emitRoomError(socket, 'VALIDATION_ERROR', 'Organization ID required', 'join-organization');
       return;
     }
 
-    socket.join(`org:${organizationId}`);
-    socket.emit('joined-organization', { organizationId });
-    
-    logInfo('User joined organization room', {
-      userId: socket.userId,
-      organizationId,
-      socketId: socket.id
-    });
+    try {
+      const organization = mongoose.Types.ObjectId.isValid(organizationId)
+        ? await organizationService.findForMember(organizationId, socket.userId)
+        : null;
+
+      if (!organization) {
+        this.denyRoomAccess(socket, 'ORGANIZATION_ACCESS_DENIED', 'join-organization', { organizationId });
+        return;
+      }
+
+      socket.join(`org:${organizationId}`);
+      socket.emit('joined-organization', { organizationId });
+      
+      logInfo('User joined organization room', {
+        userId: socket.userId,
+        organizationId,
+        socketId: socket.id
+      });
+    } catch (error) {
+      logError(error, { context: 'WebSocket join organization', userId: socket.userId, organizationId });
+      this.emitRoomError(socket, 'INTERNAL_ERROR', 'Failed to join organization room', 'join-organization');
+    }
   }
 
   /**
@@ -224,10 +277,10 @@ class RealtimeService {
    * @param {Object} data - Organization data
    */
   handleLeaveOrganization(socket, data) {
-    const { organizationId } = data;
+    const { organizationId } = data || {};
     
     if (!organizationId) {
-      socket.emit('error', { message: 'Organization ID required' });
+      this.emitRoomError(socket, 'VALIDATION_ERROR', 'Organization ID required', 'leave-organization');
       return;
     }
 
@@ -246,22 +299,57 @@ class RealtimeService {
    * @param {Object} socket - Socket instance
    * @param {Object} data - Device data
    */
-  handleDeviceStatusRequest(socket, data) {
-    const { deviceId } = data;
+  async handleDeviceStatusRequest(socket, data) {
+    const { deviceId } = data || {};
     
     if (!deviceId) {
-      socket.emit('error', { message: 'Device ID required' });
+      this.emitRoomError(socket, 'VALIDATION_ERROR', 'Device ID required', 'device-status-request');
       return;
     }
 
-    // Join device-specific room for updates
-    socket.join(`device:${deviceId}`);
-    socket.emit('subscribed-device', { deviceId });
-    
-    logInfo('User subscribed to device updates', {
-      userId: socket.userId,
-      deviceId,
-      socketId: socket.id
+    try {
+      const device = mongoose.Types.ObjectId.isValid(deviceId)
+        ? await organizationService.findUserDevice(socket.userId, deviceId)
+        : null;
+
+      if (!device) {
+        this.denyRoomAccess(socket, 'DEVICE_ACCESS_DENIED', 'device-status-request', { deviceId });
+        return;
+      }
+
+      // Join device-specific room for updates
+      socket.join(`device:${deviceId}`);
+      socket.emit('subscribed-device', { deviceId });
+      
+      logInfo('User subscribed to device updates', {
+        userId: socket.userId,
+        deviceId,
+        socketId: socket.id
+      });
+    } catch (error) {
+      logError(error, { context: 'WebSocket device subscription', userId: socket.userId, deviceId });
+      this.emitRoomError(socket, 'INTERNAL_ERROR', 'Failed to subscribe to device', 'device-status-request');
+    }
+  }
+
+  /**
+   * Remove a user's sockets from an organization's rooms after they lose membership
+   * @param {string} userId - User ID
+   * @param {string} organizationId - Organization ID
+   * @param {Array<string>} deviceIds - IDs of the organization's devices
+   */
+  removeUserFromOrganization(userId, organizationId, deviceIds = []) {
+    if (!this.io) return;
+
+    this.io.in(`user:${userId}`).socketsLeave([
+      `org:${organizationId}`,
+      ...deviceIds.map(id => `device:${id}`)
+    ]);
+
+    logInfo('User removed from organization rooms', {
+      userId,
+      organizationId,
+      devices: deviceIds.length
     });
   }
 
@@ -270,8 +358,9 @@ class RealtimeService {
    * @param {string} deviceId - Device ID
    * @param {Object} status - Device status
    * @param {string} ownerId - Device owner ID
+   * @param {string} organizationId - Organization ID (optional)
    */
-  broadcastDeviceUpdate(deviceId, status, ownerId) {
+  broadcastDeviceUpdate(deviceId, status, ownerId, organizationId = null) {
     if (!this.io) return;
 
     const updateData = {
@@ -287,10 +376,16 @@ class RealtimeService {
     // Broadcast to device owner
     this.io.to(`user:${ownerId}`).emit('device-update', updateData);
 
+    // Broadcast to organization if specified
+    if (organizationId) {
+      this.io.to(`org:${organizationId}`).emit('device-update', updateData);
+    }
+
     logInfo('Device update broadcasted', {
       deviceId,
       status,
       ownerId,
+      organizationId,
       recipients: this.io.sockets.adapter.rooms.get(`device:${deviceId}`)?.size || 0
     });
   }
@@ -330,9 +425,10 @@ class RealtimeService {
    * Send notification to specific user
    * @param {string} userId - User ID
    * @param {Object} notification - Notification data
+   * @returns {boolean} - Whether the user had an open socket to receive it
    */
   sendNotificationToUser(userId, notification) {
-    if (!this.io) return;
+    if (!this.io) return false;
 
     this.io.to(`user:${userId}`).emit('notification', {
       ...notification,
@@ -343,6 +439,45 @@ class RealtimeService {
       userId,
       type: notification.type
     });
+
+    return this.connectedUsers.has(userId.toString());
+  }
+
+  /**
+   * Replay unread notifications the user was not connected to receive
+   * @param {Object} socket - Socket instance
+   */
+  async deliverMissedNotifications(socket) {
+    try {
+      const missed = await Notification.find({
+        user_id: socket.userId,
+        read_at: null,
+        delivered_at: null
+      }).sort({ createdAt: -1 }).limit(MAX_MISSED_NOTIFICATIONS);
+
+      if (missed.length === 0) return;
+
+      // Oldest first, as if they had arrived live
+      missed.reverse().forEach(notification => {
+        socket.emit('notification', {
+          ...notification.toPayload(),
+          missed: true,
+          timestamp: notification.createdAt.toISOString()
+        });
+      });
+
+      await Notification.updateMany(
+        { _id: { $in: missed.map(n => n._id) } },
+        { delivered_at: new Date() }
+      );
+
+      logInfo('Missed notifications delivered', {
+        userId: socket.userId,
+        count: missed.length
+      });
+    } catch (error) {
+      logError(error, { context: 'Missed notification delivery', userId: socket.userId });
+    }
   }
 
   /**
@@ -0,0 +1,151 @@
+const config = require('../config');
+const Log = require('../models/log');
+const Device = require('../models/device');
+const User = require('../models/user');
+const Organization = require('../models/organization');
+const rollupService = require('./rollupService');
+const { logInfo } = require('./logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Devices per deleteMany, to keep $in lists and each delete bounded
+const DEVICE_BATCH_SIZE = 500;
+
+class RetentionService {
+  /**
+   * Resolve how many days of raw logs to keep for a device.
+   * The owner's setting wins over the device type's, which wins over the default.
+   * @param {Object} device - Device with type
+   * @param {number|null} ownerDays - Owner's logRetentionDays, for devices in their personal organization
+   * @returns {number|null} - Days to keep, or null to keep raw logs forever
+   */
+  getRetentionDays(device, ownerDays = null) {
+    const { defaultDays, typeDays } = config.logRetention;
+    return ownerDays || typeDays[device.type] || defaultDays || null;
+  }
+
+  /**
+   * Cutoff raw logs are deleted before, on UTC midnight so only whole days of readings are removed
+   * @param {number} retentionDays - Days to keep
+   * @param {Date} now - Evaluation time
+   * @returns {Date} - Cutoff in device time
+   */
+  getCutoff(retentionDays, now = new Date()) {
+    return new Date(Math.floor((now.getTime() - retentionDays * DAY_MS) / DAY_MS) * DAY_MS);
+  }
+
+  /**
+   * Users' own retention settings, keyed by their personal organization. A user's setting
+   * only covers devices there, so members cannot shorten retention of shared organizations.
+   * @param {Object} userFilter - Users to load, defaults to all with a setting
+   * @returns {Promise<Map>} - logRetentionDays keyed by personal organization ID string
+   */
+  async getPersonalDays(userFilter = {}) {
+    const users = await User.find({ ...userFilter, logRetentionDays: { $ne: null } })
+      .select('logRetentionDays')
+      .lean();
+    if (users.length === 0) return new Map();
+
+    const userDays = new Map(users.map(user => [user._id.toString(), user.logRetentionDays]));
+    const organizations = await Organization.find({ isPersonal: true, createdBy: { $in: [...userDays.keys()] } })
+      .select('createdBy')
+      .lean();
+
+    return new Map(organizations.map(organization => [
+      organization._id.toString(),
+      userDays.get(organization.createdBy.toString())
+    ]));
+  }
+
+  /**
+   * Current raw log cutoff of each device that has retention
+   * @param {Array} devices - Devices with _id, type, owner_id and organization_id
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Map>} - Cutoff keyed by device ID string; devices keeping raw logs forever are left out
+   */
+  async getDeviceCutoffs(devices, now = new Date()) {
+    const ownerIds = [...new Set(devices.map(device => device.owner_id?.toString()).filter(Boolean))];
+    const personalDays = await this.getPersonalDays({ _id: { $in: ownerIds } });
+
+    const cutoffs = new Map();
+    devices.forEach(device => {
+      const retentionDays = this.getRetentionDays(device, personalDays.get(device.organization_id?.toString()));
+      if (retentionDays) cutoffs.set(device._id.toString(), this.getCutoff(retentionDays, now));
+    });
+    return cutoffs;
+  }
+
+  /**
+   * Group devices by the cutoff their raw logs are deleted before
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} - { retentionDays, cutoff, deviceIds } per policy
+   */
+  async getPolicies(now = new Date()) {
+    const personalDays = await this.getPersonalDays();
+
+    const devices = await Device.find().select('_id type organization_id').lean();
+    const policies = new Map();
+
+    devices.forEach(device => {
+      const retentionDays = this.getRetentionDays(device, personalDays.get(device.organization_id?.toString()));
+      if (!retentionDays) return;
+
+      if (!policies.has(retentionDays)) {
+        policies.set(retentionDays, {
+          retentionDays,
+          cutoff: this.getCutoff(retentionDays, now),
+          deviceIds: []
+        });
+      }
+      policies.get(retentionDays).deviceIds.push(device._id);
+    });
+
+    return [...policies.values()].sort((a, b) => a.retentionDays - b.retentionDays);
+  }
+
+  /**
+   * Apply retention policies: roll up expiring raw logs, then delete them.
+   * A dry run only reports what would be deleted.
+   * @param {Object} options - { dryRun, now }
+   * @returns {Promise<Object>} - { dryRun, policies, logCount } with per-policy log counts
+   */
+  async applyRetention({ dryRun = false, now = new Date() } = {}) {
+    const policies = await this.getPolicies(now);
+    const results = [];
+    let logCount = 0;
+
+    for (const policy of policies) {
+      let policyLogs = 0;
+
+      for (let i = 0; i < policy.deviceIds.length; i += DEVICE_BATCH_SIZE) {
+        const deviceIds = policy.deviceIds.slice(i, i + DEVICE_BATCH_SIZE);
+        const expired = { device_id: { $in: deviceIds }, timestamp: { $lt: policy.cutoff } };
+
+        if (dryRun) {
+          policyLogs += await Log.countDocuments(expired);
+          continue;
+        }
+
+        await rollupService.downsample({ deviceIds, before: policy.cutoff });
+        const { deletedCount } = await Log.deleteMany(expired);
+        policyLogs += deletedCount;
+      }
+
+      results.push({
+        retentionDays: policy.retentionDays,
+        cutoff: policy.cutoff,
+        deviceCount: policy.deviceIds.length,
+        logCount: policyLogs
+      });
+      logCount += policyLogs;
+    }
+
+    logInfo(dryRun ? 'Log retention preview' : 'Log retention applied', {
+      policies: results.length,
+      logCount
+    });
+
+    return { dryRun, policies: results, logCount };
+  }
+}
+
+module.exports = new RetentionService();
@@ -0,0 +1,349 @@
+const mongoose = require('mongoose');
+const { DateTime } = require('luxon');
+const config = require('../config');
+const Log = require('../models/log');
+const LogRollup = require('../models/logRollup');
+const aggregationService = require('./aggregationService');
+const { resolveTimeField } = require('./logService');
+const { logInfo } = require('./logger');
+
+const { GRANULARITIES, GRANULARITY_MS, TIME_FIELDS } = LogRollup;
+
+// Daily rollups follow UTC days, so only UTC trends can be built from them
+const UTC_ZONES = ['UTC', 'Etc/UTC', 'GMT', 'Etc/GMT'];
+
+// $merge update that never lowers a rollup's count: the rollup may also hold
+// readings whose raw logs retention has deleted
+const KEEP_LARGER_COUNT = [
+  { $replaceWith: {
+    $cond: [{ $gte: ['$count', '$$new.count'] }, '$$ROOT', { $mergeObjects: ['$$ROOT', '$$new'] }]
+  }}
+];
+
+const floorTo = (date, ms) => new Date(Math.floor(date.getTime() / ms) * ms);
+const ceilTo = (date, ms) => new Date(Math.ceil(date.getTime() / ms) * ms);
+
+/**
+ * Build a pipeline that rolls up matching logs and merges the result into rollups
+ * @param {Object} options - { match, timeBasis, granularity, whenMatched }
+ * @returns {Array} - Aggregation pipeline over logs
+ */
+const rollupPipeline = ({ match, timeBasis, granularity, whenMatched }) => {
+  const timeField = TIME_FIELDS[timeBasis];
+
+  return [
+    { $match: match },
+    { $group: {
+      _id: {
+        device_id: '$device_id',
+        event: '$event',
+        bucket_start: { $dateTrunc: { date: `$${timeField}`, unit: granularity } }
+      },
+      count: { $sum: 1 },
+      sum: { $sum: '$value' },
+      min: { $min: '$value' },
+      max: { $max: '$value' },
+      first_at: { $min: `$${timeField}` },
+      last_at: { $max: `$${timeField}` }
+    }},
+    { $project: {
+      _id: 0,
+      device_id: '$_id.device_id',
+      event: '$_id.event',
+      time_basis: { $literal: timeBasis },
+      granularity: { $literal: granularity },
+      bucket_start: '$_id.bucket_start',
+      count: 1,
+      sum: 1,
+      min: 1,
+      max: 1,
+      first_at: 1,
+      last_at: 1
+    }},
+    { $merge: {
+      into: LogRollup.collection.name,
+      on: ['device_id', 'time_basis', 'granularity', 'bucket_start', 'event'],
+      whenMatched,
+      whenNotMatched: 'insert'
+    }}
+  ];
+};
+
+class RollupService {
+  /**
+   * Split a window into segments answered by raw logs, hourly or daily rollups.
+   * Whole UTC days come from daily rollups, whole hours around them from hourly
+   * rollups and the partial hours at either edge from raw logs.
+   * @param {Date} since - Window start
+   * @param {Date} until - Window end (exclusive)
+   * @param {Object} options - { hourly, daily } rollup granularities allowed
+   * @returns {Array} - { source: 'raw'|'hour'|'day', since, until } in time order
+   */
+  planSegments(since, until, { hourly = true, daily = true } = {}) {
+    if (!config.rollups.enabled || !hourly) {
+      return [{ source: 'raw', since, until }];
+    }
+
+    const hourStart = ceilTo(since, GRANULARITY_MS.hour);
+    const hourEnd = floorTo(until, GRANULARITY_MS.hour);
+    if (hourStart >= hourEnd) {
+      return [{ source: 'raw', since, until }];
+    }
+
+    const dayStart = ceilTo(hourStart, GRANULARITY_MS.day);
+    const dayEnd = floorTo(hourEnd, GRANULARITY_MS.day);
+    const segments = [{ source: 'raw', since, until: hourStart }];
+
+    if (daily && dayStart < dayEnd) {
+      segments.push(
+        { source: 'hour', since: hourStart, until: dayStart },
+        { source: 'day', since: dayStart, until: dayEnd },
+        { source: 'hour', since: dayEnd, until: hourEnd }
+      );
+    } else {
+      segments.push({ source: 'hour', since: hourStart, until: hourEnd });
+    }
+
+    segments.push({ source: 'raw', since: hourEnd, until });
+    return segments.filter(segment => segment.since < segment.until);
+  }
+
+  /**
+   * Build the match for one segment, on raw logs or on rollups
+   * @param {Object} segment - { source, since, until }
+   * @param {Object} options - { deviceIds, event, timeBasis }
+   * @returns {Object} - { Model, match, timeField }
+   */
+  segmentQuery(segment, { deviceIds, event, timeBasis }) {
+    const match = { device_id: { $in: deviceIds } };
+    if (event) match.event = event;
+
+    if (segment.source === 'raw') {
+      return { Model: Log, match, timeField: resolveTimeField(timeBasis) };
+    }
+
+    return {
+      Model: LogRollup,
+      match: { ...match, time_basis: timeBasis, granularity: segment.source },
+      timeField: 'bucket_start'
+    };
+  }
+
+  /**
+   * Count, sum, min and max readings over a window, optionally grouped by device and/or event
+   * @param {Object} options - { deviceIds, event, timeBasis, since, until, groupBy }
+   * @returns {Promise<Array>} - { device_id?, event?, count, sum, min, max, first_at, last_at } per group
+   */
+  async summarize({ deviceIds, event = null, timeBasis = 'device', since, until, groupBy = [] }) {
+    const groupId = groupBy.length > 0
+      ? Object.fromEntries(groupBy.map(field => [field, `$${field}`]))
+      : null;
+
+    const segmentRows = await Promise.all(this.planSegments(since, until).map(segment => {
+      const { Model, match, timeField } = this.segmentQuery(segment, { deviceIds, event, timeBasis });
+      const raw = segment.source === 'raw';
+
+      return Model.aggregate([
+        { $match: { ...match, [timeField]: { $gte: segment.since, $lt: segment.until } } },
+        { $group: {
+          _id: groupId,
+          count: { $sum: raw ? 1 : '$count' },
+          sum: { $sum: raw ? '$value' : '$sum' },
+          min: { $min: raw ? '$value' : '$min' },
+          max: { $max: raw ? '$value' : '$max' },
+          first_at: { $min: raw ? `$${timeField}` : '$first_at' },
+          last_at: { $max: raw ? `$${timeField}` : '$last_at' }
+        }}
+      ]);
+    }));
+
+    const groups = new Map();
+    segmentRows.flat().forEach(row => {
+      const key = groupBy.map(field => String(row._id[field])).join(':');
+      const group = groups.get(key);
+      if (!group) {
+        const { _id, ...totals } = row;
+        groups.set(key, { ...(_id || {}), ...totals });
+        return;
+      }
+
+      group.count += row.count;
+      group.sum += row.sum;
+      group.min = Math.min(group.min, row.min);
+      group.max = Math.max(group.max, row.max);
+      if (row.first_at < group.first_at) group.first_at = row.first_at;
+      if (row.last_at > group.last_at) group.last_at = row.last_at;
+    });
+
+    return [...groups.values()];
+  }
+
+  /**
+   * Zero-filled usage trend over a window, reading rollups where the buckets allow.
+   * Hourly rollups need whole-hour zone offsets and daily ones a UTC trend of days or longer.
+   * @param {Object} options - { deviceIds, event, timeBasis, since, until, bucket, timezone }
+   * @returns {Promise<Array>} - { timestamp, localTime, usage, logCount, average } per bucket
+   */
+  async trend({ deviceIds, event = null, timeBasis = 'device', since, until, bucket, timezone = 'UTC' }) {
+    const wholeHourOffsets = [since, until].every(date =>
+      DateTime.fromJSDate(date, { zone: timezone }).offset % 60 === 0);
+
+    const segments = this.planSegments(since, until, {
+      hourly: bucket !== 'minute' && wholeHourOffsets,
+      daily: bucket !== 'hour' && UTC_ZONES.includes(timezone)
+    });
+
+    const segmentRows = await Promise.all(segments.map(segment => {
+      const { Model, match, timeField } = this.segmentQuery(segment, { deviceIds, event, timeBasis });
+      const raw = segment.source === 'raw';
+
+      return aggregationService.bucketRows(Model, {
+        match,
+        timeField,
+        since: segment.since,
+        until: segment.until,
+        bucket,
+        timezone,
+        sumField: raw ? 'value' : 'sum',
+        countField: raw ? null : 'count'
+      });
+    }));
+
+    // Buckets spanning segment edges get rows from each segment
+    const rows = new Map();
+    segmentRows.flat().forEach(row => {
+      const key = new Date(row._id).getTime();
+      const existing = rows.get(key);
+      if (existing) {
+        existing.usage += row.usage;
+        existing.logCount += row.logCount;
+      } else {
+        rows.set(key, { ...row });
+      }
+    });
+
+    return aggregationService.fillBuckets([...rows.values()], { since, until, bucket, timezone });
+  }
+
+  /**
+   * Group the devices to rebuild by their current retention cutoff
+   * @param {string|null} deviceId - Only this device
+   * @param {Date} now - Evaluation time
+   * @returns {Promise<Array>} - { deviceMatch, cutoff } where cutoff is null without retention
+   */
+  async getRebuildGroups(deviceId, now) {
+    // Required here because retentionService depends on this service
+    const retentionService = require('./retentionService');
+    const policies = await retentionService.getPolicies(now);
+
+    if (deviceId) {
+      const id = new mongoose.Types.ObjectId(deviceId);
+      const policy = policies.find(p => p.deviceIds.some(policyDeviceId => policyDeviceId.equals(id)));
+      return [{ deviceMatch: { device_id: id }, cutoff: policy ? policy.cutoff : null }];
+    }
+
+    return [
+      ...policies.map(policy => ({ deviceMatch: { device_id: { $in: policy.deviceIds } }, cutoff: policy.cutoff })),
+      // Devices without retention, and logs of devices that no longer exist
+      { deviceMatch: { device_id: { $nin: policies.flatMap(policy => policy.deviceIds) } }, cutoff: null }
+    ];
+  }
+
+  /**
+   * First bucket a rebuild may replace for a device under retention. Earlier buckets
+   * may count readings retention deleted. On the received basis, readings kept after
+   * the cutoff can still have arrived up to the late-arrival limit before it.
+   * @param {Date} cutoff - Retention cutoff in device time
+   * @param {string} timeBasis - 'device' or 'received'
+   * @returns {Date} - Bucket start
+   */
+  getReplaceableFrom(cutoff, timeBasis) {
+    if (timeBasis === 'device') return cutoff;
+
+    const lateMs = config.ingestion.maxLateArrivalHours * 60 * 60 * 1000;
+    return ceilTo(new Date(cutoff.getTime() + lateMs), GRANULARITY_MS.day);
+  }
+
+  /**
+   * Recompute rollups from raw logs, for existing data or to repair missed updates.
+   * The window is widened to whole UTC days so no rollup keeps a partial count.
+   * For devices under retention, rollups before the cutoff are only added to,
+   * never replaced, since their raw logs may already be deleted.
+   * @param {Object} options - { since, until, deviceId, now }, all optional
+   * @returns {Promise<Object>} - { since, until, rollups } with the number of rollups written
+   */
+  async rebuild({ since = null, until = null, deviceId = null, now = new Date() } = {}) {
+    const start = since ? floorTo(new Date(since), GRANULARITY_MS.day) : null;
+    const end = until ? ceilTo(new Date(until), GRANULARITY_MS.day) : null;
+    const deviceMatch = deviceId ? { device_id: new mongoose.Types.ObjectId(deviceId) } : {};
+    const range = {};
+    if (start) range.$gte = start;
+    if (end) range.$lt = end;
+    const hasRange = Object.keys(range).length > 0;
+
+    const groups = await this.getRebuildGroups(deviceId, now);
+    let rollups = 0;
+
+    for (const [timeBasis, timeField] of Object.entries(TIME_FIELDS)) {
+      for (const group of groups) {
+        const replaceRange = { ...range };
+        if (group.cutoff) {
+          const replaceableFrom = this.getReplaceableFrom(group.cutoff, timeBasis);
+          if (!start || replaceableFrom > start) replaceRange.$gte = replaceableFrom;
+        }
+
+        if (!(replaceRange.$gte && end && replaceRange.$gte >= end)) {
+          await LogRollup.deleteMany({
+            ...group.deviceMatch,
+            time_basis: timeBasis,
+            ...(Object.keys(replaceRange).length > 0 && { bucket_start: replaceRange })
+          });
+        }
+
+        for (const granularity of GRANULARITIES) {
+          await Log.aggregate(rollupPipeline({
+            match: { ...group.deviceMatch, ...(hasRange && { [timeField]: range }) },
+            timeBasis,
+            granularity,
+            // Kept rollups may hold deleted readings, and readings ingested while
+            // the rebuild runs may already have created a rollup
+            whenMatched: KEEP_LARGER_COUNT
+          })).allowDiskUse(true);
+        }
+      }
+
+      rollups += await LogRollup.countDocuments({
+        ...deviceMatch,
+        time_basis: timeBasis,
+        ...(hasRange && { bucket_start: range })
+      });
+    }
+
+    logInfo('Log rollups rebuilt', { since: start, until: end, deviceId, rollups });
+
+    return { since: start, until: end, rollups };
+  }
+
+  /**
+   * Make sure logs about to be deleted are held in rollups.
+   * Missing rollups are created; an existing rollup is only replaced when it holds
+   * fewer readings, since it may also count logs that were deleted earlier.
+   * @param {Object} options - { deviceIds, before } where before is the device-time cutoff
+   */
+  async downsample({ deviceIds, before }) {
+    const match = { device_id: { $in: deviceIds }, timestamp: { $lt: before } };
+
+    for (const timeBasis of Object.keys(TIME_FIELDS)) {
+      for (const granularity of GRANULARITIES) {
+        await Log.aggregate(rollupPipeline({
+          match,
+          timeBasis,
+          granularity,
+          whenMatched: KEEP_LARGER_COUNT
+        })).allowDiskUse(true);
+      }
+    }
+  }
+}
+
+module.exports = new RollupService();
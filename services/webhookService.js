@@ -0,0 +1,211 @@
+const crypto = require('crypto');
+const config = require('../config');
+const Webhook = require('../models/webhook');
+const WebhookDelivery = require('../models/webhookDelivery');
+const organizationService = require('./organizationService');
+const jobQueue = require('./jobQueue');
+const outboundUrlService = require('./outboundUrlService');
+const { logInfo, logError } = require('./logger');
+
+// Keep stored response bodies small, they are only for debugging receivers
+const MAX_RESPONSE_BODY_LENGTH = 2000;
+
+class WebhookService {
+  /**
+   * Generate a signing secret for a new webhook
+   * @returns {string} - Random secret
+   */
+  generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  }
+
+  /**
+   * Sign a delivery body. Receivers recompute the HMAC over "<timestamp>.<body>"
+   * and compare it to the X-Webhook-Signature header.
+   * @param {string} secret - Webhook secret
+   * @param {number} timestamp - Unix timestamp in seconds
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex HMAC-SHA256 signature
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Build the device fields included in device event payloads
+   * @param {Object} device - Device document
+   * @returns {Object} - Device summary
+   */
+  serializeDevice(device) {
+    return {
+      id: device._id,
+      name: device.name,
+      type: device.type,
+      status: device.status,
+      organizationId: device.organization_id,
+      lastActiveAt: device.last_active_at
+    };
+  }
+
+  /**
+   * Queue deliveries of an event to the given users' subscribed webhooks.
+   * Failures are logged and never propagate, so callers can dispatch inline.
+   * @param {string} event - Event type
+   * @param {Object} data - Event data
+   * @param {Array<string>} userIds - Users whose webhooks receive the event
+   * @returns {Promise<Array>} - Created deliveries
+   */
+  async dispatch(event, data, userIds) {
+    try {
+      const webhooks = await Webhook.find({ user_id: { $in: userIds }, enabled: true, events: event });
+      const deliveries = [];
+
+      for (const webhook of webhooks) {
+        const delivery = await WebhookDelivery.create({
+          webhook_id: webhook._id,
+          user_id: webhook.user_id,
+          event,
+          payload: { event, createdAt: new Date().toISOString(), data }
+        });
+
+        await this.enqueue(delivery);
+        deliveries.push(delivery);
+      }
+
+      return deliveries;
+    } catch (error) {
+      logError(error, { context: 'Webhook dispatch', event });
+      return [];
+    }
+  }
+
+  /**
+   * Queue deliveries of an event to every member of an organization
+   * @param {string} organizationId - Organization ID
+   * @param {string} event - Event type
+   * @param {Object} data - Event data
+   * @returns {Promise<Array>} - Created deliveries
+   */
+  async dispatchToOrganization(organizationId, event, data) {
+    try {
+      const memberIds = await organizationService.getMemberIds(organizationId);
+      return this.dispatch(event, data, memberIds);
+    } catch (error) {
+      logError(error, { context: 'Webhook dispatch', event, organizationId });
+      return [];
+    }
+  }
+
+  /**
+   * Add a delivery to the webhook queue
+   * @param {Object} delivery - Delivery document
+   */
+  async enqueue(delivery) {
+    try {
+      await jobQueue.addWebhookJob({ deliveryId: delivery._id.toString(), event: delivery.event });
+    } catch (error) {
+      // The delivery stays pending and can be redelivered once the queue is back
+      logError(error, { context: 'Webhook enqueue', deliveryId: delivery._id });
+    }
+  }
+
+  /**
+   * Send one delivery attempt
+   * @param {string} deliveryId - Delivery ID
+   * @param {boolean} finalAttempt - Whether a failure should mark the delivery failed
+   * @returns {Promise<Object>} - Updated delivery
+   */
+  async deliver(deliveryId, finalAttempt = false) {
+    const delivery = await WebhookDelivery.findById(deliveryId);
+    if (!delivery) throw new Error('Webhook delivery not found');
+
+    const webhook = await Webhook.findById(delivery.webhook_id).select('+secret');
+    if (!webhook || !webhook.enabled) {
+      delivery.status = 'failed';
+      delivery.attempts.push({ error: webhook ? 'Webhook disabled' : 'Webhook deleted' });
+      await delivery.save();
+      return delivery;
+    }
+
+    const body = JSON.stringify({ id: delivery._id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const attempt = { attempted_at: new Date() };
+
+    try {
+      const response = await outboundUrlService.fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'iot-backend-webhooks/1.0',
+          'X-Webhook-Id': webhook._id.toString(),
+          'X-Webhook-Delivery': delivery._id.toString(),
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(config.webhooks.timeoutMs)
+      });
+
+      attempt.response_status = response.status;
+      attempt.response_body = (await response.text()).slice(0, MAX_RESPONSE_BODY_LENGTH);
+
+      if (!response.ok) {
+        throw new Error(`Receiver responded with ${response.status}`);
+      }
+    } catch (error) {
+      attempt.error = error.message;
+    }
+
+    attempt.duration_ms = Date.now() - startedAt;
+    delivery.attempts.push(attempt);
+
+    const succeeded = !attempt.error;
+    if (succeeded) {
+      delivery.status = 'succeeded';
+      delivery.delivered_at = new Date();
+    } else if (finalAttempt) {
+      delivery.status = 'failed';
+    }
+    await delivery.save();
+
+    webhook.last_delivery_at = attempt.attempted_at;
+    webhook.last_delivery_status = succeeded ? 'succeeded' : 'failed';
+    await webhook.save();
+
+    if (!succeeded) {
+      // Let the queue schedule the next attempt with its backoff
+      throw new Error(`Webhook delivery failed: ${attempt.error}`);
+    }
+
+    logInfo('Webhook delivered', {
+      deliveryId: delivery._id,
+      webhookId: webhook._id,
+      event: delivery.event,
+      attempts: delivery.attempts.length
+    });
+
+    return delivery;
+  }
+
+  /**
+   * Queue a fresh copy of a past delivery
+   * @param {Object} delivery - Original delivery document
+   * @returns {Promise<Object>} - New delivery
+   */
+  async redeliver(delivery) {
+    const redelivery = await WebhookDelivery.create({
+      webhook_id: delivery.webhook_id,
+      user_id: delivery.user_id,
+      event: delivery.event,
+      payload: delivery.payload,
+      redelivery_of: delivery._id
+    });
+
+    await this.enqueue(redelivery);
+    return redelivery;
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,145 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const Alert = require('../../models/alert');
+const alertService = require('../../services/alertService');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('Alert Controller', () => {
+  let testUser, accessToken, device;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+
+    device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+  });
+
+  const createRule = (body = {}) => request(app)
+    .post('/api/alerts/rules')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({
+      name: 'High usage',
+      event: 'units_consumed',
+      comparator: 'gt',
+      threshold: 10,
+      deviceId: device._id.toString(),
+      ...body
+    });
+
+  test('should create a rule in the device organization', async () => {
+    const response = await createRule().expect(201);
+
+    expect(response.body.data.rule.organization_id).toBe(device.organization_id.toString());
+    expect(response.body.data.rule.duration_seconds).toBe(0);
+  });
+
+  test('should require exactly one of device and type', async () => {
+    await createRule({ deviceType: 'meter' }).expect(400);
+    await createRule({ deviceId: undefined }).expect(400);
+  });
+
+  test('should open an alert on log ingestion and follow its lifecycle', async () => {
+    await createRule().expect(201);
+
+    await request(app)
+      .post(`/api/devices/${device._id}/logs`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ event: 'units_consumed', value: 25 })
+      .expect(201);
+
+    const list = await request(app)
+      .get('/api/alerts?status=open')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(list.body.data.alerts).toHaveLength(1);
+
+    const alertId = list.body.data.alerts[0]._id;
+
+    const acknowledged = await request(app)
+      .post(`/api/alerts/${alertId}/acknowledge`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(acknowledged.body.data.alert.status).toBe('acknowledged');
+
+    const resolved = await request(app)
+      .post(`/api/alerts/${alertId}/resolve`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(resolved.body.data.alert.status).toBe('resolved');
+    expect(resolved.body.data.alert.resolved_by).toBe(testUser._id.toString());
+
+    const again = await request(app)
+      .post(`/api/alerts/${alertId}/acknowledge`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(409);
+    expect(again.body.error.code).toBe('INVALID_ALERT_STATUS');
+  });
+
+  test('should evaluate rules for batch readings', async () => {
+    await createRule().expect(201);
+
+    await request(app)
+      .post('/api/devices/logs/batch')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({
+        deviceId: device._id.toString(),
+        readings: [{ event: 'units_consumed', value: 30 }]
+      })
+      .expect(201);
+
+    expect(await Alert.countDocuments({ device_id: device._id, status: 'open' })).toBe(1);
+  });
+
+  test('should hide alerts from non-members', async () => {
+    const outsider = await User.create({ name: 'Outsider', email: 'outsider@example.com', password: 'hashedpassword' });
+    const outsiderToken = tokenService.generateAccessToken({ id: outsider._id, role: outsider.role, email: outsider.email });
+    await createRule().expect(201);
+
+    await request(app)
+      .post(`/api/devices/${device._id}/logs`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ event: 'units_consumed', value: 25 })
+      .expect(201);
+    const alert = await Alert.findOne({ device_id: device._id });
+
+    await request(app)
+      .get(`/api/alerts/${alert._id}`)
+      .set('Authorization', `Bearer ${outsiderToken}`)
+      .expect(404);
+  });
+
+  test('should resolve offline alert when heartbeat resumes', async () => {
+    await Device.updateOne(
+      { _id: device._id },
+      { heartbeat_interval_seconds: 30, last_active_at: new Date(Date.now() - 10 * 60 * 1000) }
+    );
+    await alertService.checkMissedHeartbeats();
+
+    await request(app)
+      .post(`/api/devices/${device._id}/heartbeat`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ status: 'active' })
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/alerts?kind=offline')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(response.body.data.alerts).toHaveLength(1);
+    expect(response.body.data.alerts[0].status).toBe('resolved');
+  });
+});
@@ -0,0 +1,328 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const Log = require('../../models/log');
+const DeviceStatusHistory = require('../../models/deviceStatusHistory');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('Device Controller', () => {
+  let testUser, accessToken;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  describe('Device metadata', () => {
+    test('should register device with tags and attributes', async () => {
+      const response = await request(app)
+        .post('/api/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Thermostat',
+          type: 'thermostat',
+          tags: ['HVAC', 'floor-2', 'hvac'],
+          attributes: {
+            serial: 'TH-1',
+            firmware: '2.4.1',
+            location: { name: 'Building A', latitude: 52.5, longitude: 13.4 }
+          }
+        })
+        .expect(201);
+
+      expect(response.body.device.tags).toEqual(['hvac', 'floor-2']);
+      expect(response.body.device.attributes.serial).toBe('TH-1');
+      expect(response.body.device.attributes.location.name).toBe('Building A');
+    });
+
+    test('should reject invalid attributes', async () => {
+      const response = await request(app)
+        .post('/api/devices')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          name: 'Thermostat',
+          type: 'thermostat',
+          attributes: { location: { latitude: 120 } }
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('should merge attributes on update', async () => {
+      const device = await Device.create({
+        name: 'Meter',
+        type: 'meter',
+        owner_id: testUser._id,
+        attributes: { serial: 'M-1', firmware: '1.0.0' }
+      });
+
+      const response = await request(app)
+        .patch(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ attributes: { firmware: '1.1.0' } })
+        .expect(200);
+
+      expect(response.body.device.attributes.serial).toBe('M-1');
+      expect(response.body.device.attributes.firmware).toBe('1.1.0');
+    });
+
+    test('should filter devices by tag and attribute', async () => {
+      await Device.create([
+        { name: 'A', type: 'meter', owner_id: testUser._id, tags: ['hvac', 'roof'], attributes: { model: 'X1' } },
+        { name: 'B', type: 'meter', owner_id: testUser._id, tags: ['hvac'], attributes: { model: 'X2' } },
+        { name: 'C', type: 'meter', owner_id: testUser._id, tags: ['roof'], attributes: { model: 'X1' } }
+      ]);
+
+      const byTags = await request(app)
+        .get('/api/devices?tags=hvac,roof')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(byTags.body.devices.map(d => d.name)).toEqual(['A']);
+
+      const byModel = await request(app)
+        .get('/api/devices?model=X1')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(byModel.body.devices.map(d => d.name).sort()).toEqual(['A', 'C']);
+    });
+  });
+
+  describe('GET /api/devices pagination', () => {
+    beforeEach(async () => {
+      await Device.create(['delta', 'alpha', 'Charlie', 'bravo', 'echo'].map(name => ({
+        name,
+        type: 'meter',
+        owner_id: testUser._id
+      })));
+    });
+
+    test('should return page metadata', async () => {
+      const response = await request(app)
+        .get('/api/devices?limit=2&page=2&sort=name&order=asc')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.devices).toHaveLength(2);
+      expect(response.body.pagination).toMatchObject({
+        currentPage: 2,
+        totalPages: 3,
+        totalDevices: 5,
+        hasNext: true,
+        hasPrev: true
+      });
+    });
+
+    test('should walk every device with cursors', async () => {
+      const names = [];
+      let cursor = null;
+
+      do {
+        const query = cursor ? `&cursor=${cursor}` : '';
+        const response = await request(app)
+          .get(`/api/devices?limit=2&sort=createdAt&order=desc${query}`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(200);
+
+        names.push(...response.body.devices.map(d => d.name));
+        cursor = response.body.pagination.nextCursor;
+      } while (cursor);
+
+      expect(names).toHaveLength(5);
+      expect(new Set(names).size).toBe(5);
+    });
+
+    test('should search by name case-insensitively', async () => {
+      const response = await request(app)
+        .get('/api/devices?search=CHAR')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.devices.map(d => d.name)).toEqual(['Charlie']);
+      expect(response.body.pagination.totalDevices).toBe(1);
+    });
+
+    test('should reject malformed cursor', async () => {
+      const response = await request(app)
+        .get('/api/devices?cursor=not-a-cursor')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_CURSOR');
+    });
+
+    test('should reject a cursor made for another sort or order', async () => {
+      const first = await request(app)
+        .get('/api/devices?limit=2&sort=createdAt&order=desc')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      const cursor = first.body.pagination.nextCursor;
+
+      for (const query of ['sort=name&order=desc', 'sort=last_active_at&order=desc', 'sort=createdAt&order=asc']) {
+        const response = await request(app)
+          .get(`/api/devices?limit=2&${query}&cursor=${cursor}`)
+          .set('Authorization', `Bearer ${accessToken}`)
+          .expect(400);
+
+        expect(response.body.error.code).toBe('INVALID_CURSOR');
+      }
+    });
+  });
+
+  describe('GET /api/devices/:id', () => {
+    test('should return device with live summary', async () => {
+      const device = await Device.create({
+        name: 'Meter',
+        type: 'meter',
+        owner_id: testUser._id,
+        last_active_at: new Date()
+      });
+      await Log.create([
+        { device_id: device._id, event: 'units_consumed', value: 2, timestamp: new Date(Date.now() - 60 * 60 * 1000) },
+        { device_id: device._id, event: 'units_consumed', value: 3, timestamp: new Date() },
+        { device_id: device._id, event: 'units_consumed', value: 10, timestamp: new Date(Date.now() - 48 * 60 * 60 * 1000) },
+        { device_id: device._id, event: 'temperature_reading', value: 21.5, timestamp: new Date() }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { summary } = response.body;
+      expect(response.body.device.name).toBe('Meter');
+      expect(summary.log_count).toBe(4);
+      expect(summary.usage_24h.total_units).toBe(5);
+      expect(summary.last_readings).toEqual([
+        expect.objectContaining({ event: 'temperature_reading', value: 21.5 }),
+        expect.objectContaining({ event: 'units_consumed', value: 3 })
+      ]);
+    });
+
+    test('should refresh cached summary after new log', async () => {
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+
+      const first = await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(first.body.summary.log_count).toBe(0);
+
+      // Let the cache middleware store the response before invalidating
+      await new Promise(resolve => setImmediate(resolve));
+
+      await request(app)
+        .post(`/api/devices/${device._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 1 })
+        .expect(201);
+
+      const second = await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+      expect(second.body.summary.log_count).toBe(1);
+    });
+
+    test('should not expose other users devices', async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'hashedpassword'
+      });
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: otherUser._id });
+
+      const response = await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(404);
+
+      expect(response.body.error.code).toBe('DEVICE_NOT_FOUND');
+    });
+  });
+
+  describe('Status history and availability', () => {
+    test('should record heartbeat status changes', async () => {
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id, status: 'inactive' });
+
+      await request(app)
+        .post(`/api/devices/${device._id}/heartbeat`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'active' })
+        .expect(200);
+
+      await request(app)
+        .post(`/api/devices/${device._id}/heartbeat`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'active' })
+        .expect(200);
+
+      const history = await DeviceStatusHistory.find({ device_id: device._id });
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ from: 'inactive', to: 'active', reason: 'heartbeat' });
+      expect(history[0].changed_by.toString()).toBe(testUser._id.toString());
+    });
+
+    test('should record status changes made by update', async () => {
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+
+      const response = await request(app)
+        .patch(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'inactive' })
+        .expect(200);
+
+      expect(response.body.device.status).toBe('inactive');
+      const history = await DeviceStatusHistory.find({ device_id: device._id });
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ from: 'active', to: 'inactive', reason: 'update' });
+    });
+
+    test('should report availability with transitions', async () => {
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+
+      await request(app)
+        .patch(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ status: 'inactive' })
+        .expect(200);
+
+      const response = await request(app)
+        .get(`/api/devices/${device._id}/availability?range=24h`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { data } = response.body;
+      expect(data.range).toBe('24h');
+      expect(data.currentStatus).toBe('inactive');
+      expect(data.outageCount).toBe(1);
+      expect(data.transitions).toEqual([
+        expect.objectContaining({ from: 'active', to: 'inactive', reason: 'update' })
+      ]);
+    });
+
+    test('should reject invalid availability range', async () => {
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+
+      await request(app)
+        .get(`/api/devices/${device._id}/availability?range=soon`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+    });
+  });
+});
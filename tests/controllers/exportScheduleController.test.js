@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const ExportSchedule = require('../../models/exportSchedule');
+const jobQueue = require('../../services/jobQueue');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+const config = require('../../config');
+
+describe('Export Schedule Controller', () => {
+  const originalMaxActive = config.exportSchedules.maxActivePerUser;
+  let testUser, accessToken;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+    jest.spyOn(jobQueue, 'scheduleExport').mockResolvedValue({ id: 'repeat' });
+    jest.spyOn(jobQueue, 'unscheduleExport').mockResolvedValue();
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  afterEach(() => {
+    config.exportSchedules.maxActivePerUser = originalMaxActive;
+    jest.restoreAllMocks();
+  });
+
+  const createSchedule = (body = {}) => request(app)
+    .post('/api/export/schedules')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ name: 'Daily logs', type: 'logs', cron: '0 6 * * *', dateRange: 'previous_day', ...body });
+
+  test('should reject cron expressions with seconds or runs closer than the minimum interval', async () => {
+    const withSeconds = await createSchedule({ cron: '* * * * * *' }).expect(400);
+    expect(withSeconds.body.error.field).toBe('cron');
+
+    const everyMinute = await createSchedule({ cron: '* * * * *' }).expect(400);
+    expect(everyMinute.body.error.message).toMatch(/once every 60 minutes/);
+
+    expect(await ExportSchedule.countDocuments()).toBe(0);
+    expect(jobQueue.scheduleExport).not.toHaveBeenCalled();
+  });
+
+  test('should limit active schedules per user, counting resumed ones', async () => {
+    config.exportSchedules.maxActivePerUser = 1;
+
+    const created = await createSchedule().expect(201);
+    const scheduleId = created.body.data.schedule._id;
+
+    const extra = await createSchedule({ name: 'Second' }).expect(409);
+    expect(extra.body.error.code).toBe('SCHEDULE_LIMIT_REACHED');
+
+    await request(app)
+      .post(`/api/export/schedules/${scheduleId}/pause`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    await createSchedule({ name: 'Second' }).expect(201);
+
+    const resumed = await request(app)
+      .post(`/api/export/schedules/${scheduleId}/resume`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(409);
+    expect(resumed.body.error.code).toBe('SCHEDULE_LIMIT_REACHED');
+    expect(await ExportSchedule.countDocuments({ status: 'active' })).toBe(1);
+  });
+});
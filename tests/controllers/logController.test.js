@@ -0,0 +1,313 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const Log = require('../../models/log');
+const IngestionKey = require('../../models/ingestionKey');
+const tokenService = require('../../services/tokenService');
+const idempotencyService = require('../../services/idempotencyService');
+const cacheService = require('../../services/cacheService');
+
+describe('Log Controller', () => {
+  let testUser, otherUser, testDevice, otherDevice, accessToken;
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+    otherUser = await User.create({
+      name: 'Other User',
+      email: 'other@example.com',
+      password: 'hashedpassword'
+    });
+
+    testDevice = await Device.create({ name: 'Meter A', type: 'meter', owner_id: testUser._id });
+    otherDevice = await Device.create({ name: 'Meter B', type: 'meter', owner_id: otherUser._id });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  describe('POST /api/devices/logs/batch', () => {
+    test('should accept all valid readings', async () => {
+      const response = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          deviceId: testDevice._id.toString(),
+          readings: [
+            { event: 'units_consumed', value: 2 },
+            { event: 'units_consumed', value: 3, timestamp: new Date(Date.now() - 60000).toISOString() }
+          ]
+        })
+        .expect(201);
+
+      expect(response.body.data.summary).toEqual({ total: 2, accepted: 2, duplicate: 0, rejected: 0 });
+      expect(await Log.countDocuments({ device_id: testDevice._id })).toBe(2);
+    });
+
+    test('should report per-item results for mixed batches', async () => {
+      const response = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          readings: [
+            { deviceId: testDevice._id.toString(), event: 'units_consumed', value: 5 },
+            { deviceId: testDevice._id.toString(), event: 'units_consumed', value: -1 },
+            { deviceId: otherDevice._id.toString(), event: 'units_consumed', value: 1 }
+          ]
+        })
+        .expect(207);
+
+      const [first, second, third] = response.body.data.results;
+      expect(first.status).toBe('accepted');
+      expect(second.status).toBe('rejected');
+      expect(second.error.code).toBe('VALIDATION_ERROR');
+      expect(third.status).toBe('rejected');
+      expect(third.error.code).toBe('DEVICE_NOT_FOUND');
+      expect(await Log.countDocuments({})).toBe(1);
+    });
+
+    test('should return 422 when nothing is accepted', async () => {
+      const response = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          readings: [{ deviceId: otherDevice._id.toString(), event: 'units_consumed', value: 1 }]
+        })
+        .expect(422);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.error.code).toBe('BATCH_REJECTED');
+    });
+
+    test('should validate batch shape', async () => {
+      const response = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ readings: [] })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    });
+  });
+
+  describe('POST /api/devices/:id/logs', () => {
+    test('should store device timestamp and receive time', async () => {
+      const deviceTime = new Date(Date.now() - 2 * 60 * 60 * 1000);
+
+      const response = await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 4, timestamp: deviceTime.toISOString() })
+        .expect(201);
+
+      const { log } = response.body.data;
+      expect(new Date(log.timestamp).getTime()).toBe(deviceTime.getTime());
+      expect(new Date(log.received_at).getTime()).toBeGreaterThan(deviceTime.getTime());
+      expect(log.timestamp_source).toBe('device');
+    });
+
+    test('should default timestamp to receive time', async () => {
+      const response = await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 4 })
+        .expect(201);
+
+      const { log } = response.body.data;
+      expect(log.timestamp).toBe(log.received_at);
+      expect(log.timestamp_source).toBe('server');
+    });
+
+    test('should reject timestamps too far in the future', async () => {
+      const response = await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({
+          event: 'units_consumed',
+          value: 4,
+          timestamp: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+        })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('INVALID_TIMESTAMP');
+    });
+  });
+
+  describe('Idempotent ingestion', () => {
+    test('should replay retried request with same Idempotency-Key', async () => {
+      const send = () => request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', 'reading-42')
+        .send({ event: 'units_consumed', value: 7 });
+
+      const first = await send().expect(201);
+      const retry = await send().expect(201);
+
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+      expect(retry.body.data.log._id).toBe(first.body.data.log._id);
+      expect(await Log.countDocuments({ device_id: testDevice._id })).toBe(1);
+    });
+
+    test('should let a retry take over a key abandoned before its reading was written', async () => {
+      const reading = { event: 'units_consumed', value: 7 };
+      const claimKey = (claimedAt) => IngestionKey.create({
+        deviceId: testDevice._id,
+        key: 'reading-43',
+        fingerprint: idempotencyService.fingerprint(reading),
+        claimedAt,
+        expiresAt: idempotencyService.getExpiry()
+      });
+      const send = () => request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .set('Idempotency-Key', 'reading-43')
+        .send(reading);
+
+      await claimKey(new Date());
+      const busy = await send().expect(409);
+      expect(busy.body.error.code).toBe('IDEMPOTENCY_IN_PROGRESS');
+
+      await IngestionKey.deleteMany({});
+      await claimKey(new Date(Date.now() - 10 * 60 * 1000));
+      const retry = await send().expect(201);
+
+      const stored = await IngestionKey.findOne({ deviceId: testDevice._id, key: 'reading-43' });
+      expect(stored.logId.toString()).toBe(retry.body.data.log._id);
+      expect(await Log.countDocuments({ device_id: testDevice._id })).toBe(1);
+    });
+
+    test('should reject reused key with different payload', async () => {
+      await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 7, messageId: 'msg-1' })
+        .expect(201);
+
+      const response = await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 8, messageId: 'msg-1' })
+        .expect(422);
+
+      expect(response.body.error.code).toBe('IDEMPOTENCY_KEY_REUSED');
+    });
+
+    test('should report batch retries as duplicates', async () => {
+      const batch = {
+        deviceId: testDevice._id.toString(),
+        readings: [
+          { event: 'units_consumed', value: 1, messageId: 'm-1' },
+          { event: 'units_consumed', value: 2, messageId: 'm-2' },
+          { event: 'units_consumed', value: 1, messageId: 'm-1' }
+        ]
+      };
+
+      const first = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send(batch)
+        .expect(201);
+
+      expect(first.body.data.summary).toEqual({ total: 3, accepted: 2, duplicate: 1, rejected: 0 });
+
+      const retry = await request(app)
+        .post('/api/devices/logs/batch')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send(batch)
+        .expect(201);
+
+      expect(retry.body.data.summary.duplicate).toBe(3);
+      expect(await Log.countDocuments({ device_id: testDevice._id })).toBe(2);
+    });
+  });
+
+  describe('GET /api/devices/:id/usage', () => {
+    test('should not serve cached usage after a single reading is stored', async () => {
+      await cacheService.redis.flushdb();
+      const getUsage = () => request(app)
+        .get(`/api/devices/${testDevice._id}/usage?range=24h`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect((await getUsage()).body.data.summary.log_count).toBe(0);
+
+      await request(app)
+        .post(`/api/devices/${testDevice._id}/logs`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ event: 'units_consumed', value: 7 })
+        .expect(201);
+
+      expect((await getUsage()).body.data.summary).toMatchObject({ total_units: 7, log_count: 1 });
+    });
+
+    test('should bucket usage by day in the requested time zone', async () => {
+      const dayStart = new Date();
+      dayStart.setUTCHours(0, 0, 0, 0);
+      // Yesterday 02:00 UTC, which is still the day before in New York
+      const earlyUtc = new Date(dayStart.getTime() - 22 * 60 * 60 * 1000);
+      await Log.create([
+        { device_id: testDevice._id, event: 'units_consumed', value: 4, timestamp: earlyUtc },
+        { device_id: testDevice._id, event: 'units_consumed', value: 6, timestamp: new Date(earlyUtc.getTime() - 60 * 1000) }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/devices/${testDevice._id}/usage?range=3d&bucket=day&timezone=America/New_York`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      const { trend, summary } = response.body.data;
+      expect(summary).toMatchObject({ total_units: 10, log_count: 2 });
+      expect(trend.length).toBeGreaterThanOrEqual(3);
+      expect(trend.every(b => /T00:00:00-0[45]:00$/.test(b.localTime))).toBe(true);
+      expect(trend.filter(b => b.usage > 0)).toEqual([expect.objectContaining({ usage: 10, logCount: 2, average: 5 })]);
+      expect(trend.filter(b => b.usage === 0).length).toBe(trend.length - 1);
+    });
+
+    test('should report usage over an absolute window', async () => {
+      await Log.create([
+        { device_id: testDevice._id, event: 'units_consumed', value: 3, timestamp: new Date('2024-01-01T06:00:00Z') },
+        { device_id: testDevice._id, event: 'units_consumed', value: 5, timestamp: new Date('2024-01-02T00:00:00Z') }
+      ]);
+
+      const response = await request(app)
+        .get(`/api/devices/${testDevice._id}/usage?from=2024-01-01T00:00:00Z&to=2024-01-02T00:00:00Z`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        range: null,
+        since: '2024-01-01T00:00:00.000Z',
+        until: '2024-01-02T00:00:00.000Z',
+        bucket: 'hour'
+      });
+      expect(response.body.data.summary).toMatchObject({ total_units: 3, log_count: 1 });
+      expect(response.body.data.trend).toHaveLength(24);
+
+      await request(app)
+        .get(`/api/devices/${testDevice._id}/usage?from=2024-01-02T00:00:00Z&to=2024-01-01T00:00:00Z`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+    });
+
+    test('should reject unknown time zones and oversized bucket counts', async () => {
+      await request(app)
+        .get(`/api/devices/${testDevice._id}/usage?timezone=Mars/Olympus`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+
+      const response = await request(app)
+        .get(`/api/devices/${testDevice._id}/usage?range=30d&bucket=minute`)
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(400);
+      expect(response.body.error.code).toBe('TOO_MANY_BUCKETS');
+    });
+  });
+});
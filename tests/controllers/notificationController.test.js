@@ -0,0 +1,100 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const Notification = require('../../models/notification');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('Notification Controller', () => {
+  let testUser, otherUser, accessToken;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+
+    testUser = await User.create({ name: 'Test User', email: 'test@example.com', password: 'hashedpassword' });
+    otherUser = await User.create({ name: 'Other', email: 'other@example.com', password: 'hashedpassword' });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  const createNotification = (overrides = {}) => Notification.create({
+    user_id: testUser._id,
+    type: 'export_completed',
+    title: 'Export Completed - logs',
+    ...overrides
+  });
+
+  test('should list only the caller\'s notifications with the unread count', async () => {
+    await createNotification();
+    await createNotification({ type: 'alert_opened', title: 'Alert opened', read_at: new Date() });
+    await createNotification({ user_id: otherUser._id });
+
+    const all = await request(app)
+      .get('/api/notifications')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(all.body.data.notifications).toHaveLength(2);
+    expect(all.body.data.unreadCount).toBe(1);
+
+    const unread = await request(app)
+      .get('/api/notifications?unread=true')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(unread.body.data.notifications.map(n => n.type)).toEqual(['export_completed']);
+  });
+
+  test('should mark one and then all notifications as read', async () => {
+    const first = await createNotification();
+    await createNotification();
+
+    const marked = await request(app)
+      .post(`/api/notifications/${first._id}/read`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(marked.body.data.notification.read_at).toBeTruthy();
+
+    const count = await request(app)
+      .get('/api/notifications/unread-count')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(count.body.data.count).toBe(1);
+
+    const all = await request(app)
+      .post('/api/notifications/read-all')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(all.body.data.updated).toBe(1);
+    expect(await Notification.countDocuments({ read_at: null })).toBe(0);
+  });
+
+  test('should not let users read or delete other users\' notifications', async () => {
+    const foreign = await createNotification({ user_id: otherUser._id });
+
+    await request(app)
+      .post(`/api/notifications/${foreign._id}/read`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(404);
+
+    const response = await request(app)
+      .delete(`/api/notifications/${foreign._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(404);
+    expect(response.body.error.code).toBe('NOTIFICATION_NOT_FOUND');
+    expect(await Notification.exists({ _id: foreign._id })).toBeTruthy();
+  });
+
+  test('should delete a notification', async () => {
+    const notification = await createNotification();
+
+    await request(app)
+      .delete(`/api/notifications/${notification._id}`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(await Notification.countDocuments()).toBe(0);
+  });
+});
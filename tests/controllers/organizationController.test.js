@@ -0,0 +1,170 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const Log = require('../../models/log');
+const Organization = require('../../models/organization');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('Organization Controller', () => {
+  let owner, viewer, outsider, organization, device;
+  let ownerToken, viewerToken, outsiderToken;
+
+  const tokenFor = (user) => tokenService.generateAccessToken({
+    id: user._id,
+    role: user.role,
+    email: user.email
+  });
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+
+    owner = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'hashedpassword' });
+    viewer = await User.create({ name: 'Viewer', email: 'viewer@example.com', password: 'hashedpassword' });
+    outsider = await User.create({ name: 'Outsider', email: 'outsider@example.com', password: 'hashedpassword' });
+
+    organization = await Organization.create({
+      name: 'Plant Operations',
+      createdBy: owner._id,
+      members: [
+        { user: owner._id, role: 'owner' },
+        { user: viewer._id, role: 'viewer' }
+      ]
+    });
+
+    device = await Device.create({
+      name: 'Shared Meter',
+      type: 'meter',
+      owner_id: owner._id,
+      organization_id: organization._id
+    });
+
+    ownerToken = tokenFor(owner);
+    viewerToken = tokenFor(viewer);
+    outsiderToken = tokenFor(outsider);
+  });
+
+  describe('Device access by membership', () => {
+    test('should place devices without organization in personal organization', async () => {
+      const personalDevice = await Device.create({ name: 'Solo', type: 'meter', owner_id: outsider._id });
+      const personal = await Organization.findById(personalDevice.organization_id);
+
+      expect(personal.isPersonal).toBe(true);
+      expect(personal.getRole(outsider._id)).toBe('owner');
+    });
+
+    test('should let viewers read shared devices and logs', async () => {
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 2 });
+
+      const list = await request(app)
+        .get('/api/devices')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(list.body.devices.map(d => d.name)).toEqual(['Shared Meter']);
+
+      const logs = await request(app)
+        .get(`/api/devices/${device._id}/logs`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(logs.body.data.logs).toHaveLength(1);
+    });
+
+    test('should not let viewers modify devices or ingest logs', async () => {
+      await request(app)
+        .patch(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ name: 'Renamed' })
+        .expect(404);
+
+      await request(app)
+        .post(`/api/devices/${device._id}/logs`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ event: 'units_consumed', value: 1 })
+        .expect(404);
+    });
+
+    test('should hide devices from non-members', async () => {
+      await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(404);
+    });
+
+    test('should require member role to register devices in organization', async () => {
+      const response = await request(app)
+        .post('/api/devices')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ name: 'New Meter', type: 'meter', organizationId: organization._id.toString() })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_ROLE');
+    });
+  });
+
+  describe('Membership management', () => {
+    test('should add member and grant access', async () => {
+      await request(app)
+        .post(`/api/organizations/${organization._id}/members`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ email: 'outsider@example.com', role: 'member' })
+        .expect(201);
+
+      const response = await request(app)
+        .get(`/api/devices/${device._id}`)
+        .set('Authorization', `Bearer ${outsiderToken}`)
+        .expect(200);
+      expect(response.body.device.name).toBe('Shared Meter');
+    });
+
+    test('should not let viewers manage members', async () => {
+      const response = await request(app)
+        .post(`/api/organizations/${organization._id}/members`)
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .send({ email: 'outsider@example.com' })
+        .expect(403);
+
+      expect(response.body.error.code).toBe('INSUFFICIENT_ROLE');
+    });
+
+    test('should keep the last owner', async () => {
+      const response = await request(app)
+        .patch(`/api/organizations/${organization._id}/members/${owner._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .send({ role: 'admin' })
+        .expect(409);
+
+      expect(response.body.error.code).toBe('LAST_OWNER');
+    });
+
+    test('should revoke access when member is removed', async () => {
+      await request(app)
+        .get('/api/devices')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+
+      // Let the cache middleware store the list before membership changes
+      await new Promise(resolve => setImmediate(resolve));
+
+      await request(app)
+        .delete(`/api/organizations/${organization._id}/members/${viewer._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(200);
+
+      const response = await request(app)
+        .get('/api/devices')
+        .set('Authorization', `Bearer ${viewerToken}`)
+        .expect(200);
+      expect(response.body.devices).toHaveLength(0);
+    });
+
+    test('should refuse to delete organization with devices', async () => {
+      const response = await request(app)
+        .delete(`/api/organizations/${organization._id}`)
+        .set('Authorization', `Bearer ${ownerToken}`)
+        .expect(409);
+
+      expect(response.body.error.code).toBe('ORGANIZATION_NOT_EMPTY');
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const NotificationDelivery = require('../../models/notificationDelivery');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('User Controller', () => {
+  let testUser, accessToken;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  describe('Notification preferences', () => {
+    test('should return email and in-app as defaults', async () => {
+      const response = await request(app)
+        .get('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.preferences).toMatchObject({
+        channels: { email: true, webhook: false, in_app: true },
+        webhookUrl: null,
+        types: {}
+      });
+    });
+
+    test('should merge updates and remove null type overrides', async () => {
+      await request(app)
+        .put('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ types: { export_completed: ['in_app'], device_offline: ['email'] } })
+        .expect(200);
+
+      const response = await request(app)
+        .put('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ channels: { email: false }, types: { device_offline: null } })
+        .expect(200);
+
+      expect(response.body.data.preferences).toMatchObject({
+        channels: { email: false, webhook: false, in_app: true },
+        types: { export_completed: ['in_app'] }
+      });
+
+      const user = await User.findById(testUser._id);
+      expect(user.getNotificationChannels('device_offline')).toEqual(['in_app']);
+      expect(user.getNotificationChannels('export_completed')).toEqual(['in_app']);
+    });
+
+    test('should require a webhook URL before enabling the webhook channel', async () => {
+      const response = await request(app)
+        .put('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ channels: { webhook: true } })
+        .expect(400);
+
+      expect(response.body.error.code).toBe('WEBHOOK_URL_REQUIRED');
+    });
+
+    test('should reject webhook URLs on local and private networks', async () => {
+      const response = await request(app)
+        .put('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ webhookUrl: 'http://169.254.169.254/latest/meta-data' })
+        .expect(400);
+
+      expect(response.body.error.field).toBe('webhookUrl');
+    });
+
+    test('should reject unknown channels', async () => {
+      await request(app)
+        .put('/api/users/notification-preferences')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .send({ types: { export_completed: ['sms'] } })
+        .expect(400);
+    });
+  });
+
+  test('should list only the caller\'s notification deliveries', async () => {
+    const other = await User.create({ name: 'Other', email: 'other@example.com', password: 'hashedpassword' });
+    await NotificationDelivery.create([
+      { user_id: testUser._id, type: 'export_completed', channel: 'email', status: 'sent' },
+      { user_id: testUser._id, type: 'export_completed', channel: 'in_app', status: 'failed' },
+      { user_id: other._id, type: 'export_completed', channel: 'email', status: 'sent' }
+    ]);
+
+    const response = await request(app)
+      .get('/api/users/notification-deliveries?status=sent')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.deliveries).toHaveLength(1);
+    expect(response.body.data.deliveries[0].channel).toBe('email');
+    expect(response.body.data.pagination.totalDeliveries).toBe(1);
+  });
+
+  test('should set and clear the caller\'s log retention', async () => {
+    const response = await request(app)
+      .put('/api/users/log-retention')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ logRetentionDays: 30 })
+      .expect(200);
+    expect(response.body.data.retention.logRetentionDays).toBe(30);
+
+    await request(app)
+      .put('/api/users/log-retention')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ logRetentionDays: 0 })
+      .expect(400);
+
+    await request(app)
+      .put('/api/users/log-retention')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ logRetentionDays: null })
+      .expect(200);
+    expect((await User.findById(testUser._id)).logRetentionDays).toBeNull();
+  });
+});
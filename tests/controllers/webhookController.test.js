@@ -0,0 +1,101 @@
+const request = require('supertest');
+const app = require('../../app');
+const User = require('../../models/user');
+const WebhookDelivery = require('../../models/webhookDelivery');
+const jobQueue = require('../../services/jobQueue');
+const tokenService = require('../../services/tokenService');
+const cacheService = require('../../services/cacheService');
+
+describe('Webhook Controller', () => {
+  let testUser, accessToken;
+
+  beforeEach(async () => {
+    await cacheService.redis.flushdb();
+    jest.spyOn(jobQueue, 'addWebhookJob').mockResolvedValue({ id: 'job' });
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+
+    accessToken = tokenService.generateAccessToken({
+      id: testUser._id,
+      role: testUser.role,
+      email: testUser.email
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const createWebhook = (body = {}) => request(app)
+    .post('/api/webhooks')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ url: 'https://example.com/hooks', events: ['device.created', 'device.deleted'], ...body });
+
+  test('should return the secret only on creation', async () => {
+    const created = await createWebhook().expect(201);
+    expect(created.body.data.secret).toMatch(/^whsec_/);
+    expect(created.body.data.webhook.secret).toBeUndefined();
+
+    const list = await request(app)
+      .get('/api/webhooks')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+    expect(list.body.data.webhooks).toHaveLength(1);
+    expect(list.body.data.webhooks[0].secret).toBeUndefined();
+  });
+
+  test('should reject unknown events', async () => {
+    await createWebhook({ events: ['device.exploded'] }).expect(400);
+  });
+
+  test('should log a delivery when a subscribed device event happens', async () => {
+    const created = await createWebhook().expect(201);
+
+    await request(app)
+      .post('/api/devices')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Meter', type: 'meter' })
+      .expect(201);
+
+    const response = await request(app)
+      .get(`/api/webhooks/${created.body.data.webhook._id}/deliveries`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(200);
+
+    expect(response.body.data.deliveries).toHaveLength(1);
+    expect(response.body.data.deliveries[0]).toMatchObject({
+      event: 'device.created',
+      status: 'pending',
+      payload: { data: { device: { name: 'Meter' } } }
+    });
+  });
+
+  test('should redeliver a past delivery', async () => {
+    const created = await createWebhook().expect(201);
+    await request(app)
+      .post('/api/devices')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Meter', type: 'meter' })
+      .expect(201);
+    const delivery = await WebhookDelivery.findOne();
+
+    const response = await request(app)
+      .post(`/api/webhooks/${created.body.data.webhook._id}/deliveries/${delivery._id}/redeliver`)
+      .set('Authorization', `Bearer ${accessToken}`)
+      .expect(202);
+
+    expect(response.body.data.delivery.redelivery_of).toBe(delivery._id.toString());
+    expect(await WebhookDelivery.countDocuments()).toBe(2);
+  });
+
+  test('should reject URLs on local and private networks', async () => {
+    for (const url of ['http://127.0.0.1:8080/hooks', 'http://169.254.169.254/latest', 'http://[::1]/hooks', 'http://localhost/hooks']) {
+      const response = await createWebhook({ url }).expect(400);
+      expect(response.body.error.field).toBe('url');
+    }
+  });
+});
@@ -4,6 +4,9 @@ const app = require('../../app');
 const realtimeService = require('../../services/realtimeService');
 const tokenService = require('../../services/tokenService');
 const User = require('../../models/user');
+const Device = require('../../models/device');
+const Organization = require('../../models/organization');
+const Notification = require('../../models/notification');
 
 describe('WebSocket Integration', () => {
   let server, clientSocket, testUser, accessToken;
@@ -94,8 +97,42 @@ describe('WebSocket Integration', () => {
   });
 
   describe('Room Management', () => {
+    let organization, device, otherOrganization, otherDevice;
+
+    beforeEach(async () => {
+      const otherUser = await User.create({
+        name: 'Other User',
+        email: 'other@example.com',
+        password: 'hashedpassword'
+      });
+
+      organization = await Organization.create({
+        name: 'Plant Operations',
+        createdBy: testUser._id,
+        members: [{ user: testUser._id, role: 'viewer' }]
+      });
+      device = await Device.create({
+        name: 'Meter',
+        type: 'meter',
+        owner_id: testUser._id,
+        organization_id: organization._id
+      });
+
+      otherOrganization = await Organization.create({
+        name: 'Other Tenant',
+        createdBy: otherUser._id,
+        members: [{ user: otherUser._id, role: 'owner' }]
+      });
+      otherDevice = await Device.create({
+        name: 'Other Meter',
+        type: 'meter',
+        owner_id: otherUser._id,
+        organization_id: otherOrganization._id
+      });
+    });
+
     test('should join organization room', (done) => {
-      const organizationId = 'org123';
+      const organizationId = organization._id.toString();
       
       clientSocket.emit('join-organization', { organizationId });
       
@@ -106,7 +143,7 @@ describe('WebSocket Integration', () => {
     });
 
     test('should leave organization room', (done) => {
-      const organizationId = 'org123';
+      const organizationId = organization._id.toString();
       
       // First join
       clientSocket.emit('join-organization', { organizationId });
@@ -123,7 +160,7 @@ describe('WebSocket Integration', () => {
     });
 
     test('should subscribe to device updates', (done) => {
-      const deviceId = 'device123';
+      const deviceId = device._id.toString();
       
       clientSocket.emit('device-status-request', { deviceId });
       
@@ -132,15 +169,42 @@ describe('WebSocket Integration', () => {
         done();
       });
     });
+
+    test('should reject organization rooms without membership', (done) => {
+      clientSocket.emit('join-organization', { organizationId: otherOrganization._id.toString() });
+      
+      clientSocket.on('joined-organization', () => done(new Error('Joined foreign organization room')));
+      clientSocket.on('error', (data) => {
+        expect(data.code).toBe('ORGANIZATION_ACCESS_DENIED');
+        expect(data.event).toBe('join-organization');
+        done();
+      });
+    });
+
+    test('should reject device rooms outside user organizations', (done) => {
+      clientSocket.emit('device-status-request', { deviceId: otherDevice._id.toString() });
+      
+      clientSocket.on('subscribed-device', () => done(new Error('Subscribed to foreign device')));
+      clientSocket.on('error', (data) => {
+        expect(data.code).toBe('DEVICE_ACCESS_DENIED');
+        done();
+      });
+    });
+
+    test('should reject malformed room IDs', (done) => {
+      clientSocket.emit('device-status-request', { deviceId: 'device123' });
+      
+      clientSocket.on('error', (data) => {
+        expect(data.code).toBe('DEVICE_ACCESS_DENIED');
+        done();
+      });
+    });
   });
 
   describe('Real-time Broadcasting', () => {
     test('should receive device update broadcast', (done) => {
-      const deviceId = 'device123';
       const status = 'active';
-      
-      // Subscribe to device updates
-      clientSocket.emit('device-status-request', { deviceId });
+      let deviceId;
       
       clientSocket.on('subscribed-device', () => {
         // Broadcast device update
@@ -153,6 +217,14 @@ describe('WebSocket Integration', () => {
         expect(data.type).toBe('device_status_update');
         done();
       });
+      
+      // Subscribe to updates of a device in the user's personal organization
+      Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id })
+        .then((device) => {
+          deviceId = device._id.toString();
+          clientSocket.emit('device-status-request', { deviceId });
+        })
+        .catch(done);
     });
 
     test('should receive device heartbeat broadcast', (done) => {
@@ -186,6 +258,32 @@ describe('WebSocket Integration', () => {
       // Send notification
       realtimeService.sendNotificationToUser(testUser._id, notification);
     });
+
+    test('should replay unread notifications missed while disconnected', async () => {
+      const missed = await Notification.create({
+        user_id: testUser._id,
+        type: 'export_completed',
+        title: 'Export Completed - logs'
+      });
+      await Notification.create({
+        user_id: testUser._id,
+        type: 'export_failed',
+        title: 'Export Failed - logs',
+        read_at: new Date()
+      });
+
+      const lateSocket = io(`http://localhost:${server.address().port}`, {
+        auth: { token: accessToken }
+      });
+      const received = await new Promise(resolve => lateSocket.on('notification', resolve));
+      lateSocket.disconnect();
+
+      expect(received).toMatchObject({ id: missed._id.toString(), type: 'export_completed', missed: true });
+
+      // Let the delivery mark land before checking it
+      await new Promise(resolve => setTimeout(resolve, 100));
+      expect((await Notification.findById(missed._id)).delivered_at).not.toBeNull();
+    });
   });
 
   describe('Error Handling', () => {
@@ -0,0 +1,79 @@
+const aggregationService = require('../../services/aggregationService');
+const Log = require('../../models/log');
+const Device = require('../../models/device');
+const User = require('../../models/user');
+
+describe('AggregationService', () => {
+  describe('fillBuckets', () => {
+    test('should zero-fill days across a DST change in the requested zone', () => {
+      const buckets = aggregationService.fillBuckets(
+        [{ _id: new Date('2024-03-10T05:00:00Z'), usage: 5, logCount: 2 }],
+        {
+          since: new Date('2024-03-09T12:00:00Z'),
+          until: new Date('2024-03-11T12:00:00Z'),
+          bucket: 'day',
+          timezone: 'America/New_York'
+        }
+      );
+
+      expect(buckets.map(b => b.localTime)).toEqual([
+        '2024-03-09T00:00:00-05:00',
+        '2024-03-10T00:00:00-05:00',
+        '2024-03-11T00:00:00-04:00'
+      ]);
+      expect(buckets.map(b => b.usage)).toEqual([0, 5, 0]);
+      expect(buckets[1].average).toBe(2.5);
+    });
+
+    test('should start weeks on Monday', () => {
+      const buckets = aggregationService.fillBuckets([], {
+        since: new Date('2024-05-01T00:00:00Z'),
+        until: new Date('2024-05-14T00:00:00Z'),
+        bucket: 'week',
+        timezone: 'UTC'
+      });
+
+      expect(buckets.map(b => b.localTime)).toEqual([
+        '2024-04-29T00:00:00Z',
+        '2024-05-06T00:00:00Z',
+        '2024-05-13T00:00:00Z'
+      ]);
+    });
+  });
+
+  test('should pick coarser default buckets for longer ranges', () => {
+    const until = new Date();
+    const ago = (hours) => new Date(until.getTime() - hours * 60 * 60 * 1000);
+
+    expect(aggregationService.defaultBucket(ago(1), until)).toBe('minute');
+    expect(aggregationService.defaultBucket(ago(24), until)).toBe('hour');
+    expect(aggregationService.defaultBucket(ago(30 * 24), until)).toBe('day');
+    expect(aggregationService.defaultBucket(ago(365 * 24), until)).toBe('week');
+  });
+
+  test('should group readings by local hour instead of merging days', async () => {
+    const user = await User.create({ name: 'Test User', email: 'test@example.com', password: 'hashedpassword' });
+    const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: user._id });
+    await Log.create([
+      { device_id: device._id, event: 'units_consumed', value: 1, timestamp: new Date('2024-01-01T10:15:00Z') },
+      { device_id: device._id, event: 'units_consumed', value: 2, timestamp: new Date('2024-01-02T10:20:00Z') },
+      { device_id: device._id, event: 'units_consumed', value: 3, timestamp: new Date('2024-01-02T10:40:00Z') }
+    ]);
+
+    const buckets = await aggregationService.aggregate(Log, {
+      match: { device_id: device._id },
+      timeField: 'timestamp',
+      since: new Date('2024-01-01T00:00:00Z'),
+      until: new Date('2024-01-03T00:00:00Z'),
+      bucket: 'hour',
+      timezone: 'Asia/Kolkata'
+    });
+
+    const used = buckets.filter(b => b.logCount > 0);
+    expect(buckets).toHaveLength(49);
+    expect(used.map(b => [b.localTime, b.usage])).toEqual([
+      ['2024-01-01T15:00:00+05:30', 1],
+      ['2024-01-02T15:00:00+05:30', 5]
+    ]);
+  });
+});
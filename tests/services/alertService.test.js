@@ -0,0 +1,168 @@
+const alertService = require('../../services/alertService');
+const realtimeService = require('../../services/realtimeService');
+const sseService = require('../../services/sseService');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const Log = require('../../models/log');
+const Alert = require('../../models/alert');
+const AlertRule = require('../../models/alertRule');
+
+describe('AlertService', () => {
+  let testUser, device;
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  const createRule = (overrides = {}) => AlertRule.create({
+    name: 'High usage',
+    organization_id: device.organization_id,
+    created_by: testUser._id,
+    event: 'units_consumed',
+    comparator: 'gt',
+    threshold: 10,
+    device_id: device._id,
+    ...overrides
+  });
+
+  beforeEach(async () => {
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+    device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Comparators', () => {
+    test('should compare values against thresholds', () => {
+      expect(alertService.matches(11, 'gt', 10)).toBe(true);
+      expect(alertService.matches(10, 'gt', 10)).toBe(false);
+      expect(alertService.matches(10, 'gte', 10)).toBe(true);
+      expect(alertService.matches(9, 'lt', 10)).toBe(true);
+      expect(alertService.matches(10, 'lte', 10)).toBe(true);
+      expect(alertService.matches(10, 'eq', 10)).toBe(true);
+      expect(alertService.matches(10, 'ne', 10)).toBe(false);
+    });
+  });
+
+  describe('Evaluation', () => {
+    test('should open an alert and notify members when threshold is crossed', async () => {
+      const notify = jest.spyOn(realtimeService, 'sendNotificationToUser');
+      const sse = jest.spyOn(sseService, 'broadcastToUser');
+      await createRule();
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 12 });
+
+      await alertService.evaluateDevice(device, ['units_consumed']);
+
+      const alerts = await Alert.find({ device_id: device._id });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0]).toMatchObject({ status: 'open', trigger_value: 12 });
+      expect(notify).toHaveBeenCalledWith(testUser._id.toString(), expect.objectContaining({ type: 'alert_opened' }));
+      expect(sse).toHaveBeenCalledWith(testUser._id.toString(), 'notification', expect.objectContaining({ type: 'alert_opened' }));
+    });
+
+    test('should not open a second alert while one is unresolved', async () => {
+      await createRule();
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 12 });
+      await alertService.evaluateDevice(device, ['units_consumed']);
+
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 15 });
+      await alertService.evaluateDevice(device, ['units_consumed']);
+
+      const alerts = await Alert.find({ device_id: device._id });
+      expect(alerts).toHaveLength(1);
+      expect(alerts[0].last_value).toBe(15);
+    });
+
+    test('should auto-resolve when readings recover', async () => {
+      await createRule();
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 12, timestamp: minutesAgo(1) });
+      await alertService.evaluateDevice(device, ['units_consumed']);
+
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 3 });
+      await alertService.evaluateDevice(device, ['units_consumed']);
+
+      const alert = await Alert.findOne({ device_id: device._id });
+      expect(alert.status).toBe('resolved');
+      expect(alert.resolved_by).toBeNull();
+    });
+
+    test('should wait for the breach to last the rule duration', async () => {
+      await createRule({ duration_seconds: 600 });
+      await Log.create([
+        { device_id: device._id, event: 'units_consumed', value: 2, timestamp: minutesAgo(30) },
+        { device_id: device._id, event: 'units_consumed', value: 12, timestamp: minutesAgo(5) },
+        { device_id: device._id, event: 'units_consumed', value: 14, timestamp: minutesAgo(1) }
+      ]);
+
+      await alertService.evaluateDevice(device, ['units_consumed']);
+      expect(await Alert.countDocuments()).toBe(0);
+
+      await Log.create({ device_id: device._id, event: 'units_consumed', value: 13, timestamp: new Date(Date.now() + 6 * 60 * 1000) });
+      await alertService.evaluateDevice(device, ['units_consumed']);
+      expect(await Alert.countDocuments({ status: 'open' })).toBe(1);
+    });
+
+    test('should apply type rules to every device of the type', async () => {
+      await createRule({ device_id: null, device_type: 'meter' });
+      const other = await Device.create({ name: 'Thermostat', type: 'thermostat', owner_id: testUser._id });
+      await Log.create([
+        { device_id: device._id, event: 'units_consumed', value: 12 },
+        { device_id: other._id, event: 'units_consumed', value: 12 }
+      ]);
+
+      await alertService.evaluateDevice(device, ['units_consumed']);
+      await alertService.evaluateDevice(other, ['units_consumed']);
+
+      const alerts = await Alert.find();
+      expect(alerts.map(a => a.device_id.toString())).toEqual([device._id.toString()]);
+    });
+  });
+
+  describe('Missed heartbeats', () => {
+    test('should raise one offline alert after the configured missed beats', async () => {
+      const notify = jest.spyOn(realtimeService, 'sendNotificationToUser');
+      const monitored = await Device.create({
+        name: 'Gateway',
+        type: 'gateway',
+        owner_id: testUser._id,
+        heartbeat_interval_seconds: 60,
+        last_active_at: minutesAgo(4)
+      });
+      await Device.create({ name: 'Recent', type: 'gateway', owner_id: testUser._id, heartbeat_interval_seconds: 60, last_active_at: minutesAgo(1) });
+
+      const opened = await alertService.checkMissedHeartbeats();
+      await alertService.checkMissedHeartbeats();
+
+      expect(opened.map(a => a.device_id.toString())).toEqual([monitored._id.toString()]);
+      expect(await Alert.countDocuments({ kind: 'offline' })).toBe(1);
+      expect(notify).toHaveBeenCalledWith(testUser._id.toString(), expect.objectContaining({ type: 'device_offline' }));
+    });
+
+    test('should ignore devices without a heartbeat interval', async () => {
+      await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id, last_active_at: minutesAgo(600) });
+
+      expect(await alertService.checkMissedHeartbeats()).toHaveLength(0);
+    });
+
+    test('should resolve offline alerts when the device reports again', async () => {
+      const notify = jest.spyOn(realtimeService, 'sendNotificationToUser');
+      const monitored = await Device.create({
+        name: 'Gateway',
+        type: 'gateway',
+        owner_id: testUser._id,
+        heartbeat_interval_seconds: 60,
+        last_active_at: minutesAgo(10)
+      });
+      await alertService.checkMissedHeartbeats();
+
+      await alertService.resolveOfflineAlerts(monitored);
+
+      const alert = await Alert.findOne({ device_id: monitored._id });
+      expect(alert.status).toBe('resolved');
+      expect(notify).toHaveBeenCalledWith(testUser._id.toString(), expect.objectContaining({ type: 'device_online' }));
+    });
+  });
+});
@@ -0,0 +1,99 @@
+const apiKeyService = require('../../services/apiKeyService');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const DeviceApiKey = require('../../models/deviceApiKey');
+
+describe('ApiKeyService', () => {
+  let testUser, testDevice;
+
+  beforeEach(async () => {
+    testUser = new User({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword',
+      role: 'user'
+    });
+    await testUser.save();
+
+    testDevice = new Device({
+      name: 'Field Meter',
+      type: 'meter',
+      owner_id: testUser._id
+    });
+    await testDevice.save();
+  });
+
+  afterEach(async () => {
+    await User.deleteMany({});
+    await Device.deleteMany({});
+    await DeviceApiKey.deleteMany({});
+  });
+
+  describe('Key Creation', () => {
+    test('should create key and store only its hash', async () => {
+      const { apiKey, key } = await apiKeyService.createKey(testDevice._id, testUser._id, 'gateway');
+
+      expect(key).toMatch(/^dmk_[a-f0-9]{12}_[a-f0-9]{64}$/);
+      expect(apiKey.keyHash).toBe(apiKeyService.hashKey(key));
+      expect(apiKey.keyHash).not.toBe(key);
+      expect(apiKey.toSafeObject()).not.toHaveProperty('keyHash');
+    });
+  });
+
+  describe('Key Verification', () => {
+    test('should verify valid key', async () => {
+      const { key } = await apiKeyService.createKey(testDevice._id, testUser._id);
+
+      const { device } = await apiKeyService.verifyKey(key);
+
+      expect(device._id.toString()).toBe(testDevice._id.toString());
+    });
+
+    test('should reject malformed key', async () => {
+      await expect(apiKeyService.verifyKey('not-a-key'))
+        .rejects.toThrow('Invalid API key');
+    });
+
+    test('should reject key with wrong secret', async () => {
+      const { apiKey } = await apiKeyService.createKey(testDevice._id, testUser._id);
+      const forged = `dmk_${apiKey.prefix}_${'0'.repeat(64)}`;
+
+      await expect(apiKeyService.verifyKey(forged))
+        .rejects.toThrow('Invalid API key');
+    });
+
+    test('should reject revoked key', async () => {
+      const { apiKey, key } = await apiKeyService.createKey(testDevice._id, testUser._id);
+      await apiKeyService.revokeKey(testDevice._id, apiKey._id);
+
+      await expect(apiKeyService.verifyKey(key))
+        .rejects.toThrow('API key has been revoked');
+    });
+  });
+
+  describe('Key Rotation', () => {
+    test('should issue new key and revoke the old one', async () => {
+      const original = await apiKeyService.createKey(testDevice._id, testUser._id);
+
+      const rotated = await apiKeyService.rotateKey(testDevice._id, original.apiKey._id, testUser._id);
+
+      expect(rotated.key).not.toBe(original.key);
+      await expect(apiKeyService.verifyKey(original.key)).rejects.toThrow('revoked');
+      await expect(apiKeyService.verifyKey(rotated.key)).resolves.toHaveProperty('device');
+    });
+  });
+
+  describe('Scope Checks', () => {
+    test('should allow ingestion and heartbeat for own device only', async () => {
+      const { apiKey } = await apiKeyService.createKey(testDevice._id, testUser._id);
+      const id = testDevice._id.toString();
+      const otherId = '0123456789abcdef01234567';
+
+      expect(apiKeyService.isRequestAllowed(apiKey, 'POST', `/api/devices/${id}/logs`)).toBe(true);
+      expect(apiKeyService.isRequestAllowed(apiKey, 'POST', `/api/devices/${id}/heartbeat`)).toBe(true);
+      expect(apiKeyService.isRequestAllowed(apiKey, 'GET', `/api/devices/${id}/logs`)).toBe(false);
+      expect(apiKeyService.isRequestAllowed(apiKey, 'POST', `/api/devices/${otherId}/logs`)).toBe(false);
+      expect(apiKeyService.isRequestAllowed(apiKey, 'POST', `/api/devices/${id}/api-keys`)).toBe(false);
+    });
+  });
+});
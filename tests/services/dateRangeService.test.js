@@ -0,0 +1,59 @@
+const Joi = require('joi');
+const dateRangeService = require('../../services/dateRangeService');
+
+describe('DateRangeService', () => {
+  const now = new Date('2024-06-10T12:00:00Z');
+
+  describe('resolve', () => {
+    test('should count a relative range back from now or "to"', () => {
+      expect(dateRangeService.resolve({ range: '7d' }, '24h', now)).toEqual({
+        since: new Date('2024-06-03T12:00:00Z'),
+        until: now,
+        range: '7d'
+      });
+      expect(dateRangeService.resolve({ to: '2024-06-01T00:00:00Z' }, '24h', now)).toEqual({
+        since: new Date('2024-05-31T00:00:00Z'),
+        until: new Date('2024-06-01T00:00:00Z'),
+        range: '24h'
+      });
+    });
+
+    test('should use absolute windows as given and cap "from" windows at now', () => {
+      expect(dateRangeService.resolve({
+        range: '7d',
+        from: '2024-01-01T00:00:00Z',
+        to: '2024-02-01T00:00:00Z'
+      }, '24h', now)).toEqual({
+        since: new Date('2024-01-01T00:00:00Z'),
+        until: new Date('2024-02-01T00:00:00Z'),
+        range: null
+      });
+      expect(dateRangeService.resolve({ from: '2024-06-10T00:00:00Z' }, '24h', now).until).toEqual(now);
+    });
+  });
+
+  test('should reject future starts and windows longer than the maximum', () => {
+    const schema = Joi.object(dateRangeService.QUERY_KEYS);
+    const error = (query) => schema.validate(query).error?.message;
+
+    expect(error({ from: new Date(Date.now() + 60 * 60 * 1000).toISOString() })).toBe('"from" must not be in the future');
+    expect(error({ range: '367d' })).toBe('"range" must be at most 366d');
+    expect(error({ from: '2023-01-01T00:00:00Z', to: '2024-06-01T00:00:00Z' })).toBe('"to" must be within 366 days of "from"');
+    expect(error({ range: '8784h', from: '2024-01-01T00:00:00Z', to: '2024-06-01T00:00:00Z' })).toBeUndefined();
+  });
+
+  test('should compare against the previous period of the same length', () => {
+    const previous = dateRangeService.previousPeriod({
+      since: new Date('2024-06-03T00:00:00Z'),
+      until: new Date('2024-06-10T00:00:00Z')
+    });
+
+    expect(previous).toEqual({
+      since: new Date('2024-05-27T00:00:00Z'),
+      until: new Date('2024-06-03T00:00:00Z')
+    });
+    expect(dateRangeService.compare(15, 10)).toEqual({ current: 15, previous: 10, delta: 5, percentChange: 50 });
+    expect(dateRangeService.compare(5, 0).percentChange).toBeNull();
+    expect(dateRangeService.compare(0, 0).percentChange).toBe(0);
+  });
+});
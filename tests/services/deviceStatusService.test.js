@@ -0,0 +1,148 @@
+const deviceStatusService = require('../../services/deviceStatusService');
+const realtimeService = require('../../services/realtimeService');
+const sseService = require('../../services/sseService');
+const config = require('../../config');
+const User = require('../../models/user');
+const Device = require('../../models/device');
+const DeviceStatusHistory = require('../../models/deviceStatusHistory');
+const Log = require('../../models/log');
+
+describe('DeviceStatusService', () => {
+  let testUser;
+  const originalTypeTimeouts = config.deactivation.typeTimeoutMinutes;
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  beforeEach(async () => {
+    config.deactivation.typeTimeoutMinutes = { thermostat: 60 };
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+  });
+
+  afterEach(() => {
+    config.deactivation.typeTimeoutMinutes = originalTypeTimeouts;
+    jest.restoreAllMocks();
+  });
+
+  describe('Inactivity Timeouts', () => {
+    test('should prefer device timeout over type and default', () => {
+      expect(deviceStatusService.getInactivityTimeout({ type: 'thermostat', inactivity_timeout_minutes: 5 })).toBe(5);
+      expect(deviceStatusService.getInactivityTimeout({ type: 'thermostat' })).toBe(60);
+      expect(deviceStatusService.getInactivityTimeout({ type: 'meter' }))
+        .toBe(config.deactivation.defaultTimeoutMinutes);
+    });
+  });
+
+  describe('Auto-Deactivation', () => {
+    test('should deactivate devices past their own timeout only', async () => {
+      const [custom, thermostat, meter] = await Device.create([
+        { name: 'Custom', type: 'meter', owner_id: testUser._id, last_active_at: minutesAgo(10), inactivity_timeout_minutes: 5 },
+        { name: 'Thermostat', type: 'thermostat', owner_id: testUser._id, last_active_at: minutesAgo(90) },
+        { name: 'Meter', type: 'meter', owner_id: testUser._id, last_active_at: minutesAgo(90) }
+      ]);
+
+      const deactivated = await deviceStatusService.deactivateInactiveDevices();
+
+      expect(deactivated.map(d => d.name).sort()).toEqual(['Custom', 'Thermostat']);
+      expect((await Device.findById(custom._id)).status).toBe('inactive');
+      expect((await Device.findById(thermostat._id)).status).toBe('inactive');
+      expect((await Device.findById(meter._id)).status).toBe('active');
+    });
+
+    test('should record history and notify for each deactivated device', async () => {
+      const broadcast = jest.spyOn(realtimeService, 'broadcastDeviceUpdate');
+      const sse = jest.spyOn(sseService, 'sendDeviceUpdate');
+      const device = await Device.create({
+        name: 'Thermostat',
+        type: 'thermostat',
+        owner_id: testUser._id,
+        last_active_at: minutesAgo(90)
+      });
+
+      await deviceStatusService.deactivateInactiveDevices();
+
+      const history = await DeviceStatusHistory.find({ device_id: device._id });
+      expect(history).toHaveLength(1);
+      expect(history[0]).toMatchObject({ from: 'active', to: 'inactive', reason: 'inactivity_timeout' });
+      expect(broadcast).toHaveBeenCalledWith(device._id, 'inactive', device.owner_id, device.organization_id);
+      expect(sse).toHaveBeenCalledWith(device._id, 'inactive', testUser._id.toString());
+    });
+
+    test('should ignore devices that never sent a heartbeat', async () => {
+      await Device.create({ name: 'New', type: 'thermostat', owner_id: testUser._id });
+
+      const deactivated = await deviceStatusService.deactivateInactiveDevices();
+
+      expect(deactivated).toHaveLength(0);
+    });
+  });
+
+  describe('Availability', () => {
+    const hoursBefore = (date, hours) => new Date(date.getTime() - hours * 60 * 60 * 1000);
+
+    test('should compute uptime, outages and MTBF from history', async () => {
+      const until = new Date();
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+      const registered = { ...device.toObject(), createdAt: hoursBefore(until, 10) };
+
+      await DeviceStatusHistory.create([
+        { device_id: device._id, organization_id: device.organization_id, from: 'inactive', to: 'active', reason: 'heartbeat', changed_at: hoursBefore(until, 5) },
+        { device_id: device._id, organization_id: device.organization_id, from: 'active', to: 'inactive', reason: 'inactivity_timeout', changed_at: hoursBefore(until, 3) },
+        { device_id: device._id, organization_id: device.organization_id, from: 'inactive', to: 'active', reason: 'heartbeat', changed_at: hoursBefore(until, 2) }
+      ]);
+
+      const { devices, fleet } = await deviceStatusService.getAvailability([registered], hoursBefore(until, 4), until);
+
+      expect(devices[0]).toMatchObject({
+        uptimePercentage: 75,
+        uptimeHours: 3,
+        downtimeHours: 1,
+        outageCount: 1,
+        mtbfHours: 3
+      });
+      expect(fleet).toMatchObject({ deviceCount: 1, uptimePercentage: 75, outageCount: 1, mtbfHours: 3 });
+    });
+
+    test('should not count time before registration as downtime', async () => {
+      const until = new Date();
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id });
+      const registered = { ...device.toObject(), createdAt: hoursBefore(until, 1) };
+
+      const { devices } = await deviceStatusService.getAvailability([registered], hoursBefore(until, 24), until);
+
+      expect(devices[0]).toMatchObject({ uptimePercentage: 100, outageCount: 0, mtbfHours: null });
+    });
+  });
+
+  describe('Data Gaps', () => {
+    test('should not report the span retention purged as a gap', async () => {
+      const cutoff = new Date('2024-02-20T00:00:00Z');
+      const device = await Device.create({ name: 'Meter', type: 'meter', owner_id: testUser._id, heartbeat_interval_seconds: 60 });
+      const registered = { ...device.toObject(), createdAt: new Date('2024-01-01T00:00:00Z') };
+      await Log.insertMany([1, 2, 10].map(minutes => ({
+        device_id: device._id,
+        event: 'units_consumed',
+        value: 1,
+        timestamp: new Date(cutoff.getTime() + minutes * 60 * 1000)
+      })));
+
+      const since = new Date('2024-02-01T00:00:00Z');
+      const until = new Date('2024-02-20T00:11:00Z');
+      const id = device._id.toString();
+
+      const unclamped = await deviceStatusService.getDataGaps([registered], since, until);
+      expect(unclamped.get(id)[0].start).toEqual(since);
+
+      const gaps = await deviceStatusService.getDataGaps([registered], since, until, new Map([[id, cutoff]]));
+      // Only the eight quiet minutes after the cutoff
+      expect(gaps.get(id)).toEqual([{
+        start: new Date('2024-02-20T00:02:00Z'),
+        end: new Date('2024-02-20T00:10:00Z'),
+        hours: 0.13
+      }]);
+    });
+  });
+});
@@ -0,0 +1,91 @@
+const exportScheduleService = require('../../services/exportScheduleService');
+const jobQueue = require('../../services/jobQueue');
+const ExportSchedule = require('../../models/exportSchedule');
+const ExportJob = require('../../models/exportJob');
+const User = require('../../models/user');
+
+describe('ExportScheduleService', () => {
+  describe('resolveDateRange', () => {
+    // Wednesday 2024-03-06, 08:30 in Berlin
+    const now = new Date('2024-03-06T07:30:00Z');
+
+    test.each([
+      ['previous_day', '2024-03-05T00:00:00.000Z', '2024-03-05T23:59:59.999Z'],
+      ['previous_week', '2024-02-26T00:00:00.000Z', '2024-03-03T23:59:59.999Z'],
+      ['previous_month', '2024-02-01T00:00:00.000Z', '2024-02-29T23:59:59.999Z'],
+      ['last_7_days', '2024-02-28T00:00:00.000Z', '2024-03-05T23:59:59.999Z'],
+      ['last_30_days', '2024-02-05T00:00:00.000Z', '2024-03-05T23:59:59.999Z']
+    ])('should resolve %s to whole UTC days', (range, start, end) => {
+      const { startDate, endDate } = exportScheduleService.resolveDateRange(range, 'UTC', now);
+
+      expect(startDate.toISOString()).toBe(start);
+      expect(endDate.toISOString()).toBe(end);
+    });
+
+    test('should resolve days in the schedule time zone', () => {
+      // 00:30 in Berlin is still the previous day in UTC
+      const { startDate, endDate } = exportScheduleService.resolveDateRange(
+        'previous_day',
+        'Europe/Berlin',
+        new Date('2024-03-05T23:30:00Z')
+      );
+
+      expect(startDate.toISOString()).toBe('2024-03-04T23:00:00.000Z');
+      expect(endDate.toISOString()).toBe('2024-03-05T22:59:59.999Z');
+    });
+  });
+
+  describe('run', () => {
+    let user, addExportJob;
+
+    beforeEach(async () => {
+      addExportJob = jest.spyOn(jobQueue, 'addExportJob').mockResolvedValue({ id: 'job' });
+      user = await User.create({ name: 'Test User', email: 'test@example.com', password: 'hashedpassword' });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const createSchedule = (fields = {}) => ExportSchedule.create({
+      userId: user._id,
+      name: 'Daily logs',
+      type: 'logs',
+      format: 'ndjson',
+      cron: '0 6 * * *',
+      dateRange: 'previous_day',
+      filters: { eventTypes: ['temperature'] },
+      ...fields
+    });
+
+    test('should queue an export job linked to the schedule', async () => {
+      const schedule = await createSchedule();
+      const now = new Date('2024-03-06T06:00:00Z');
+
+      const job = await exportScheduleService.run(schedule._id, now);
+
+      const stored = await ExportJob.findById(job._id);
+      expect(stored.scheduleId).toEqual(schedule._id);
+      expect(stored.config.format).toBe('ndjson');
+      expect(stored.config.dateRange.startDate).toEqual(new Date('2024-03-05T00:00:00Z'));
+      expect(addExportJob).toHaveBeenCalledWith(expect.objectContaining({
+        jobId: job._id.toString(),
+        type: 'logs',
+        format: 'ndjson',
+        filters: expect.objectContaining({ eventTypes: ['temperature'] })
+      }));
+
+      const updated = await ExportSchedule.findById(schedule._id);
+      expect(updated).toMatchObject({ runCount: 1, lastRunAt: now });
+      expect(updated.lastJobId).toEqual(job._id);
+    });
+
+    test('should skip paused schedules', async () => {
+      const schedule = await createSchedule({ status: 'paused' });
+
+      expect(await exportScheduleService.run(schedule._id)).toBeNull();
+      expect(addExportJob).not.toHaveBeenCalled();
+      expect(await ExportJob.countDocuments()).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const zlib = require('zlib');
+const { ParquetReader } = require('@dsnp/parquetjs');
+const exportService = require('../../services/exportService');
+const Log = require('../../models/log');
+const Device = require('../../models/device');
+const User = require('../../models/user');
+const ExportJob = require('../../models/exportJob');
+const DeviceHeartbeat = require('../../models/deviceHeartbeat');
+
+describe('ExportService', () => {
+  const dateRange = {
+    startDate: new Date('2024-01-01T00:00:00Z'),
+    endDate: new Date('2024-01-31T23:59:59Z')
+  };
+  let user, device, files;
+
+  beforeEach(async () => {
+    files = [];
+    user = await User.create({ name: 'Test User', email: 'test@example.com', password: 'hashedpassword' });
+    device = await Device.create({ name: 'Meter', type: 'meter', owner_id: user._id });
+  });
+
+  afterEach(async () => {
+    await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+  });
+
+  const exportLogs = async (format, jobId) => {
+    const result = await exportService.exportDeviceLogs({
+      userId: user._id,
+      format,
+      dateRange,
+      filters: { deviceIds: [device._id] },
+      jobId
+    });
+    files.push(result.filepath);
+    return result;
+  };
+
+  test('should stream logs past the cursor batch size into a CSV file', async () => {
+    const start = new Date('2024-01-01T00:00:00Z').getTime();
+    await Log.insertMany(Array.from({ length: 2500 }, (_, i) => ({
+      device_id: device._id,
+      event: 'units_consumed',
+      value: i,
+      timestamp: new Date(start + i * 60 * 1000)
+    })));
+    const job = await ExportJob.create({ userId: user._id, type: 'logs', config: { format: 'csv', dateRange } });
+
+    const result = await exportLogs('csv', job._id);
+
+    expect(result.recordCount).toBe(2500);
+    const lines = (await fs.readFile(result.filepath, 'utf8')).trim().split('\n');
+    expect(lines).toHaveLength(2501);
+    expect(lines[0]).toBe('Device Name,Device Type,Event,Value,Timestamp,Device ID');
+    // Newest first
+    expect(lines[1]).toMatch(/^Meter,meter,units_consumed,2499,/);
+
+    const updated = await ExportJob.findById(job._id);
+    expect(updated.progress).toMatchObject({ percentage: 100, totalRecords: 2500, processedRecords: 2500 });
+  });
+
+  test('should write valid JSON with the record count after the logs', async () => {
+    await Log.create({ device_id: device._id, event: 'temperature', value: 21, timestamp: new Date('2024-01-02T00:00:00Z') });
+
+    const result = await exportLogs('json');
+
+    const data = JSON.parse(await fs.readFile(result.filepath, 'utf8'));
+    expect(data.metadata).toMatchObject({ recordCount: 1, format: 'json' });
+    expect(data.logs).toEqual([expect.objectContaining({
+      deviceId: device._id.toString(),
+      deviceName: 'Meter',
+      event: 'temperature',
+      value: 21
+    })]);
+  });
+
+  test('should write logs as NDJSON lines and typed Parquet rows', async () => {
+    await Log.create({ device_id: device._id, event: 'temperature', value: 21.5, timestamp: new Date('2024-01-02T00:00:00Z') });
+
+    const ndjson = await exportLogs('ndjson');
+    const lines = (await fs.readFile(ndjson.filepath, 'utf8')).trim().split('\n');
+    expect(lines.map(line => JSON.parse(line))).toEqual([expect.objectContaining({ event: 'temperature', value: 21.5 })]);
+
+    const parquet = await exportLogs('parquet');
+    const reader = await ParquetReader.openFile(parquet.filepath);
+    const row = await reader.getCursor().next();
+    await reader.close();
+    expect(row).toMatchObject({ deviceName: 'Meter', value: 21.5, timestamp: new Date('2024-01-02T00:00:00Z') });
+  });
+
+  test('should replace the export with a gzip file and record both sizes', async () => {
+    await Log.create({ device_id: device._id, event: 'temperature', value: 21, timestamp: new Date('2024-01-02T00:00:00Z') });
+    const exported = await exportLogs('csv');
+
+    const result = await exportService.compressExport(exported, 'gzip');
+    files.push(result.filepath);
+
+    expect(result.filename).toBe(`${exported.filename}.gz`);
+    expect(result.uncompressedSize).toBe(exported.fileSize);
+    expect(result.fileSize).toBe((await fs.stat(result.filepath)).size);
+    await expect(fs.access(exported.filepath)).rejects.toThrow();
+
+    const content = zlib.gunzipSync(await fs.readFile(result.filepath)).toString();
+    expect(content.split('\n')[1]).toMatch(/^Meter,meter,temperature,21,/);
+  });
+
+  test('should report device inventory with heartbeats, error events and gaps', async () => {
+    await Device.collection.updateOne({ _id: device._id }, { $set: { createdAt: new Date('2023-12-01T00:00:00Z'), heartbeat_interval_seconds: 60 } });
+    const inactive = await Device.create({ name: 'Thermostat', type: 'thermostat', status: 'inactive', owner_id: user._id });
+
+    await Log.insertMany([
+      { device_id: device._id, event: 'units_consumed', value: 1, timestamp: new Date('2024-01-10T00:00:00Z') },
+      { device_id: device._id, event: 'units_consumed', value: 1, timestamp: new Date('2024-01-10T00:01:00Z') },
+      { device_id: device._id, event: 'fault', value: 1, timestamp: new Date('2024-01-10T00:02:00Z') },
+      { device_id: device._id, event: 'units_consumed', value: 1, timestamp: new Date('2024-01-10T00:10:00Z') }
+    ]);
+    await DeviceHeartbeat.record(device._id, new Date('2024-01-10T00:05:00Z'));
+    await DeviceHeartbeat.record(device._id, new Date('2024-01-10T00:06:00Z'));
+
+    const generate = async filters => {
+      const result = await exportService.generateDeviceReport({
+        userId: user._id,
+        format: 'json',
+        dateRange: { startDate: new Date('2024-01-10T00:00:00Z'), endDate: new Date('2024-01-10T00:20:00Z') },
+        filters: { deviceIds: [device._id, inactive._id], ...filters }
+      });
+      files.push(result.filepath);
+      return JSON.parse(await fs.readFile(result.filepath, 'utf8'));
+    };
+
+    const report = await generate({});
+    expect(report.metadata.heartbeatsCountedSince).toBe('2024-01-10T00:00:00.000Z');
+    expect(report.devices).toHaveLength(1);
+    expect(report.devices[0]).toMatchObject({
+      deviceName: 'Meter',
+      heartbeatCount: 2,
+      readingCount: 4,
+      errorCount: 1,
+      errors: { fault: 1 },
+      gapCount: 2
+    });
+    // Eight quiet minutes after the fault and ten before the range ends, both past the three-minute allowance
+    expect(report.devices[0].gaps.map(gap => gap.start)).toEqual(['2024-01-10T00:02:00.000Z', '2024-01-10T00:10:00.000Z']);
+
+    const withInactive = await generate({ includeInactive: true });
+    expect(withInactive.devices.map(d => d.deviceName)).toEqual(['Meter', 'Thermostat']);
+  });
+});
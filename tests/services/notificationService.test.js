@@ -0,0 +1,185 @@
+const net = require('net');
+const http = require('http');
+const config = require('../../config');
+const notificationService = require('../../services/notificationService');
+const emailChannel = require('../../services/notificationChannels/emailChannel');
+const realtimeService = require('../../services/realtimeService');
+const jobQueue = require('../../services/jobQueue');
+const User = require('../../models/user');
+const Notification = require('../../models/notification');
+const NotificationDelivery = require('../../models/notificationDelivery');
+
+// Minimal SMTP sink: accepts every message and keeps the raw DATA section
+const createSmtpSink = (messages) => net.createServer(socket => {
+  let buffer = '';
+  let inData = false;
+
+  socket.write('220 sink ready\r\n');
+  socket.on('data', chunk => {
+    buffer += chunk.toString();
+
+    let index;
+    while ((index = inData ? buffer.indexOf('\r\n.\r\n') : buffer.indexOf('\r\n')) !== -1) {
+      if (inData) {
+        messages.push(buffer.slice(0, index));
+        buffer = buffer.slice(index + 5);
+        inData = false;
+        socket.write('250 queued\r\n');
+        continue;
+      }
+
+      const command = buffer.slice(0, index).toUpperCase();
+      buffer = buffer.slice(index + 2);
+
+      if (command.startsWith('EHLO') || command.startsWith('HELO')) socket.write('250 sink\r\n');
+      else if (command === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+      else if (command === 'QUIT') socket.end('221 bye\r\n');
+      else socket.write('250 ok\r\n');
+    }
+  });
+});
+
+describe('NotificationService', () => {
+  let testUser, smtpSink, receiver, receiverUrl, mails, received;
+  const originalSmtp = { ...config.smtp };
+
+  beforeAll(async () => {
+    mails = [];
+    smtpSink = createSmtpSink(mails);
+    await new Promise(resolve => smtpSink.listen(0, '127.0.0.1', resolve));
+
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push(JSON.parse(body));
+        res.writeHead(200);
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/notify`;
+  });
+
+  afterAll(async () => {
+    Object.assign(config.smtp, originalSmtp);
+    emailChannel.transporter = null;
+    await new Promise(resolve => smtpSink.close(resolve));
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    mails.length = 0;
+    received = [];
+    Object.assign(config.smtp, { host: '127.0.0.1', port: smtpSink.address().port, secure: false, user: null });
+    emailChannel.transporter = null;
+    // The test receiver listens on loopback
+    config.webhooks.allowPrivateTargets = true;
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+  });
+
+  afterEach(() => {
+    config.webhooks.allowPrivateTargets = false;
+    jest.restoreAllMocks();
+  });
+
+  const exportData = {
+    jobId: 'job-1',
+    exportType: 'logs',
+    fileName: 'logs.csv',
+    fileSize: 2048,
+    recordCount: 12
+  };
+
+  test('should email through SMTP and push in-app by default', async () => {
+    const push = jest.spyOn(realtimeService, 'sendNotificationToUser');
+
+    const deliveries = await notificationService.send(testUser._id, 'export_completed', exportData);
+
+    expect(deliveries.map(d => [d.channel, d.status])).toEqual([['email', 'sent'], ['in_app', 'sent']]);
+    expect(mails).toHaveLength(1);
+    expect(mails[0]).toContain('Subject: Export Completed - logs');
+    expect(mails[0]).toContain('Size: 2.00 KB');
+    expect(push).toHaveBeenCalledWith(testUser._id.toString(), expect.objectContaining({
+      type: 'export_completed',
+      title: 'Export Completed - logs'
+    }));
+    expect(await NotificationDelivery.countDocuments({ reference_id: 'job-1' })).toBe(2);
+
+    // No socket is open, so the inbox entry waits to be replayed on connect
+    const stored = await Notification.findOne({ user_id: testUser._id });
+    expect(stored).toMatchObject({ type: 'export_completed', read_at: null, delivered_at: null });
+  });
+
+  test('should follow per-type channel overrides', async () => {
+    testUser.notificationPreferences.webhookUrl = receiverUrl;
+    testUser.notificationPreferences.types.set('export_failed', ['webhook']);
+    await testUser.save();
+
+    const deliveries = await notificationService.send(testUser._id, 'export_failed', {
+      jobId: 'job-2',
+      exportType: 'logs',
+      error: 'Disk full'
+    });
+
+    expect(deliveries.map(d => d.channel)).toEqual(['webhook']);
+    expect(deliveries[0].status).toBe('sent');
+    expect(mails).toHaveLength(0);
+    expect(received[0]).toMatchObject({ type: 'export_failed', subject: 'Export Failed - logs' });
+    expect(received[0].text).toContain('Error: Disk full');
+  });
+
+  test('should record skipped and failed deliveries', async () => {
+    config.smtp.host = null;
+    testUser.notificationPreferences.channels.in_app = false;
+    testUser.notificationPreferences.channels.webhook = true;
+    testUser.notificationPreferences.webhookUrl = 'http://127.0.0.1:1/unreachable';
+    await testUser.save();
+
+    const deliveries = await notificationService.send(testUser._id, 'export_completed', exportData);
+
+    expect(deliveries.map(d => [d.channel, d.status])).toEqual([['email', 'skipped'], ['webhook', 'failed']]);
+    expect(deliveries[1].error).toBeTruthy();
+  });
+
+  test('should not post notifications to private addresses', async () => {
+    config.webhooks.allowPrivateTargets = false;
+    testUser.notificationPreferences.webhookUrl = receiverUrl;
+    testUser.notificationPreferences.types.set('export_failed', ['webhook']);
+    await testUser.save();
+
+    const [delivery] = await notificationService.send(testUser._id, 'export_failed', {
+      jobId: 'job-3',
+      exportType: 'logs',
+      error: 'Disk full'
+    });
+
+    expect(delivery).toMatchObject({ channel: 'webhook', status: 'failed' });
+    expect(delivery.error).toContain('Refusing to send to private address');
+    expect(received).toHaveLength(0);
+  });
+
+  test('should deliver in-app immediately and queue other channels', async () => {
+    const push = jest.spyOn(realtimeService, 'sendNotificationToUser');
+    const queue = jest.spyOn(jobQueue, 'addNotificationJob').mockResolvedValue({ id: 'job' });
+
+    await notificationService.notifyUsers([testUser._id], 'alert_opened', {
+      alertId: 'alert-1',
+      severity: 'critical',
+      message: 'units_consumed > 10'
+    });
+
+    expect(push).toHaveBeenCalledWith(testUser._id.toString(), expect.objectContaining({ type: 'alert_opened' }));
+    expect(queue).toHaveBeenCalledWith(expect.objectContaining({
+      userId: testUser._id.toString(),
+      type: 'alert_opened',
+      channels: ['email']
+    }));
+    expect(mails).toHaveLength(0);
+  });
+});
@@ -0,0 +1,72 @@
+const dns = require('dns');
+const http = require('http');
+const outboundUrlService = require('../../services/outboundUrlService');
+const config = require('../../config');
+
+describe('OutboundUrlService', () => {
+  afterEach(() => {
+    config.webhooks.allowPrivateTargets = false;
+    jest.restoreAllMocks();
+  });
+
+  test('should block loopback, private, link-local and mapped addresses only', () => {
+    ['127.0.0.1', '10.0.0.5', '172.16.4.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']
+      .forEach(address => expect(outboundUrlService.isBlockedAddress(address)).toBe(true));
+
+    ['8.8.8.8', '172.32.0.1', '2606:4700::1111', '::ffff:8.8.8.8']
+      .forEach(address => expect(outboundUrlService.isBlockedAddress(address)).toBe(false));
+  });
+
+  test('should refuse private hosts before sending unless allowed', async () => {
+    await expect(outboundUrlService.fetch('http://169.254.169.254/latest/meta-data'))
+      .rejects.toThrow('Refusing to send to private address 169.254.169.254');
+    await expect(outboundUrlService.fetch('http://localhost:5000/hooks'))
+      .rejects.toThrow('Refusing to send to local host localhost');
+  });
+
+  describe('with a receiver on loopback', () => {
+    let receiver, port, requests;
+
+    beforeEach(async () => {
+      requests = 0;
+      receiver = http.createServer((req, res) => {
+        requests += 1;
+        res.end('ok');
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+      port = receiver.address().port;
+    });
+
+    afterEach(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    test('should check the addresses the connection uses, not an earlier lookup', async () => {
+      // A short-lived record that turns private after the first lookup
+      const answers = [[{ address: '93.184.216.34', family: 4 }], [{ address: '127.0.0.1', family: 4 }]];
+      jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+        callback(null, answers.length > 1 ? answers.shift() : answers[0]);
+      });
+
+      const first = await new Promise((resolve, reject) => {
+        outboundUrlService.lookup('rebind.test', { all: true }, (error, addresses) => (
+          error ? reject(error) : resolve(addresses)
+        ));
+      });
+      expect(first).toEqual([{ address: '93.184.216.34', family: 4 }]);
+
+      await expect(outboundUrlService.fetch(`http://rebind.test:${port}/hooks`, { method: 'POST' }))
+        .rejects.toThrow('Refusing to send to private address 127.0.0.1');
+      expect(requests).toBe(0);
+    });
+
+    test('should send to private receivers when allowed', async () => {
+      config.webhooks.allowPrivateTargets = true;
+
+      const response = await outboundUrlService.fetch(`http://127.0.0.1:${port}/hooks`);
+
+      expect(response.status).toBe(200);
+      expect(requests).toBe(1);
+    });
+  });
+});
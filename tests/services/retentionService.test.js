@@ -0,0 +1,104 @@
+const retentionService = require('../../services/retentionService');
+const rollupService = require('../../services/rollupService');
+const config = require('../../config');
+const Log = require('../../models/log');
+const LogRollup = require('../../models/logRollup');
+const Device = require('../../models/device');
+const User = require('../../models/user');
+const Organization = require('../../models/organization');
+
+describe('RetentionService', () => {
+  const now = new Date('2024-03-01T12:00:00Z');
+  const originalRetention = { ...config.logRetention };
+  const originalRollups = config.rollups.enabled;
+  let owner, meter, thermostat;
+
+  beforeEach(async () => {
+    config.logRetention.defaultDays = 60;
+    config.logRetention.typeDays = { thermostat: 10 };
+    config.rollups.enabled = true;
+
+    owner = await User.create({ name: 'Owner', email: 'owner@example.com', password: 'hashedpassword' });
+    meter = await Device.create({ name: 'Meter', type: 'meter', owner_id: owner._id });
+    thermostat = await Device.create({ name: 'Thermostat', type: 'thermostat', owner_id: owner._id });
+  });
+
+  afterEach(() => {
+    Object.assign(config.logRetention, originalRetention);
+    config.rollups.enabled = originalRollups;
+  });
+
+  test('should prefer the owner setting over the device type and default', async () => {
+    let policies = await retentionService.getPolicies(now);
+    expect(policies.map(p => [p.retentionDays, p.cutoff.toISOString(), p.deviceIds.length])).toEqual([
+      [10, '2024-02-20T00:00:00.000Z', 1],
+      [60, '2024-01-01T00:00:00.000Z', 1]
+    ]);
+
+    await User.updateOne({ _id: owner._id }, { logRetentionDays: 30 });
+    policies = await retentionService.getPolicies(now);
+    expect(policies.map(p => [p.retentionDays, p.deviceIds.length])).toEqual([[30, 2]]);
+  });
+
+  test('should not let a member shorten retention of shared organization devices', async () => {
+    const organization = await Organization.create({
+      name: 'Shared',
+      createdBy: owner._id,
+      members: [{ user: owner._id, role: 'owner' }]
+    });
+    const member = await User.create({ name: 'Member', email: 'member@example.com', password: 'hashedpassword' });
+    organization.members.push({ user: member._id, role: 'member' });
+    await organization.save();
+
+    const shared = await Device.create({
+      name: 'Shared Meter',
+      type: 'meter',
+      owner_id: member._id,
+      organization_id: organization._id
+    });
+    const own = await Device.create({ name: 'Own Meter', type: 'meter', owner_id: member._id });
+    await User.updateOne({ _id: member._id }, { logRetentionDays: 1 });
+
+    const policies = await retentionService.getPolicies(now);
+    const daysOf = (device) => policies.find(p => p.deviceIds.some(id => id.equals(device._id))).retentionDays;
+    expect(daysOf(shared)).toBe(60);
+    expect(daysOf(own)).toBe(1);
+
+    const cutoffs = await retentionService.getDeviceCutoffs([shared.toObject()], now);
+    expect(cutoffs.get(shared._id.toString()).toISOString()).toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  test('should only count expiring logs on a dry run', async () => {
+    await Log.insertMany([
+      { device_id: thermostat._id, event: 'temperature', value: 20, timestamp: new Date('2024-02-01T08:00:00Z') },
+      { device_id: meter._id, event: 'units_consumed', value: 4, timestamp: new Date('2024-02-01T08:00:00Z') }
+    ]);
+
+    const preview = await retentionService.applyRetention({ dryRun: true, now });
+
+    expect(preview).toMatchObject({ dryRun: true, logCount: 1 });
+    expect(await Log.countDocuments()).toBe(2);
+  });
+
+  test('should keep rollups of deleted logs, including ones never rolled up', async () => {
+    await Log.insertMany([
+      { device_id: thermostat._id, event: 'temperature', value: 20, timestamp: new Date('2024-02-01T08:00:00Z') },
+      { device_id: thermostat._id, event: 'temperature', value: 22, timestamp: new Date('2024-02-01T09:30:00Z') },
+      { device_id: thermostat._id, event: 'temperature', value: 21, timestamp: new Date('2024-02-25T09:30:00Z') }
+    ]);
+    // Simulate readings stored before rollups were maintained
+    await LogRollup.deleteMany({ bucket_start: { $lt: new Date('2024-02-02T00:00:00Z') } });
+
+    const result = await retentionService.applyRetention({ now });
+
+    expect(result.logCount).toBe(2);
+    expect(await Log.countDocuments({ device_id: thermostat._id })).toBe(1);
+
+    const [totals] = await rollupService.summarize({
+      deviceIds: [thermostat._id],
+      since: new Date('2024-02-01T00:00:00Z'),
+      until: new Date('2024-03-01T00:00:00Z')
+    });
+    expect(totals).toMatchObject({ count: 3, sum: 63, min: 20, max: 22 });
+  });
+});
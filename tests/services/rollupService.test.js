@@ -0,0 +1,155 @@
+const rollupService = require('../../services/rollupService');
+const retentionService = require('../../services/retentionService');
+const config = require('../../config');
+const aggregationService = require('../../services/aggregationService');
+const Log = require('../../models/log');
+const LogRollup = require('../../models/logRollup');
+const Device = require('../../models/device');
+const User = require('../../models/user');
+
+describe('RollupService', () => {
+  const originalEnabled = config.rollups.enabled;
+  let device;
+
+  const reading = (value, timestamp, event = 'units_consumed') => ({
+    device_id: device._id,
+    event,
+    value,
+    timestamp: new Date(timestamp),
+    received_at: new Date(timestamp)
+  });
+
+  beforeEach(async () => {
+    config.rollups.enabled = true;
+    const user = await User.create({ name: 'Test User', email: 'test@example.com', password: 'hashedpassword' });
+    device = await Device.create({ name: 'Meter', type: 'meter', owner_id: user._id });
+  });
+
+  afterEach(() => {
+    config.rollups.enabled = originalEnabled;
+  });
+
+  test('should roll up logs written one at a time and in batches', async () => {
+    await Log.create(reading(2, '2024-01-01T10:15:00Z'));
+    await Log.insertMany([
+      reading(5, '2024-01-01T10:45:00Z'),
+      reading(1, '2024-01-01T13:00:00Z')
+    ]);
+
+    const hourly = await LogRollup.findOne({
+      device_id: device._id,
+      time_basis: 'device',
+      granularity: 'hour',
+      bucket_start: new Date('2024-01-01T10:00:00Z')
+    });
+    expect(hourly).toMatchObject({ count: 2, sum: 7, min: 2, max: 5 });
+    expect(hourly.first_at).toEqual(new Date('2024-01-01T10:15:00Z'));
+
+    const daily = await LogRollup.findOne({ device_id: device._id, time_basis: 'received', granularity: 'day' });
+    expect(daily).toMatchObject({ count: 3, sum: 8, min: 1, max: 5 });
+  });
+
+  test('should split windows into raw edges, whole hours and whole days', () => {
+    const segments = rollupService.planSegments(
+      new Date('2024-01-01T10:15:00Z'),
+      new Date('2024-01-04T08:30:00Z')
+    );
+
+    expect(segments.map(s => [s.source, s.since.toISOString(), s.until.toISOString()])).toEqual([
+      ['raw', '2024-01-01T10:15:00.000Z', '2024-01-01T11:00:00.000Z'],
+      ['hour', '2024-01-01T11:00:00.000Z', '2024-01-02T00:00:00.000Z'],
+      ['day', '2024-01-02T00:00:00.000Z', '2024-01-04T00:00:00.000Z'],
+      ['hour', '2024-01-04T00:00:00.000Z', '2024-01-04T08:00:00.000Z'],
+      ['raw', '2024-01-04T08:00:00.000Z', '2024-01-04T08:30:00.000Z']
+    ]);
+  });
+
+  test('should match raw log totals and trends across segment edges', async () => {
+    await Log.insertMany([
+      reading(1, '2024-01-01T10:20:00Z'),
+      reading(4, '2024-01-01T10:10:00Z'),
+      reading(3, '2024-01-02T12:00:00Z', 'temperature'),
+      reading(6, '2024-01-03T08:29:00Z'),
+      reading(9, '2024-01-03T08:45:00Z')
+    ]);
+
+    const window = {
+      deviceIds: [device._id],
+      since: new Date('2024-01-01T10:15:00Z'),
+      until: new Date('2024-01-03T08:30:00Z')
+    };
+
+    const rows = await rollupService.summarize({ ...window, groupBy: ['event'] });
+    expect(rows.sort((a, b) => a.event.localeCompare(b.event))).toEqual([
+      expect.objectContaining({ event: 'temperature', count: 1, sum: 3 }),
+      expect.objectContaining({
+        event: 'units_consumed',
+        count: 2,
+        sum: 7,
+        min: 1,
+        max: 6,
+        first_at: new Date('2024-01-01T10:20:00Z'),
+        last_at: new Date('2024-01-03T08:29:00Z')
+      })
+    ]);
+
+    const options = { ...window, bucket: 'day', timezone: 'America/New_York' };
+    const fromRollups = await rollupService.trend(options);
+    const fromLogs = await aggregationService.aggregate(Log, {
+      match: { device_id: device._id },
+      timeField: 'timestamp',
+      ...options
+    });
+    expect(fromRollups).toEqual(fromLogs);
+  });
+
+  test('should rebuild missing rollups from raw logs', async () => {
+    await Log.insertMany([
+      reading(2, '2024-01-01T10:15:00Z'),
+      reading(3, '2024-01-02T11:15:00Z')
+    ]);
+    await LogRollup.deleteMany({});
+
+    const result = await rollupService.rebuild({ since: '2024-01-01T12:00:00Z' });
+
+    expect(result.since).toEqual(new Date('2024-01-01T00:00:00Z'));
+    // Two bases, each with one hourly and one daily rollup per day
+    expect(result.rollups).toBe(8);
+
+    const [totals] = await rollupService.summarize({
+      deviceIds: [device._id],
+      since: new Date('2024-01-01T00:00:00Z'),
+      until: new Date('2024-01-03T00:00:00Z')
+    });
+    expect(totals).toMatchObject({ count: 2, sum: 5 });
+  });
+
+  test('should keep rollups of readings deleted by retention when rebuilding', async () => {
+    const originalDays = config.logRetention.defaultDays;
+    config.logRetention.defaultDays = 10;
+    const now = new Date('2024-03-01T12:00:00Z');
+
+    try {
+      await Log.insertMany([
+        reading(2, '2024-02-01T10:15:00Z'),
+        reading(3, '2024-02-25T11:15:00Z')
+      ]);
+      await retentionService.applyRetention({ now });
+      expect(await Log.countDocuments()).toBe(1);
+
+      // A rollup after the cutoff that missed its update is still repaired
+      await LogRollup.deleteMany({ bucket_start: { $gte: new Date('2024-02-25T00:00:00Z') } });
+
+      await rollupService.rebuild({ now });
+
+      const [totals] = await rollupService.summarize({
+        deviceIds: [device._id],
+        since: new Date('2024-02-01T00:00:00Z'),
+        until: new Date('2024-03-01T00:00:00Z')
+      });
+      expect(totals).toMatchObject({ count: 2, sum: 5 });
+    } finally {
+      config.logRetention.defaultDays = originalDays;
+    }
+  });
+});
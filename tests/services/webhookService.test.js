@@ -0,0 +1,122 @@
+const http = require('http');
+const webhookService = require('../../services/webhookService');
+const jobQueue = require('../../services/jobQueue');
+const config = require('../../config');
+const User = require('../../models/user');
+const Webhook = require('../../models/webhook');
+const WebhookDelivery = require('../../models/webhookDelivery');
+
+describe('WebhookService', () => {
+  let testUser, receiver, receiverUrl, received, responseStatus;
+
+  beforeAll(async () => {
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseStatus);
+        res.end('ok');
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responseStatus = 200;
+    // The test receiver listens on loopback
+    config.webhooks.allowPrivateTargets = true;
+    jest.spyOn(jobQueue, 'addWebhookJob').mockResolvedValue({ id: 'job' });
+
+    testUser = await User.create({
+      name: 'Test User',
+      email: 'test@example.com',
+      password: 'hashedpassword'
+    });
+  });
+
+  afterEach(() => {
+    config.webhooks.allowPrivateTargets = false;
+    jest.restoreAllMocks();
+  });
+
+  const createWebhook = (overrides = {}) => Webhook.create({
+    user_id: testUser._id,
+    url: receiverUrl,
+    events: ['device.created'],
+    secret: 'whsec_test',
+    ...overrides
+  });
+
+  test('should queue deliveries only for enabled subscribed webhooks', async () => {
+    const subscribed = await createWebhook();
+    await createWebhook({ events: ['export.completed'] });
+    await createWebhook({ enabled: false });
+
+    const deliveries = await webhookService.dispatch('device.created', { device: { id: 'd1' } }, [testUser._id]);
+
+    expect(deliveries).toHaveLength(1);
+    expect(deliveries[0].webhook_id.toString()).toBe(subscribed._id.toString());
+    expect(jobQueue.addWebhookJob).toHaveBeenCalledWith(expect.objectContaining({
+      deliveryId: deliveries[0]._id.toString()
+    }));
+  });
+
+  test('should sign deliveries with HMAC-SHA256', async () => {
+    await createWebhook();
+    const [delivery] = await webhookService.dispatch('device.created', { device: { id: 'd1' } }, [testUser._id]);
+
+    const result = await webhookService.deliver(delivery._id);
+
+    expect(result.status).toBe('succeeded');
+    const { headers, body } = received[0];
+    const expected = webhookService.sign('whsec_test', headers['x-webhook-timestamp'], body);
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(headers['x-webhook-event']).toBe('device.created');
+    expect(JSON.parse(body)).toMatchObject({ event: 'device.created', data: { device: { id: 'd1' } } });
+  });
+
+  test('should record failed attempts and fail on the last one', async () => {
+    responseStatus = 500;
+    await createWebhook();
+    const [delivery] = await webhookService.dispatch('device.created', {}, [testUser._id]);
+
+    await expect(webhookService.deliver(delivery._id)).rejects.toThrow('Receiver responded with 500');
+    expect((await WebhookDelivery.findById(delivery._id)).status).toBe('pending');
+
+    await expect(webhookService.deliver(delivery._id, true)).rejects.toThrow();
+    const failed = await WebhookDelivery.findById(delivery._id);
+    expect(failed.status).toBe('failed');
+    expect(failed.attempts).toHaveLength(2);
+    expect(failed.attempts[0].response_status).toBe(500);
+  });
+
+  test('should refuse to deliver to private addresses', async () => {
+    config.webhooks.allowPrivateTargets = false;
+    await createWebhook();
+    const [delivery] = await webhookService.dispatch('device.created', {}, [testUser._id]);
+
+    await expect(webhookService.deliver(delivery._id)).rejects.toThrow('Refusing to send to private address 127.0.0.1');
+
+    expect(received).toHaveLength(0);
+    const pending = await WebhookDelivery.findById(delivery._id);
+    expect(pending.attempts[0].response_status).toBeNull();
+  });
+
+  test('should redeliver with the original payload', async () => {
+    await createWebhook();
+    const [delivery] = await webhookService.dispatch('device.created', { device: { id: 'd1' } }, [testUser._id]);
+
+    const redelivery = await webhookService.redeliver(delivery);
+
+    expect(redelivery.redelivery_of.toString()).toBe(delivery._id.toString());
+    expect(redelivery.payload).toEqual(delivery.payload);
+    expect(jobQueue.addWebhookJob).toHaveBeenCalledTimes(2);
+  });
+});
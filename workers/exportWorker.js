@@ -2,6 +2,12 @@ const jobQueue = require('../services/jobQueue');
 const exportService = require('../services/exportService');
 const ExportJob = require('../models/exportJob');
 const Device = require('../models/device');
+const organizationService = require('../services/organizationService');
+const webhookService = require('../services/webhookService');
+const notificationService = require('../services/notificationService');
+const retentionService = require('../services/retentionService');
+const exportScheduleService = require('../services/exportScheduleService');
+const config = require('../config');
 const { logInfo, logError } = require('../services/logger');
 
 class ExportWorker {
@@ -21,6 +27,10 @@ class ExportWorker {
     // Process export jobs
     const exportQueue = jobQueue.getQueue('export');
     exportQueue.process('process-export', 5, this.processExportJob.bind(this));
+    exportQueue.process('scheduled-export', 1, this.processScheduledExport.bind(this));
+    exportScheduleService.syncAll().catch(error => {
+      logError(error, { context: 'Export schedule sync' });
+    });
 
     // Process notification jobs
     const notificationQueue = jobQueue.getQueue('notification');
@@ -29,6 +39,9 @@ class ExportWorker {
     // Process cleanup jobs
     const cleanupQueue = jobQueue.getQueue('cleanup');
     cleanupQueue.process('cleanup-task', 1, this.processCleanupJob.bind(this));
+    jobQueue.scheduleLogRetention(config.logRetention.schedule).catch(error => {
+      logError(error, { context: 'Log retention schedule' });
+    });
 
     this.isRunning = true;
     logInfo('Export worker started');
@@ -50,7 +63,8 @@ class ExportWorker {
    * @param {Object} job - Bull job instance
    */
   async processExportJob(job) {
-    const { jobId, userId, type, format, dateRange, filters } = job.data;
+    const { jobId, userId, type, format, compression = 'none', dateRange, filters } = job.data;
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
     
     try {
       logInfo('Processing export job', { jobId, userId, type });
@@ -64,15 +78,16 @@ class ExportWorker {
       exportJob.status = 'processing';
       await exportJob.save();
 
-      // Get user devices for filtering
-      const userDevices = await Device.find({ owner_id: userId });
+      // Get devices from the user's organizations for filtering
+      const organizationIds = await organizationService.getOrganizationIds(userId);
+      const userDevices = await Device.find({ organization_id: { $in: organizationIds } });
       const deviceIds = userDevices.map(d => d._id);
 
       // Apply device filter
       if (!filters.deviceIds || filters.deviceIds.length === 0) {
         filters.deviceIds = deviceIds;
       } else {
-        // Ensure user can only export their own devices
+        // Ensure user can only export devices of their organizations
         filters.deviceIds = filters.deviceIds.filter(id => 
           deviceIds.some(deviceId => deviceId.toString() === id.toString())
         );
@@ -93,9 +108,29 @@ class ExportWorker {
           break;
           
         case 'usage_report':
-        case 'device_report':
           result = await exportService.generateUsageReport({
             userId,
+            format,
+            dateRange,
+            filters,
+            jobId
+          });
+          break;
+          
+        case 'device_report':
+          result = await exportService.generateDeviceReport({
+            userId,
+            format,
+            dateRange,
+            filters,
+            jobId
+          });
+          break;
+          
+        case 'availability_report':
+          result = await exportService.generateAvailabilityReport({
+            userId,
+            format,
             dateRange,
             filters,
             jobId
@@ -106,18 +141,42 @@ class ExportWorker {
           throw new Error(`Unknown export type: ${type}`);
       }
 
+      result = await exportService.compressExport(result, compression, { jobId, type, format });
+
       // Mark job as completed
-      await exportJob.markCompleted(result);
+      await exportJob.markCompleted({
+        fileName: result.filename,
+        fileUrl: result.fileUrl,
+        fileSize: result.fileSize,
+        uncompressedSize: result.uncompressedSize,
+        recordCount: result.recordCount
+      });
+
+      await webhookService.dispatch('export.completed', {
+        export: {
+          jobId,
+          type,
+          format,
+          compression,
+          fileName: result.filename,
+          fileSize: result.fileSize,
+          uncompressedSize: result.uncompressedSize,
+          recordCount: result.recordCount,
+          fileUrl: result.fileUrl
+        }
+      }, [userId]);
 
       // Queue notification job
       await jobQueue.addNotificationJob({
         userId,
         type: 'export_completed',
-        jobId,
-        exportType: type,
-        fileName: result.filename,
-        fileSize: result.fileSize,
-        recordCount: result.recordCount
+        data: {
+          jobId,
+          exportType: type,
+          fileName: result.filename,
+          fileSize: result.fileSize,
+          recordCount: result.recordCount
+        }
       });
 
       logInfo('Export job completed', { 
@@ -131,7 +190,10 @@ class ExportWorker {
       return result;
 
     } catch (error) {
-      logError(error, { jobId, userId, type });
+      logError(error, { jobId, userId, type, attempt: job.attemptsMade + 1, finalAttempt });
+
+      // Bull retries the job; only report the failure once no attempts are left
+      if (!finalAttempt) throw error;
 
       // Mark job as failed
       const exportJob = await ExportJob.findById(jobId);
@@ -139,13 +201,19 @@ class ExportWorker {
         await exportJob.markFailed(error);
       }
 
+      await webhookService.dispatch('export.failed', {
+        export: { jobId, type, format, error: error.message }
+      }, [userId]);
+
       // Queue failure notification
       await jobQueue.addNotificationJob({
         userId,
         type: 'export_failed',
-        jobId,
-        exportType: type,
-        error: error.message
+        data: {
+          jobId,
+          exportType: type,
+          error: error.message
+        }
       });
 
       throw error;
@@ -153,76 +221,56 @@ class ExportWorker {
   }
 
   /**
-   * Process notification job
+   * Start a run of an export schedule. The run itself is a regular export job.
+   * @param {Object} job - Bull job instance
+   */
+  async processScheduledExport(job) {
+    const { scheduleId } = job.data;
+
+    try {
+      const exportJob = await exportScheduleService.run(scheduleId);
+
+      if (!exportJob) {
+        // Deleted or paused since the repeatable job was registered
+        await jobQueue.unscheduleExport(scheduleId);
+        return { scheduleId, skipped: true };
+      }
+
+      return { scheduleId, jobId: exportJob._id.toString() };
+
+    } catch (error) {
+      logError(error, { scheduleId });
+      throw error;
+    }
+  }
+
+  /**
+   * Process notification job. Channels that fail are retried on the next attempt;
+   * channels that already delivered are not sent again.
    * @param {Object} job - Bull job instance
    */
   async processNotificationJob(job) {
-    const { userId, type, jobId, exportType, fileName, fileSize, recordCount, error } = job.data;
-    
+    const { userId, type, data = {}, channels } = job.data;
+
     try {
-      logInfo('Processing notification job', { userId, type, jobId });
+      logInfo('Processing notification job', { userId, type, jobId: data.jobId });
 
-      // Simulate email notification (in real implementation, use email service)
-      const notification = {
-        userId,
-        type,
-        timestamp: new Date().toISOString(),
-        data: {
-          jobId,
-          exportType,
-          fileName,
-          fileSize,
-          recordCount,
-          error
-        }
-      };
+      const deliveries = await notificationService.send(userId, type, data, { channels });
 
-      // Log notification (simulate email sending)
-      if (type === 'export_completed') {
-        logInfo('Export completion notification sent', {
-          userId,
-          jobId,
-          exportType,
-          fileName,
-          fileSize: this.formatFileSize(fileSize),
-          recordCount
-        });
-        
-        console.log(`📧 Email Notification Sent:
-To: User ${userId}
-Subject: Export Completed - ${exportType}
-Message: Your ${exportType} export has been completed successfully.
-File: ${fileName}
-Size: ${this.formatFileSize(fileSize)}
-Records: ${recordCount}
-Download: Available in your exports section`);
-      } else if (type === 'export_failed') {
-        logError(new Error('Export failed notification'), {
-          userId,
-          jobId,
-          exportType,
-          error
-        });
-        
-        console.log(`📧 Email Notification Sent:
-To: User ${userId}
-Subject: Export Failed - ${exportType}
-Message: Your ${exportType} export has failed.
-Error: ${error}
-Please try again or contact support if the issue persists.`);
+      if (data.jobId && type.startsWith('export_') && deliveries.some(d => d.status === 'sent')) {
+        await ExportJob.updateOne({ _id: data.jobId }, { notificationSent: true });
       }
 
-      // Mark notification as sent in export job
-      const exportJob = await ExportJob.findById(jobId);
-      if (exportJob) {
-        exportJob.notificationSent = true;
-        await exportJob.save();
+      const failed = deliveries.filter(d => d.status === 'failed').map(d => d.channel);
+      if (failed.length > 0) {
+        await job.update({ ...job.data, channels: failed });
+        throw new Error(`Notification delivery failed on: ${failed.join(', ')}`);
       }
 
-      return notification;
+      return deliveries.map(d => ({ channel: d.channel, status: d.status }));
 
     } catch (error) {
-      logError(error, { userId, type, jobId });
+      logError(error, { userId, type, jobId: data.jobId });
       throw error;
     }
   }
@@ -232,12 +280,13 @@ Please try again or contact support if the issue persists.`);
    * @param {Object} job - Bull job instance
    */
   async processCleanupJob(job) {
-    const { type, maxAge } = job.data;
+    const { type, maxAge, dryRun = false } = job.data;
     
     try {
-      logInfo('Processing cleanup job', { type, maxAge });
+      logInfo('Processing cleanup job', { type, maxAge, dryRun });
 
       let cleanedCount = 0;
+      let details;
 
       switch (type) {
         case 'export_files':
@@ -256,32 +305,25 @@ Please try again or contact support if the issue persists.`);
             cleanedCount += cleaned;
           }
           break;
+
+        case 'log_retention':
+          // Raw logs past their retention are rolled up, then deleted; a dry run only counts them
+          details = await retentionService.applyRetention({ dryRun });
+          cleanedCount = dryRun ? 0 : details.logCount;
+          break;
           
         default:
           throw new Error(`Unknown cleanup type: ${type}`);
       }
 
       logInfo('Cleanup job completed', { type, cleanedCount });
-      return { type, cleanedCount };
+      return { type, cleanedCount, ...(details && { details }) };
 
     } catch (error) {
       logError(error, { type, maxAge });
       throw error;
     }
   }
-
-  /**
-   * Format file size for display
-   * @param {number} bytes - File size in bytes
-   * @returns {string} - Formatted file size
-   */
-  formatFileSize(bytes) {
-    if (!bytes) return '0 B';
-    
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(1024));
-    return `${(bytes / Math.pow(1024, i)).toFixed(2)} ${sizes[i]}`;
-  }
 }
 
 module.exports = new ExportWorker();
\ No newline at end of file
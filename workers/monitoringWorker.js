@@ -0,0 +1,55 @@
+const jobQueue = require('../services/jobQueue');
+const alertService = require('../services/alertService');
+const config = require('../config');
+const { logInfo, logError } = require('../services/logger');
+
+class MonitoringWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the monitoring worker and schedule its recurring checks
+   */
+  async start() {
+    if (this.isRunning) return;
+
+    // Initialize job queue
+    jobQueue.initialize();
+
+    const monitoringQueue = jobQueue.getQueue('monitoring');
+    monitoringQueue.process('heartbeat-check', 1, this.processHeartbeatCheck.bind(this));
+
+    await jobQueue.scheduleHeartbeatCheck(config.heartbeatMonitor.checkIntervalSeconds);
+
+    this.isRunning = true;
+    logInfo('Monitoring worker started');
+  }
+
+  /**
+   * Stop the monitoring worker
+   */
+  async stop() {
+    if (!this.isRunning) return;
+
+    await jobQueue.close();
+    this.isRunning = false;
+    logInfo('Monitoring worker stopped');
+  }
+
+  /**
+   * Process missed-heartbeat check
+   * @param {Object} job - Bull job instance
+   */
+  async processHeartbeatCheck(job) {
+    try {
+      const opened = await alertService.checkMissedHeartbeats();
+      return { offline: opened.length };
+    } catch (error) {
+      logError(error, { context: 'Heartbeat check', jobId: job.id });
+      throw error;
+    }
+  }
+}
+
+module.exports = new MonitoringWorker();
@@ -0,0 +1,55 @@
+const jobQueue = require('../services/jobQueue');
+const webhookService = require('../services/webhookService');
+const { logInfo, logError } = require('../services/logger');
+
+class WebhookWorker {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  /**
+   * Start the webhook worker
+   */
+  start() {
+    if (this.isRunning) return;
+
+    // Initialize job queue
+    jobQueue.initialize();
+
+    const webhookQueue = jobQueue.getQueue('webhook');
+    webhookQueue.process('deliver-webhook', 10, this.processDeliveryJob.bind(this));
+
+    this.isRunning = true;
+    logInfo('Webhook worker started');
+  }
+
+  /**
+   * Stop the webhook worker
+   */
+  async stop() {
+    if (!this.isRunning) return;
+
+    await jobQueue.close();
+    this.isRunning = false;
+    logInfo('Webhook worker stopped');
+  }
+
+  /**
+   * Process webhook delivery job
+   * @param {Object} job - Bull job instance
+   */
+  async processDeliveryJob(job) {
+    const { deliveryId } = job.data;
+    const finalAttempt = job.attemptsMade + 1 >= (job.opts.attempts || 1);
+
+    try {
+      const delivery = await webhookService.deliver(deliveryId, finalAttempt);
+      return { deliveryId, status: delivery.status };
+    } catch (error) {
+      logError(error, { deliveryId, attempt: job.attemptsMade + 1, finalAttempt });
+      throw error;
+    }
+  }
+}
+
+module.exports = new WebhookWorker();